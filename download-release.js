@@ -1,100 +1,621 @@
 #!/usr/bin/env node
 
-const https = require('https');
 const fs = require('fs');
+const path = require('path');
+const { fetchJson, fetchBuffer, downloadFile } = require('./lib/http');
+const { loadPublicKey, verifyDetached } = require('./lib/ed25519');
+const { matchGlob } = require('./lib/glob');
+const { verifyBundle } = require('./lib/verify');
+const { buildReport } = require('./lib/report');
+const { defaultCacheDir } = require('./lib/cache');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+const HTTP_OPTIONS = {
+  headers: { 'User-Agent': 'github-release-downloader' },
+  onRetry: (error, attempt, delay) => {
+    console.log(`${error.message}; retrying in ${delay / 1000}s (attempt ${attempt})`);
+  }
+};
+
+// Release assets that may list the SHA-256 of the other assets
+const CHECKSUM_ASSETS = ['SHA256SUMS', 'SHA256SUMS.txt'];
+
+// Asset downloads running at the same time
+const DEFAULT_CONCURRENCY = 4;
+
+const OUTPUT_FORMATS = ['console', 'json'];
+
+const VALUE_OPTIONS = new Set(['api-url', 'concurrency', 'format', 'public-key']);
+const FLAG_OPTIONS = new Set(['list', 'skip-checksum', 'verify-integrity']);
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const format = args.options.format || 'console';
+  const concurrency = args.options.concurrency === undefined ? DEFAULT_CONCURRENCY : Number(args.options.concurrency);
+  const minimumArgs = args.options.list ? 2 : 4;
+
+  if (args.positionals.length < minimumArgs) {
+    console.log('Usage: node download-release.js [options] <owner> <repo> <tag> <asset-name-or-glob> [output-path]');
+    console.log('       node download-release.js --list [options] <owner> <repo> [tag]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --list                Print the releases, or the assets of one release, instead of downloading');
+    console.log('  --public-key <pem>    Require SHA256SUMS to be signed by this Ed25519 key (SHA256SUMS.sig)');
+    console.log('  --skip-checksum       Download even if the release publishes no checksum for an asset');
+    console.log('  --verify-integrity    Also compare each downloaded zip with the upstream CEF build');
+    console.log(`  --concurrency <n>     Assets downloaded at the same time (default: ${DEFAULT_CONCURRENCY})`);
+    console.log('  --format <format>     Output format: console (default) or json');
+    console.log(`  --api-url <url>       GitHub API base URL (default: $GITHUB_API_URL or ${DEFAULT_API_URL})`);
+    console.log('');
+    console.log('Set GITHUB_TOKEN to authenticate, for private and draft releases and a higher rate limit.');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node download-release.js wowlocal cef-build-macos 73 cefclient.zip');
+    console.log('  node download-release.js --verify-integrity wowlocal cef-build-macos 73 cefclient.zip');
+    console.log('  node download-release.js wowlocal cef-build-macos latest "*.zip" downloads/');
+    console.log('  node download-release.js --list wowlocal cef-build-macos');
+    process.exit(1);
+  }
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(`Error: Unknown format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(`Error: --concurrency must be a positive integer, got "${args.options.concurrency}"`);
+    process.exit(1);
+  }
+  // JSON on stdout must be the only thing there, so messages move to stderr
+  if (format === 'json') {
+    console.log = console.error;
+  }
+
+  let publicKey = null;
+  try {
+    if (args.options['public-key']) {
+      publicKey = loadPublicKey(args.options['public-key']);
+    }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const api = {
+    apiUrl: args.options['api-url'] || process.env.GITHUB_API_URL || DEFAULT_API_URL,
+    token: process.env.GITHUB_TOKEN || null
+  };
+  const [owner, repo, tag, pattern, output] = args.positionals;
+
+  if (args.options.list) {
+    if (tag) {
+      const release = describeRelease(await fetchRelease(owner, repo, tag, api));
+      if (format === 'json') {
+        process.stdout.write(JSON.stringify(release, null, 2) + '\n');
+      } else {
+        printAssets(release);
+      }
+    } else {
+      const releases = (await listReleases(owner, repo, api)).map(describeRelease);
+      if (format === 'json') {
+        process.stdout.write(JSON.stringify(releases, null, 2) + '\n');
+      } else {
+        printReleases(releases);
+      }
+    }
+    return;
+  }
+
+  const { release, results } = await downloadReleaseAssets(owner, repo, tag, pattern, output, {
+    ...api,
+    publicKey,
+    requireChecksum: !args.options['skip-checksum'],
+    concurrency
+  });
+
+  if (args.options['verify-integrity']) {
+    for (const result of results) {
+      if (result.error || !result.path.endsWith('.zip')) continue;
+      console.log('');
+      console.log(`Verifying ${result.path} against the upstream CEF build...`);
+      result.integrity = await verifyIntegrity(result.path);
+    }
+  }
+
+  const failed = results.filter(result => result.error || (result.integrity && !result.integrity.passed));
+  if (format === 'json') {
+    const report = { owner, repo, tag: release.tag_name, passed: failed.length === 0, assets: results };
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  }
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
 
 /**
- * Downloads a zip asset from a GitHub release
+ * Downloads a zip asset from a GitHub release and checks its SHA-256 against
+ * the release's SHA256SUMS asset and the digest GitHub recorded on upload.
+ * A download that doesn't match is deleted.
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} tag - Release tag (e.g., 'v1.0.0') or 'latest'
  * @param {string} assetName - Name of the zip file to download
  * @param {string} outputPath - Where to save the file
+ * @param {object} [options] - apiUrl and token (see fetchRelease); publicKey:
+ *   Ed25519 key (KeyObject) that must have signed SHA256SUMS, as the
+ *   detached SHA256SUMS.sig asset; requireChecksum: refuse assets with no
+ *   published checksum (by default they are downloaded unverified, with a
+ *   warning)
+ * @returns {Promise<{path: string, sha256: string, verifiedBy: string[]}>}
  */
-async function downloadGitHubRelease(owner, repo, tag, assetName, outputPath) {
-  const isLatest = tag === 'latest';
-  const apiUrl = isLatest
-    ? `https://api.github.com/repos/${owner}/${repo}/releases/latest`
-    : `https://api.github.com/repos/${owner}/${repo}/releases/tags/${tag}`;
+async function downloadGitHubRelease(owner, repo, tag, assetName, outputPath, options = {}) {
+  const release = await fetchRelease(owner, repo, tag, options);
 
-  console.log(`Fetching release info from: ${apiUrl}`);
-
-  const releaseData = await fetchJson(apiUrl);
-  
-  const asset = releaseData.assets.find(a => a.name === assetName);
+  const asset = release.assets.find(a => a.name === assetName);
   if (!asset) {
-    const availableAssets = releaseData.assets.map(a => a.name).join(', ');
+    const availableAssets = release.assets.map(a => a.name).join(', ');
     throw new Error(`Asset "${assetName}" not found. Available: ${availableAssets || 'none'}`);
   }
 
   console.log(`Found asset: ${asset.name} (${formatBytes(asset.size)})`);
-  console.log(`Downloading to: ${outputPath}`);
 
-  await downloadFile(asset.browser_download_url, outputPath);
-  
+  // Checksums are fetched first so a bad signature stops before the download
+  const checksums = await loadChecksums(release, options);
+
+  console.log(`Downloading to: ${outputPath}`);
+  const result = await downloadAsset(asset, outputPath, checksums, options);
   console.log('Download complete!');
+  printChecksumResult(result);
+  return result;
 }
 
-function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      headers: {
-        'User-Agent': 'github-release-downloader',
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    };
+/**
+ * Downloads every asset of a release whose name matches a glob pattern,
+ * several at a time, checking each like downloadGitHubRelease. A failed
+ * asset doesn't stop the others.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Release tag or 'latest'
+ * @param {string} pattern - Asset name or glob pattern (see lib/glob.js)
+ * @param {string} [output] - File to save a single named asset as, or the
+ *   directory for glob matches (default: the current directory)
+ * @param {object} [options] - See downloadGitHubRelease, plus concurrency
+ * @returns {Promise<{release: object, results: object[]}>} One result per
+ *   asset: name, path, size, sha256, verifiedBy, warnings and error (a
+ *   message, or null)
+ */
+async function downloadReleaseAssets(owner, repo, tag, pattern, output, options = {}) {
+  const release = await fetchRelease(owner, repo, tag, options);
+  const results = await downloadAssetsFromRelease(release, pattern, output, options);
+  return { release, results };
+}
 
-    https.get(url, options, (res) => {
-      if (res.statusCode === 301 || res.statusCode === 302) {
-        return fetchJson(res.headers.location).then(resolve).catch(reject);
-      }
-      
-      if (res.statusCode !== 200) {
-        return reject(new Error(`API request failed with status ${res.statusCode}`));
-      }
+/**
+ * Like downloadReleaseAssets, for a release that has already been fetched
+ * (from fetchRelease or listReleases), so it isn't looked up again.
+ * @param {object} release - Release object from the GitHub API
+ * @param {string} pattern - Asset name or glob pattern (see lib/glob.js)
+ * @param {string} [output] - As for downloadReleaseAssets
+ * @param {object} [options] - As for downloadReleaseAssets
+ * @returns {Promise<object[]>} One result per asset, as for
+ *   downloadReleaseAssets
+ */
+async function downloadAssetsFromRelease(release, pattern, output, options = {}) {
+  const assets = selectAssets(release.assets, pattern);
+  if (assets.length === 0) {
+    const availableAssets = release.assets.map(a => a.name).join(', ');
+    throw new Error(`No asset matches "${pattern}". Available: ${availableAssets || 'none'}`);
+  }
+
+  const toDirectory = isGlobPattern(pattern) || (output && (output.endsWith('/') || isDirectory(output)));
+  const outputFor = (asset) => toDirectory ? path.join(output || '.', asset.name) : output || asset.name;
+  if (toDirectory) {
+    fs.mkdirSync(output || '.', { recursive: true });
+  }
+
+  const totalSize = assets.reduce((sum, asset) => sum + asset.size, 0);
+  console.log(`Release ${release.tag_name}: ${assets.length} asset(s) matching "${pattern}" (${formatBytes(totalSize)})`);
 
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error('Failed to parse API response'));
-        }
+  const checksums = await loadChecksums(release, options);
+
+  const progress = createProgressDisplay(assets);
+  const results = await mapConcurrent(assets, options.concurrency || DEFAULT_CONCURRENCY, async (asset, i) => {
+    try {
+      const result = await downloadAsset(asset, outputFor(asset), checksums, {
+        ...options,
+        onProgress: (received, total) => progress.update(i, received, total)
       });
-    }).on('error', reject);
+      progress.finish(i, 'done');
+      return result;
+    } catch (e) {
+      progress.finish(i, 'failed');
+      return { name: asset.name, path: outputFor(asset), size: asset.size, sha256: null, verifiedBy: [], warnings: [], error: e.message };
+    }
   });
+
+  for (const result of results) {
+    if (result.error) {
+      console.log(`❌ ${result.name}: ${result.error}`);
+    } else {
+      printChecksumResult(result);
+    }
+  }
+  return results;
+}
+
+function printChecksumResult(result) {
+  for (const warning of result.warnings) {
+    console.log(`⚠️  ${warning}`);
+  }
+  if (result.verifiedBy.length > 0) {
+    console.log(`✅ ${result.name}: SHA-256 verified against ${result.verifiedBy.join(' and ')}: ${result.sha256}`);
+  } else {
+    console.log(`⚠️  ${result.name}: No published checksum; SHA-256 of the unverified download: ${result.sha256}`);
+  }
 }
 
-function downloadFile(url, outputPath) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      headers: { 'User-Agent': 'github-release-downloader' }
-    };
+// Checksum files and their signatures only come along when asked for by name
+function selectAssets(assets, pattern) {
+  if (!isGlobPattern(pattern)) {
+    return assets.filter(asset => asset.name === pattern);
+  }
+  return assets.filter(asset => matchGlob(pattern, asset.name) && !isChecksumAsset(asset.name));
+}
 
-    https.get(url, options, (res) => {
-      if (res.statusCode === 301 || res.statusCode === 302) {
-        return downloadFile(res.headers.location, outputPath).then(resolve).catch(reject);
-      }
+function isChecksumAsset(name) {
+  return CHECKSUM_ASSETS.some(sums => name === sums || name === `${sums}.sig`);
+}
 
-      if (res.statusCode !== 200) {
-        return reject(new Error(`Download failed with status ${res.statusCode}`));
-      }
+function isGlobPattern(pattern) {
+  return /[*?[{]/.test(pattern);
+}
 
-      const fileStream = fs.createWriteStream(outputPath);
-      res.pipe(fileStream);
-      
-      fileStream.on('finish', () => {
-        fileStream.close();
-        resolve();
-      });
-      
-      fileStream.on('error', (err) => {
-        fs.unlink(outputPath, () => {});
-        reject(err);
-      });
-    }).on('error', reject);
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Fetches a release from the GitHub API. Draft releases have no tag yet as
+ * far as the API is concerned, so with a token a tag that isn't found is
+ * also looked for among the drafts.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Release tag or 'latest'
+ * @param {object} [options] - apiUrl (default https://api.github.com; for
+ *   GitHub Enterprise, https://<host>/api/v3) and token
+ * @returns {Promise<object>} Release object as returned by the API
+ */
+async function fetchRelease(owner, repo, tag, options = {}) {
+  const repoUrl = `${apiBase(options)}/repos/${owner}/${repo}`;
+  const apiUrl = tag === 'latest' ? `${repoUrl}/releases/latest` : `${repoUrl}/releases/tags/${encodeURIComponent(tag)}`;
+
+  console.log(`Fetching release info from: ${apiUrl}`);
+  try {
+    return await fetchApi(apiUrl, options);
+  } catch (e) {
+    if (e.statusCode !== 404 || tag === 'latest' || !options.token) throw e;
+  }
+
+  const draft = (await listReleases(owner, repo, options)).find(release => release.draft && release.tag_name === tag);
+  if (!draft) {
+    throw new Error(`No release tagged "${tag}" in ${owner}/${repo}`);
+  }
+  return draft;
+}
+
+/**
+ * Lists every release of a repository, newest first, following pagination.
+ * Drafts are only included when the token may see them.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {object} [options] - apiUrl and token, as for fetchRelease
+ * @returns {Promise<object[]>} Release objects as returned by the API
+ */
+async function listReleases(owner, repo, options = {}) {
+  const perPage = 100;
+  const releases = [];
+  for (let page = 1; ; page++) {
+    const batch = await fetchApi(`${apiBase(options)}/repos/${owner}/${repo}/releases?per_page=${perPage}&page=${page}`, options);
+    releases.push(...batch);
+    if (batch.length < perPage) return releases;
+  }
+}
+
+async function fetchApi(url, options) {
+  try {
+    return await fetchJson(url, {
+      ...HTTP_OPTIONS,
+      headers: { ...HTTP_OPTIONS.headers, ...authorization(options), 'Accept': 'application/vnd.github.v3+json' }
+    });
+  } catch (e) {
+    // Both are what GitHub answers unauthenticated clients, for the rate
+    // limit and for private repositories respectively
+    if (!options.token && (e.statusCode === 403 || e.statusCode === 429)) {
+      e.message += ' (rate limited? Set GITHUB_TOKEN to authenticate)';
+    } else if (!options.token && e.statusCode === 404) {
+      e.message += ' (private repositories and draft releases need GITHUB_TOKEN)';
+    }
+    throw e;
+  }
+}
+
+function apiBase(options) {
+  return (options.apiUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+}
+
+function authorization(options) {
+  return options.token ? { 'Authorization': `Bearer ${options.token}` } : {};
+}
+
+// Assets of private repositories can only be downloaded through the API
+// with the token; it redirects to storage, which gets no Authorization header
+function assetRequest(asset, options) {
+  if (!options.token) {
+    return { url: asset.browser_download_url, httpOptions: HTTP_OPTIONS };
+  }
+  return {
+    url: asset.url,
+    httpOptions: {
+      ...HTTP_OPTIONS,
+      headers: { ...HTTP_OPTIONS.headers, ...authorization(options), 'Accept': 'application/octet-stream' }
+    }
+  };
+}
+
+/**
+ * Fetches the release's SHA256SUMS, if it has one. With a public key it must
+ * exist and carry a valid detached signature (SHA256SUMS.sig).
+ * @returns {Promise<{source: string, sums: Map<string, string>}|null>}
+ */
+async function loadChecksums(release, options) {
+  const sumsAsset = release.assets.find(a => CHECKSUM_ASSETS.includes(a.name));
+
+  if (options.publicKey && !sumsAsset) {
+    throw new Error(`--public-key needs a ${CHECKSUM_ASSETS[0]} asset and its detached signature in the release`);
+  }
+  if (!sumsAsset) return null;
+
+  const { url, httpOptions } = assetRequest(sumsAsset, options);
+  const sums = await fetchBuffer(url, httpOptions);
+  if (options.publicKey) {
+    const signatureAsset = release.assets.find(a => a.name === `${sumsAsset.name}.sig`);
+    if (!signatureAsset) {
+      throw new Error(`No ${sumsAsset.name}.sig asset to check the signature of ${sumsAsset.name}`);
+    }
+    const signatureRequest = assetRequest(signatureAsset, options);
+    const signature = await fetchBuffer(signatureRequest.url, signatureRequest.httpOptions);
+    if (!verifyDetached(sums, signature, options.publicKey)) {
+      throw new Error(`Signature ${signatureAsset.name} does not match ${sumsAsset.name} and the given public key`);
+    }
+    console.log(`✅ Signature on ${sumsAsset.name} verified`);
+  }
+
+  return { source: sumsAsset.name, sums: parseChecksums(sums.toString('utf8')) };
+}
+
+// Downloads one asset and checks it against every checksum published for it
+async function downloadAsset(asset, outputPath, checksums, options) {
+  const warnings = [];
+  const expected = [];
+
+  if (checksums) {
+    const listed = checksums.sums.get(asset.name);
+    if (listed) {
+      expected.push({ source: checksums.source, sha256: listed });
+    } else if (options.publicKey) {
+      throw new Error(`${asset.name} is not listed in the signed ${checksums.source}`);
+    } else if (!isChecksumAsset(asset.name)) {
+      warnings.push(`${asset.name} is not listed in ${checksums.source}`);
+    }
+  }
+
+  // GitHub computes this itself when an asset is uploaded ("sha256:<hex>")
+  const digest = /^sha256:([0-9a-f]{64})$/i.exec(asset.digest || '');
+  if (digest) {
+    expected.push({ source: 'the GitHub API digest', sha256: digest[1].toLowerCase() });
+  }
+
+  if (expected.length === 0 && options.requireChecksum) {
+    throw new Error(`No checksum published for ${asset.name} (no SHA256SUMS asset or API digest); ` +
+      'pass --skip-checksum to download it unverified');
+  }
+
+  const { url, httpOptions } = assetRequest(asset, options);
+  const sha256 = await downloadFile(url, outputPath, {
+    ...httpOptions,
+    hashAlgorithm: 'sha256',
+    onProgress: options.onProgress || null
   });
+
+  const mismatch = expected.find(checksum => checksum.sha256 !== sha256);
+  if (mismatch) {
+    fs.rmSync(outputPath, { force: true });
+    throw new Error(`SHA-256 mismatch for ${asset.name} (checked against ${mismatch.source}); the download was deleted\n` +
+      `  Expected: ${mismatch.sha256}\n  Actual:   ${sha256}`);
+  }
+
+  return {
+    name: asset.name,
+    path: outputPath,
+    size: asset.size,
+    sha256,
+    verifiedBy: expected.map(checksum => checksum.source),
+    warnings,
+    error: null
+  };
+}
+
+/**
+ * Parses `sha256sum` output: "<hex>  <name>", or "<hex> *<name>" for files
+ * hashed in binary mode.
+ * @param {string} text
+ * @returns {Map<string, string>} File name to lowercase hex digest
+ */
+function parseChecksums(text) {
+  const checksums = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^([0-9a-fA-F]{64}) [ *](.+)$/.exec(line.trim());
+    if (match) {
+      checksums.set(path.basename(match[2]), match[1].toLowerCase());
+    }
+  }
+  return checksums;
+}
+
+// Calls fn for every item with at most `limit` calls pending, keeping order
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// One line per asset on stderr. On a terminal the lines are redrawn in place;
+// otherwise each is printed once, when its download ends
+function createProgressDisplay(assets, stream = process.stderr) {
+  const rows = assets.map(asset => ({ name: asset.name, received: 0, total: asset.size || null, status: 'waiting' }));
+  const nameWidth = Math.max(...rows.map(row => row.name.length));
+  const interactive = Boolean(stream.isTTY);
+  let drawn = false;
+  let lastDraw = 0;
+
+  const describe = (row) => {
+    const name = row.name.padEnd(nameWidth);
+    if (row.status === 'waiting') return `${name}  waiting`;
+    if (row.status === 'failed') return `${name}  failed`;
+    const fraction = row.total ? Math.min(row.received / row.total, 1) : 0;
+    const filled = Math.round(fraction * 20);
+    const bar = `[${'#'.repeat(filled)}${'-'.repeat(20 - filled)}]`;
+    const percent = row.total ? `${Math.round(fraction * 100)}%`.padStart(4) : '   ?';
+    const size = `${formatBytes(row.received)}${row.total ? ` / ${formatBytes(row.total)}` : ''}`;
+    return `${name}  ${bar} ${percent}  ${size}${row.status === 'done' ? '  done' : ''}`;
+  };
+
+  const draw = (force) => {
+    const now = Date.now();
+    if (!interactive || (!force && now - lastDraw < 100)) return;
+    lastDraw = now;
+    // Move back up over the previous frame and overwrite it line by line
+    const up = drawn ? `\x1b[${rows.length}A` : '';
+    stream.write(up + rows.map(row => `\x1b[2K${describe(row)}\n`).join(''));
+    drawn = true;
+  };
+
+  draw(true);
+  return {
+    update(i, received, total) {
+      rows[i].status = 'downloading';
+      rows[i].received = received;
+      rows[i].total = total || rows[i].total;
+      draw(false);
+    },
+    finish(i, status) {
+      rows[i].status = status;
+      if (status === 'done' && rows[i].total) rows[i].received = rows[i].total;
+      if (interactive) {
+        draw(true);
+      } else {
+        stream.write(`${describe(rows[i])}\n`);
+      }
+    }
+  };
+}
+
+// The parts of a release worth printing or putting in JSON output
+function describeRelease(release) {
+  return {
+    tag: release.tag_name,
+    name: release.name || null,
+    draft: Boolean(release.draft),
+    prerelease: Boolean(release.prerelease),
+    publishedAt: release.published_at || null,
+    url: release.html_url || null,
+    assets: release.assets.map(asset => ({
+      name: asset.name,
+      size: asset.size,
+      digest: asset.digest || null,
+      downloadUrl: asset.browser_download_url
+    }))
+  };
+}
+
+function printReleases(releases) {
+  if (releases.length === 0) {
+    console.log('No releases found.');
+    return;
+  }
+  const rows = releases.map(release => [
+    release.tag,
+    release.publishedAt ? release.publishedAt.slice(0, 10) : '-',
+    String(release.assets.length),
+    [release.name, release.draft && '(draft)', release.prerelease && '(prerelease)'].filter(Boolean).join(' ')
+  ]);
+  printTable(['TAG', 'PUBLISHED', 'ASSETS', 'NAME'], rows);
+}
+
+function printAssets(release) {
+  const flags = [release.draft && 'draft', release.prerelease && 'prerelease'].filter(Boolean);
+  console.log(`Release ${release.tag}${release.name ? `: ${release.name}` : ''}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+  if (release.assets.length === 0) {
+    console.log('No assets.');
+    return;
+  }
+  console.log('');
+  const rows = release.assets.map(asset => [asset.name, formatBytes(asset.size), asset.digest || '-']);
+  printTable(['ASSET', 'SIZE', 'DIGEST'], rows);
+}
+
+function printTable(header, rows) {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  }
+}
+
+// Compares a downloaded zip with its upstream CEF build, as
+// verify-cef-integrity.js does, and returns that script's JSON report
+async function verifyIntegrity(zipPath) {
+  let run;
+  try {
+    run = await verifyBundle({ localZip: zipPath, cacheDir: defaultCacheDir(), onProgress: printVerifyProgress });
+  } catch (e) {
+    console.log(`❌ ${e.message}`);
+    return { passed: false, error: e.message };
+  }
+  for (const verdict of run.bundles.flatMap(bundle => bundle.verdicts)) {
+    if (!verdict.passed) {
+      const counts = Object.entries(verdict.summary).filter(([, count]) => count > 0).map(([field, count]) => `${count} ${field}`);
+      console.log(`   ❌ ${verdict.path}: ${[...verdict.problems, ...counts].join(', ')}`);
+    }
+  }
+  console.log(run.passed
+    ? `✅ ${zipPath} matches the upstream CEF build (signature changes only)`
+    : `❌ ${zipPath} has unexpected modifications; run verify-cef-integrity.js on it for details`);
+  return buildReport(run);
+}
+
+function printVerifyProgress(event) {
+  if (event.type === 'step') {
+    console.log(`   Step ${event.step}: ${event.message}`);
+  } else if (event.type === 'warning') {
+    console.log(`   ⚠️  ${event.message}`);
+  }
 }
 
 function formatBytes(bytes) {
@@ -103,24 +624,49 @@ function formatBytes(bytes) {
   return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 }
 
-if (require.main === module) {
-  const args = process.argv.slice(2);
-  
-  if (args.length < 4) {
-    console.log('Usage: node download-release.js <owner> <repo> <tag> <asset-name> [output-path]');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node download-release.js wowlocal cef-build-macos 73 cefclient.zip');
-    process.exit(1);
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    if (VALUE_OPTIONS.has(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+      options[name] = value;
+    } else if (FLAG_OPTIONS.has(name)) {
+      options[name] = true;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
   }
 
-  const [owner, repo, tag, assetName, outputPath = assetName] = args;
+  return { options, positionals };
+}
 
-  downloadGitHubRelease(owner, repo, tag, assetName, outputPath)
-    .catch(err => {
-      console.error('Error:', err.message);
-      process.exit(1);
-    });
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
 }
 
-module.exports = { downloadGitHubRelease, downloadFile, formatBytes };
+module.exports = {
+  downloadGitHubRelease,
+  downloadReleaseAssets,
+  downloadAssetsFromRelease,
+  fetchRelease,
+  listReleases,
+  downloadFile,
+  formatBytes,
+  parseChecksums
+};
@@ -0,0 +1,604 @@
+/**
+ * Zip and tar readers plus a safe extractor, so the verifier doesn't depend
+ * on host unzip/tar. Unlike those tools, extraction reports each entry's
+ * metadata: Unix mode bits, symlink targets and tar typeflags.
+ *
+ * Entries are plain objects: {path, type, mode, linkTarget, size, typeflag?}
+ * where type is 'file', 'directory', 'symlink', 'hardlink' or 'other'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const stream = require('stream');
+const util = require('util');
+const { bunzip2 } = require('./bzip2');
+
+const pipeline = util.promisify(stream.pipeline);
+
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+const S_IFREG = 0o100000;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIR = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_EXTRA_ID = 0x0001;
+const ZIP_HOST_UNIX = 3;
+
+const TAR_BLOCK = 512;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let j = 0; j < 8; j++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(crc, buffer) {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC32_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Extracts a zip archive.
+ * @param {string} zipPath - Zip file
+ * @param {string} destDir - Directory to extract into
+ * @returns {Promise<object[]>} Metadata of every entry
+ */
+function extractZip(zipPath, destDir) {
+  return extractEntries(readZip(zipPath), destDir);
+}
+
+/**
+ * Extracts a .tar.bz2 archive, decompressing and unpacking in one pass.
+ * @param {string} archivePath - Archive file
+ * @param {string} destDir - Directory to extract into
+ * @returns {Promise<object[]>} Metadata of every entry
+ */
+function extractTarBz2(archivePath, destDir) {
+  return extractEntries(readTar(bunzip2(fs.createReadStream(archivePath))), destDir);
+}
+
+/**
+ * Reads the entries of a zip archive from its central directory.
+ * @param {string} zipPath - Zip file
+ * @returns {AsyncGenerator<object>} Entries; `body()` yields a file's contents
+ */
+async function* readZip(zipPath) {
+  const fd = fs.openSync(zipPath, 'r');
+  try {
+    const { entryCount, directoryOffset, directorySize } = readZipEnd(fd);
+    const directory = readExactly(fd, directoryOffset, directorySize, 'central directory');
+
+    let pos = 0;
+    for (let i = 0; i < entryCount; i++) {
+      if (pos + 46 > directory.length || directory.readUInt32LE(pos) !== ZIP_CENTRAL_HEADER) {
+        throw new Error('Corrupt zip central directory');
+      }
+      const header = parseCentralHeader(directory, pos);
+      pos = header.next;
+      yield zipEntry(fd, header);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readZipEnd(fd) {
+  const fileSize = fs.fstatSync(fd).size;
+  // The end record is 22 bytes followed by a comment of up to 64k
+  const tailSize = Math.min(fileSize, 22 + 0xffff);
+  const tail = readExactly(fd, fileSize - tailSize, tailSize, 'end of zip');
+
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIR) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a zip file (no end of central directory record)');
+  }
+
+  let entryCount = tail.readUInt16LE(end + 10);
+  let directorySize = tail.readUInt32LE(end + 12);
+  let directoryOffset = tail.readUInt32LE(end + 16);
+
+  const locator = end - 20;
+  if (locator >= 0 && tail.readUInt32LE(locator) === ZIP64_LOCATOR) {
+    const recordOffset = readUInt64(tail, locator + 8);
+    const record = readExactly(fd, recordOffset, 56, 'zip64 end record');
+    if (record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIR) {
+      throw new Error('Corrupt zip64 end of central directory record');
+    }
+    entryCount = readUInt64(record, 32);
+    directorySize = readUInt64(record, 40);
+    directoryOffset = readUInt64(record, 48);
+  }
+
+  if (directoryOffset + directorySize > fileSize) {
+    throw new Error('Zip central directory extends past end of file');
+  }
+  return { entryCount, directoryOffset, directorySize };
+}
+
+function parseCentralHeader(directory, pos) {
+  const versionMadeBy = directory.readUInt16LE(pos + 4);
+  const flags = directory.readUInt16LE(pos + 8);
+  const nameLength = directory.readUInt16LE(pos + 28);
+  const extraLength = directory.readUInt16LE(pos + 30);
+  const commentLength = directory.readUInt16LE(pos + 32);
+  const nameStart = pos + 46;
+  const extraStart = nameStart + nameLength;
+  const next = extraStart + extraLength + commentLength;
+  if (next > directory.length) {
+    throw new Error('Corrupt zip central directory');
+  }
+
+  const header = {
+    host: versionMadeBy >> 8,
+    flags,
+    method: directory.readUInt16LE(pos + 10),
+    crc: directory.readUInt32LE(pos + 16),
+    compressedSize: directory.readUInt32LE(pos + 20),
+    size: directory.readUInt32LE(pos + 24),
+    externalAttributes: directory.readUInt32LE(pos + 38),
+    localHeaderOffset: directory.readUInt32LE(pos + 42),
+    // Bit 11 marks UTF-8 names; anything else is treated as Latin-1
+    name: directory.toString(flags & 0x800 ? 'utf8' : 'latin1', nameStart, extraStart),
+    next
+  };
+
+  // Fields that overflowed 32 bits live in the zip64 extra field, in order
+  const extra = directory.subarray(extraStart, extraStart + extraLength);
+  for (let i = 0; i + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(i);
+    const length = extra.readUInt16LE(i + 2);
+    if (id === ZIP64_EXTRA_ID) {
+      let field = i + 4;
+      for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+        if (header[key] === 0xffffffff && field + 8 <= i + 4 + length) {
+          header[key] = readUInt64(extra, field);
+          field += 8;
+        }
+      }
+    }
+    i += 4 + length;
+  }
+
+  return header;
+}
+
+function zipEntry(fd, header) {
+  const name = header.name;
+  let mode = header.host === ZIP_HOST_UNIX ? header.externalAttributes >>> 16 : 0;
+  if ((mode & S_IFMT) === 0) {
+    mode |= name.endsWith('/') ? S_IFDIR | 0o755 : S_IFREG | 0o644;
+  }
+
+  const format = mode & S_IFMT;
+  const type = format === S_IFDIR ? 'directory'
+    : format === S_IFLNK ? 'symlink'
+      : format === S_IFREG ? 'file' : 'other';
+
+  return {
+    path: name,
+    type,
+    mode: mode & 0o7777,
+    linkTarget: null,
+    size: header.size,
+    body: () => zipEntryBody(fd, header)
+  };
+}
+
+async function* zipEntryBody(fd, header) {
+  if (header.flags & 0x1) {
+    throw new Error(`Encrypted zip entries are not supported: ${header.name}`);
+  }
+  if (header.method !== 0 && header.method !== 8) {
+    throw new Error(`Unsupported zip compression method ${header.method}: ${header.name}`);
+  }
+
+  const local = readExactly(fd, header.localHeaderOffset, 30, 'zip local header');
+  if (local.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+    throw new Error(`Corrupt zip local header: ${header.name}`);
+  }
+  const dataStart = header.localHeaderOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+  let crc = 0;
+  let size = 0;
+  if (header.compressedSize > 0) {
+    const raw = fs.createReadStream(null, {
+      fd,
+      autoClose: false,
+      start: dataStart,
+      end: dataStart + header.compressedSize - 1
+    });
+    const data = header.method === 8 ? stream.pipeline(raw, zlib.createInflateRaw(), () => {}) : raw;
+    for await (const chunk of data) {
+      crc = crc32(crc, chunk);
+      size += chunk.length;
+      yield chunk;
+    }
+  }
+
+  if (size !== header.size || crc !== header.crc) {
+    throw new Error(`Zip entry failed its CRC check: ${header.name}`);
+  }
+}
+
+/**
+ * Reads the entries of a tar stream (ustar, GNU and pax variants).
+ * @param {AsyncIterable<Buffer>} source - Uncompressed tar data
+ * @returns {AsyncGenerator<object>} Entries; `body()` yields a file's contents
+ *   and must be consumed before the next entry is read, or it is skipped
+ */
+async function* readTar(source) {
+  const queue = new ByteQueue(source);
+  let longName = null;
+  let longLink = null;
+  let pax = {};
+
+  for (;;) {
+    const header = await queue.read(TAR_BLOCK);
+    // Archives end with zero blocks, but a bare end of stream is tolerated
+    if (header.length === 0 || isZeroBlock(header)) return;
+    if (header.length < TAR_BLOCK) {
+      throw new Error('Unexpected end of tar archive');
+    }
+    if (!tarChecksumMatches(header)) {
+      throw new Error('Corrupt tar header (checksum mismatch)');
+    }
+
+    const typeflag = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+    let size = readTarNumber(header, 124, 12);
+    const padding = (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+
+    // Extension headers describing the entry that follows
+    if (typeflag === 'L' || typeflag === 'K' || typeflag === 'x' || typeflag === 'g') {
+      const data = await queue.read(size + padding);
+      if (data.length < size + padding) {
+        throw new Error('Unexpected end of tar archive');
+      }
+      if (typeflag === 'L') longName = readTarString(data, 0, size);
+      if (typeflag === 'K') longLink = readTarString(data, 0, size);
+      if (typeflag === 'x') pax = parsePaxRecords(data.subarray(0, size));
+      continue;
+    }
+
+    let name = readTarString(header, 0, 100);
+    if (header.toString('latin1', 257, 263) === 'ustar\0') {
+      const prefix = readTarString(header, 345, 155);
+      if (prefix) name = `${prefix}/${name}`;
+    }
+    name = pax.path || longName || name;
+    const linkTarget = pax.linkpath || longLink || readTarString(header, 157, 100);
+    if (pax.size !== undefined) size = Number(pax.size);
+    const dataPadding = (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+
+    let type = 'other';
+    if (typeflag === '0' || typeflag === '7') type = name.endsWith('/') ? 'directory' : 'file';
+    if (typeflag === '1') type = 'hardlink';
+    if (typeflag === '2') type = 'symlink';
+    if (typeflag === '5') type = 'directory';
+
+    const body = { remaining: size };
+    yield {
+      path: name,
+      type,
+      mode: readTarNumber(header, 100, 8) & 0o7777,
+      linkTarget: type === 'symlink' || type === 'hardlink' ? linkTarget : null,
+      size,
+      typeflag,
+      body: () => queue.take(body)
+    };
+
+    await queue.skip(body.remaining + dataPadding);
+    body.remaining = 0;
+    longName = null;
+    longLink = null;
+    pax = {};
+  }
+}
+
+function isZeroBlock(block) {
+  for (let i = 0; i < block.length; i++) {
+    if (block[i] !== 0) return false;
+  }
+  return true;
+}
+
+function tarChecksumMatches(header) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    // The checksum field itself counts as spaces
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return readTarNumber(header, 148, 8) === sum;
+}
+
+function readTarString(buffer, offset, length) {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end < 0 ? field.length : end);
+}
+
+function readTarNumber(buffer, offset, length) {
+  // GNU base-256 encoding for values that don't fit in octal
+  if (buffer[offset] & 0x80) {
+    let value = buffer[offset] & 0x7f;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + buffer[offset + i];
+    }
+    return value;
+  }
+  const text = buffer.toString('latin1', offset, offset + length).replace(/[\0 ]+$/, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+// Pax records are "<length> <key>=<value>\n"
+function parsePaxRecords(data) {
+  const records = {};
+  let pos = 0;
+  while (pos < data.length) {
+    const space = data.indexOf(0x20, pos);
+    const length = parseInt(data.toString('latin1', pos, space), 10);
+    if (space < 0 || !(length > 0) || pos + length > data.length) {
+      throw new Error('Corrupt pax extended header');
+    }
+    const record = data.toString('utf8', space + 1, pos + length - 1);
+    const equals = record.indexOf('=');
+    if (equals > 0) {
+      records[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    pos += length;
+  }
+  return records;
+}
+
+class ByteQueue {
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.chunk = Buffer.alloc(0);
+    this.done = false;
+  }
+
+  async available() {
+    while (this.chunk.length === 0 && !this.done) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.done = true;
+      } else {
+        this.chunk = value;
+      }
+    }
+    return this.chunk.length > 0;
+  }
+
+  // Reads up to n bytes; fewer only at the end of the stream
+  async read(n) {
+    const parts = [];
+    let length = 0;
+    while (length < n && await this.available()) {
+      const part = this.chunk.subarray(0, n - length);
+      this.chunk = this.chunk.subarray(part.length);
+      parts.push(part);
+      length += part.length;
+    }
+    return Buffer.concat(parts);
+  }
+
+  async* take(state) {
+    while (state.remaining > 0) {
+      if (!await this.available()) {
+        throw new Error('Unexpected end of tar archive');
+      }
+      const part = this.chunk.subarray(0, state.remaining);
+      this.chunk = this.chunk.subarray(part.length);
+      state.remaining -= part.length;
+      yield part;
+    }
+  }
+
+  async skip(n) {
+    while (n > 0) {
+      if (!await this.available()) {
+        throw new Error('Unexpected end of tar archive');
+      }
+      const length = Math.min(n, this.chunk.length);
+      this.chunk = this.chunk.subarray(length);
+      n -= length;
+    }
+  }
+}
+
+/**
+ * Writes entries under destDir, refusing anything that would land outside
+ * it: absolute or `..` paths, writes through symlinks, and symlinks pointing
+ * out of the tree.
+ * @param {AsyncIterable<object>} entries - Entries from readZip or readTar
+ * @param {string} destDir - Directory to extract into
+ * @returns {Promise<object[]>} Entry metadata with normalized paths
+ */
+async function extractEntries(entries, destDir) {
+  const root = path.resolve(destDir);
+  fs.mkdirSync(root, { recursive: true });
+
+  const knownDirectories = new Set([root]);
+  const directoryModes = [];
+  const extracted = [];
+
+  for await (const entry of entries) {
+    const segments = entryPathSegments(entry.path);
+    if (segments.length === 0) continue; // the archive's own "./"
+
+    const target = path.join(root, ...segments);
+    ensureDirectory(root, path.dirname(target), knownDirectories);
+    const relativePath = segments.join('/');
+    let linkTarget = entry.linkTarget;
+
+    if (entry.type === 'directory') {
+      const existing = lstatIfExists(target);
+      if (existing && !existing.isDirectory()) {
+        throw new Error(`Refusing to extract ${relativePath}: a non-directory is already there`);
+      }
+      if (!existing) fs.mkdirSync(target, { mode: 0o755 });
+      knownDirectories.add(target);
+      // Applied at the end so read-only directories can still be filled
+      directoryModes.push({ target, mode: entry.mode });
+    } else if (entry.type === 'file') {
+      replaceExisting(target, relativePath);
+      await pipeline(stream.Readable.from(entry.body()), fs.createWriteStream(target, { mode: 0o600 }));
+      fs.chmodSync(target, entry.mode);
+    } else if (entry.type === 'symlink') {
+      if (linkTarget === null) {
+        // Zip stores the target as the entry's contents
+        const parts = [];
+        for await (const chunk of entry.body()) parts.push(chunk);
+        linkTarget = Buffer.concat(parts).toString('utf8');
+      }
+      checkSymlinkTarget(root, target, linkTarget, relativePath);
+      replaceExisting(target, relativePath);
+      fs.symlinkSync(linkTarget, target);
+    } else if (entry.type === 'hardlink') {
+      const source = path.join(root, ...entryPathSegments(entry.linkTarget));
+      // A symlink from earlier in the archive may sit on the way to the source
+      if (!isInsideRoot(root, realPathOfExisting(path.dirname(source)))) {
+        throw new Error(`Refusing to extract hardlink ${relativePath} -> ${entry.linkTarget}: source escapes the extraction directory`);
+      }
+      replaceExisting(target, relativePath);
+      fs.linkSync(source, target);
+    }
+
+    extracted.push({
+      path: relativePath,
+      type: entry.type,
+      mode: entry.mode,
+      linkTarget,
+      size: entry.size,
+      ...(entry.typeflag !== undefined ? { typeflag: entry.typeflag } : {})
+    });
+  }
+
+  for (const { target, mode } of directoryModes.reverse()) {
+    fs.chmodSync(target, mode);
+  }
+
+  return extracted;
+}
+
+function entryPathSegments(entryPath) {
+  if (!entryPath || entryPath.includes('\0') || entryPath.includes('\\') ||
+      entryPath.startsWith('/') || /^[A-Za-z]:/.test(entryPath)) {
+    throw new Error(`Refusing to extract ${JSON.stringify(entryPath)}: not a relative path`);
+  }
+  const segments = entryPath.split('/').filter(s => s !== '' && s !== '.');
+  if (segments.includes('..')) {
+    throw new Error(`Refusing to extract ${JSON.stringify(entryPath)}: path escapes the extraction directory`);
+  }
+  return segments;
+}
+
+// Creates the directories leading to an entry, refusing to follow symlinks
+// an earlier entry may have planted
+function ensureDirectory(root, directory, knownDirectories) {
+  if (knownDirectories.has(directory)) return;
+  ensureDirectory(root, path.dirname(directory), knownDirectories);
+
+  const stat = lstatIfExists(directory);
+  if (!stat) {
+    fs.mkdirSync(directory, { mode: 0o755 });
+  } else if (!stat.isDirectory()) {
+    throw new Error(`Refusing to extract through ${path.relative(root, directory)}: not a directory`);
+  }
+  knownDirectories.add(directory);
+}
+
+function checkSymlinkTarget(root, target, linkTarget, relativePath) {
+  if (!linkTarget || path.isAbsolute(linkTarget) || linkTarget.includes('\0')) {
+    throw new Error(`Refusing to extract symlink ${relativePath} -> ${linkTarget}: target is not a relative path`);
+  }
+  // `..` after a name climbs out of wherever that name really leads, which is
+  // somewhere else when the name is a symlink (`a/b -> ..` makes `a/b/..`
+  // the parent of the root), so only leading `..` segments are allowed
+  const segments = linkTarget.split('/').filter(s => s !== '' && s !== '.');
+  const firstName = segments.findIndex(s => s !== '..');
+  if (firstName !== -1 && segments.indexOf('..', firstName) !== -1) {
+    throw new Error(`Refusing to extract symlink ${relativePath} -> ${linkTarget}: target goes back up through a directory name`);
+  }
+  const resolved = path.resolve(path.dirname(target), linkTarget);
+  if (!isInsideRoot(root, resolved) || !isInsideRoot(root, realPathOfExisting(resolved))) {
+    throw new Error(`Refusing to extract symlink ${relativePath} -> ${linkTarget}: target escapes the extraction directory`);
+  }
+}
+
+function isInsideRoot(root, filePath) {
+  const realRoot = fs.realpathSync(root);
+  return filePath === root || filePath.startsWith(root + path.sep) ||
+    filePath === realRoot || filePath.startsWith(realRoot + path.sep);
+}
+
+// Follows the symlinks on disk along the part of filePath that already
+// exists; links that don't resolve yet are left to the checks on their own
+// targets
+function realPathOfExisting(filePath) {
+  for (let current = filePath; ; current = path.dirname(current)) {
+    try {
+      return path.join(fs.realpathSync(current), path.relative(current, filePath));
+    } catch (e) {
+      if (current === path.dirname(current)) throw e;
+    }
+  }
+}
+
+// Later archive entries replace earlier ones, except for directories
+function replaceExisting(target, relativePath) {
+  const stat = lstatIfExists(target);
+  if (!stat) return;
+  if (stat.isDirectory()) {
+    throw new Error(`Refusing to extract ${relativePath}: a directory is already there`);
+  }
+  fs.unlinkSync(target);
+}
+
+function lstatIfExists(filePath) {
+  try {
+    return fs.lstatSync(filePath);
+  } catch (e) {
+    return null;
+  }
+}
+
+function readExactly(fd, position, length, what) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  if (bytesRead !== length) {
+    throw new Error(`Truncated zip file (reading ${what})`);
+  }
+  return buffer;
+}
+
+function readUInt64(buffer, offset) {
+  return buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000;
+}
+
+module.exports = {
+  extractZip,
+  extractTarBz2,
+  extractEntries,
+  readZip,
+  readTar
+};
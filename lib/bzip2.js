@@ -0,0 +1,370 @@
+/**
+ * Streaming bzip2 decompressor. Node's zlib has no bzip2 support, and the
+ * upstream CEF distributions are .tar.bz2, so this implements the format
+ * directly: Huffman/MTF decoding, the inverse Burrows-Wheeler transform and
+ * the final run-length stage, with block and stream CRC checks.
+ */
+
+const BLOCK_MAGIC_HI = 0x314159;
+const BLOCK_MAGIC_LO = 0x265359;
+const EOS_MAGIC_HI = 0x177245;
+const EOS_MAGIC_LO = 0x385090;
+
+const MAX_GROUPS = 6;
+const MAX_SELECTORS = 18002;
+const MAX_CODE_LENGTH = 20;
+const GROUP_SIZE = 50;
+const RUNA = 0;
+const RUNB = 1;
+
+// A compressed block never exceeds its 900k uncompressed size by much, so
+// keeping this much input buffered lets each block decode synchronously
+const READ_AHEAD = 1200 * 1024;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i << 24;
+    for (let j = 0; j < 8; j++) {
+      c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+class BitReader {
+  constructor(source) {
+    this.source = source[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.pos = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.done = false;
+  }
+
+  async fill(minimum) {
+    let available = this.buffer.length - this.pos;
+    if (this.done || available >= minimum) return;
+
+    const parts = [this.buffer.subarray(this.pos)];
+    while (!this.done && available < minimum) {
+      const { value, done } = await this.source.next();
+      if (done) {
+        this.done = true;
+      } else {
+        parts.push(value);
+        available += value.length;
+      }
+    }
+    this.buffer = Buffer.concat(parts);
+    this.pos = 0;
+  }
+
+  bits(n) {
+    while (this.bitCount < n) {
+      if (this.pos >= this.buffer.length) {
+        throw new Error('Unexpected end of bzip2 data');
+      }
+      this.bitBuffer = (this.bitBuffer << 8) | this.buffer[this.pos++];
+      this.bitCount += 8;
+    }
+    this.bitCount -= n;
+    return (this.bitBuffer >>> this.bitCount) & ((1 << n) - 1);
+  }
+
+  bit() {
+    return this.bits(1);
+  }
+
+  alignToByte() {
+    this.bitCount -= this.bitCount % 8;
+  }
+
+  async atEnd() {
+    await this.fill(1);
+    return this.bitCount < 8 && this.pos >= this.buffer.length;
+  }
+}
+
+/**
+ * Decompresses a bzip2 stream, including concatenated streams as written
+ * by parallel compressors.
+ * @param {AsyncIterable<Buffer>} source - Compressed chunks
+ * @returns {AsyncGenerator<Buffer>} Decompressed chunks, one or more per block
+ */
+async function* bunzip2(source) {
+  const reader = new BitReader(source);
+  let streams = 0;
+
+  for (;;) {
+    await reader.fill(4);
+    if (streams > 0 && await reader.atEnd()) return;
+
+    if (reader.bits(8) !== 0x42 || reader.bits(8) !== 0x5a || reader.bits(8) !== 0x68) {
+      throw new Error(streams === 0 ? 'Not a bzip2 file' : 'Trailing garbage after bzip2 stream');
+    }
+    const level = reader.bits(8) - 0x30;
+    if (level < 1 || level > 9) {
+      throw new Error('Invalid bzip2 block size');
+    }
+    const blockSize = level * 100000;
+    const tt = new Uint32Array(blockSize);
+    let combinedCrc = 0;
+
+    for (;;) {
+      await reader.fill(READ_AHEAD);
+      const magicHi = reader.bits(24);
+      const magicLo = reader.bits(24);
+      const storedCrc = ((reader.bits(16) << 16) | reader.bits(16)) >>> 0;
+
+      if (magicHi === EOS_MAGIC_HI && magicLo === EOS_MAGIC_LO) {
+        if (storedCrc !== combinedCrc) {
+          throw new Error('bzip2 stream CRC mismatch');
+        }
+        reader.alignToByte();
+        break;
+      }
+      if (magicHi !== BLOCK_MAGIC_HI || magicLo !== BLOCK_MAGIC_LO) {
+        throw new Error('Invalid bzip2 block header');
+      }
+
+      const { chunks, crc } = decodeBlock(reader, tt, blockSize);
+      if (crc !== storedCrc) {
+        throw new Error('bzip2 block CRC mismatch');
+      }
+      combinedCrc = (((combinedCrc << 1) | (combinedCrc >>> 31)) ^ crc) >>> 0;
+
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+    }
+
+    streams++;
+  }
+}
+
+function decodeBlock(reader, tt, blockSize) {
+  if (reader.bit()) {
+    throw new Error('Randomised bzip2 blocks are not supported');
+  }
+  const origPtr = reader.bits(24);
+
+  // Which byte values occur in the block
+  const seqToUnseq = [];
+  const usedGroups = reader.bits(16);
+  for (let i = 0; i < 16; i++) {
+    if (usedGroups & (0x8000 >> i)) {
+      const used = reader.bits(16);
+      for (let j = 0; j < 16; j++) {
+        if (used & (0x8000 >> j)) seqToUnseq.push(i * 16 + j);
+      }
+    }
+  }
+  if (seqToUnseq.length === 0) {
+    throw new Error('bzip2 block uses no symbols');
+  }
+  const alphaSize = seqToUnseq.length + 2;
+
+  const nGroups = reader.bits(3);
+  if (nGroups < 2 || nGroups > MAX_GROUPS) {
+    throw new Error('Invalid number of bzip2 Huffman groups');
+  }
+  const nSelectors = reader.bits(15);
+  if (nSelectors < 1) {
+    throw new Error('Invalid number of bzip2 selectors');
+  }
+
+  // Selectors are MTF-encoded unary numbers; extras beyond the format's
+  // limit are read and discarded like the reference decoder does
+  const groupOrder = Array.from({ length: nGroups }, (_, i) => i);
+  const selectors = new Uint8Array(Math.min(nSelectors, MAX_SELECTORS));
+  for (let i = 0; i < nSelectors; i++) {
+    let j = 0;
+    while (reader.bit()) {
+      if (++j >= nGroups) throw new Error('Invalid bzip2 selector');
+    }
+    const group = groupOrder[j];
+    groupOrder.splice(j, 1);
+    groupOrder.unshift(group);
+    if (i < MAX_SELECTORS) selectors[i] = group;
+  }
+
+  const tables = [];
+  for (let t = 0; t < nGroups; t++) {
+    const lengths = new Uint8Array(alphaSize);
+    let current = reader.bits(5);
+    for (let i = 0; i < alphaSize; i++) {
+      for (;;) {
+        if (current < 1 || current > MAX_CODE_LENGTH) {
+          throw new Error('Invalid bzip2 Huffman code length');
+        }
+        if (!reader.bit()) break;
+        current += reader.bit() ? -1 : 1;
+      }
+      lengths[i] = current;
+    }
+    tables.push(buildHuffmanTable(lengths));
+  }
+
+  // Huffman + MTF + RUNA/RUNB decoding into tt
+  const endOfBlock = seqToUnseq.length + 1;
+  const mtf = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) mtf[i] = i;
+  const counts = new Uint32Array(256);
+
+  let nblock = 0;
+  let selectorIndex = 0;
+  let groupRemaining = 0;
+  let table = null;
+  let runLength = 0;
+  let runWeight = 1;
+
+  const nextSymbol = () => {
+    if (groupRemaining === 0) {
+      if (selectorIndex >= selectors.length) throw new Error('bzip2 selector overflow');
+      table = tables[selectors[selectorIndex++]];
+      groupRemaining = GROUP_SIZE;
+    }
+    groupRemaining--;
+
+    let length = table.minLength;
+    let code = reader.bits(length);
+    while (code > table.limit[length]) {
+      if (++length > table.maxLength) throw new Error('Invalid bzip2 Huffman code');
+      code = (code << 1) | reader.bit();
+    }
+    const index = code - table.base[length];
+    if (index < 0 || index >= alphaSize) throw new Error('Invalid bzip2 Huffman code');
+    return table.perm[index];
+  };
+
+  const flushRun = () => {
+    if (runLength === 0) return;
+    const byte = seqToUnseq[mtf[0]];
+    if (nblock + runLength > blockSize) throw new Error('bzip2 block overflow');
+    counts[byte] += runLength;
+    tt.fill(byte, nblock, nblock + runLength);
+    nblock += runLength;
+    runLength = 0;
+    runWeight = 1;
+  };
+
+  for (;;) {
+    const symbol = nextSymbol();
+    if (symbol === RUNA || symbol === RUNB) {
+      runLength += (symbol === RUNA ? 1 : 2) * runWeight;
+      runWeight *= 2;
+      if (runLength > blockSize) throw new Error('bzip2 run overflow');
+      continue;
+    }
+
+    flushRun();
+    if (symbol === endOfBlock) break;
+
+    const position = symbol - 1;
+    const value = mtf[position];
+    mtf.copyWithin(1, 0, position);
+    mtf[0] = value;
+
+    if (nblock >= blockSize) throw new Error('bzip2 block overflow');
+    const byte = seqToUnseq[value];
+    counts[byte]++;
+    tt[nblock++] = byte;
+  }
+
+  if (origPtr >= nblock) {
+    throw new Error('Invalid bzip2 origin pointer');
+  }
+
+  // Inverse BWT: link each position to its successor in the upper 24 bits
+  const cumulative = new Uint32Array(256);
+  for (let i = 0, sum = 0; i < 256; i++) {
+    cumulative[i] = sum;
+    sum += counts[i];
+  }
+  for (let i = 0; i < nblock; i++) {
+    const byte = tt[i] & 0xff;
+    tt[cumulative[byte]++] |= i << 8;
+  }
+
+  // Walk the chain and undo the initial run-length encoding: four equal
+  // bytes are followed by a count of further repeats
+  const chunks = [];
+  let out = Buffer.allocUnsafe(64 * 1024);
+  let outPos = 0;
+  let crc = 0xffffffff;
+  const emit = (byte) => {
+    if (outPos === out.length) {
+      chunks.push(out);
+      out = Buffer.allocUnsafe(64 * 1024);
+      outPos = 0;
+    }
+    out[outPos++] = byte;
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  };
+
+  let pos = tt[origPtr] >>> 8;
+  let last = -1;
+  let repeat = 0;
+  for (let i = 0; i < nblock; i++) {
+    const entry = tt[pos];
+    const byte = entry & 0xff;
+    pos = entry >>> 8;
+
+    if (repeat === 4) {
+      for (let r = 0; r < byte; r++) emit(last);
+      repeat = 0;
+      last = -1;
+      continue;
+    }
+    if (byte === last) {
+      repeat++;
+    } else {
+      repeat = 1;
+      last = byte;
+    }
+    emit(byte);
+  }
+
+  if (outPos > 0) {
+    chunks.push(out.subarray(0, outPos));
+  }
+  return { chunks, crc: ~crc >>> 0 };
+}
+
+function buildHuffmanTable(lengths) {
+  let minLength = MAX_CODE_LENGTH;
+  let maxLength = 0;
+  for (const length of lengths) {
+    if (length < minLength) minLength = length;
+    if (length > maxLength) maxLength = length;
+  }
+
+  // Canonical code tables in the layout the reference decoder uses
+  const perm = [];
+  for (let length = minLength; length <= maxLength; length++) {
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+      if (lengths[symbol] === length) perm.push(symbol);
+    }
+  }
+
+  const base = new Int32Array(MAX_CODE_LENGTH + 2);
+  const limit = new Int32Array(MAX_CODE_LENGTH + 1).fill(-1);
+  for (const length of lengths) base[length + 1]++;
+  for (let i = 1; i < base.length; i++) base[i] += base[i - 1];
+
+  let code = 0;
+  for (let length = minLength; length <= maxLength; length++) {
+    code += base[length + 1] - base[length];
+    limit[length] = code - 1;
+    code <<= 1;
+  }
+  for (let length = minLength + 1; length <= maxLength; length++) {
+    base[length] = ((limit[length - 1] + 1) << 1) - base[length];
+  }
+
+  return { minLength, maxLength, limit, base, perm };
+}
+
+module.exports = { bunzip2 };
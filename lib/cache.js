@@ -0,0 +1,60 @@
+/**
+ * Persistent content-addressed cache for upstream CEF archives, keyed by the
+ * SHA1 published in the builds index. Callers must still hash a cached file
+ * before trusting it; the key only says what it is supposed to contain.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * @returns {string} $XDG_CACHE_HOME/cef-verify, or the platform's usual
+ *   per-user cache directory
+ */
+function defaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME ||
+    path.join(os.homedir(), process.platform === 'darwin' ? path.join('Library', 'Caches') : '.cache');
+  return path.join(base, 'cef-verify');
+}
+
+function cachePath(cacheDir, sha1) {
+  const key = String(sha1).toLowerCase();
+  if (!/^[0-9a-f]{40}$/.test(key)) {
+    throw new Error(`Invalid SHA1 cache key: ${sha1}`);
+  }
+  return path.join(cacheDir, 'sha1', key.slice(0, 2), key);
+}
+
+/**
+ * @returns {string|null} Path of the cached archive with this SHA1, if any
+ */
+function findCached(cacheDir, sha1) {
+  const cached = cachePath(cacheDir, sha1);
+  return fs.existsSync(cached) ? cached : null;
+}
+
+/**
+ * Copies a verified archive into the cache. The copy is renamed into place
+ * so a concurrent reader never sees a partial file.
+ * @returns {string} Path of the cached copy
+ */
+function addToCache(cacheDir, sha1, filePath) {
+  const cached = cachePath(cacheDir, sha1);
+  fs.mkdirSync(path.dirname(cached), { recursive: true });
+  const temp = `${cached}.${process.pid}.tmp`;
+  try {
+    fs.copyFileSync(filePath, temp);
+    fs.renameSync(temp, cached);
+  } catch (e) {
+    fs.rmSync(temp, { force: true });
+    throw e;
+  }
+  return cached;
+}
+
+function removeFromCache(cacheDir, sha1) {
+  fs.rmSync(cachePath(cacheDir, sha1), { force: true });
+}
+
+module.exports = { defaultCacheDir, findCached, addToCache, removeFromCache };
@@ -0,0 +1,350 @@
+/**
+ * Decoder for the embedded code signature that LC_CODE_SIGNATURE points at:
+ * the SuperBlob index, its CodeDirectories and the CMS signature wrapper.
+ * All code signing structures are big-endian regardless of the binary.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const der = require('./der');
+
+const CSMAGIC_REQUIREMENTS = 0xfade0c01;
+const CSMAGIC_CODEDIRECTORY = 0xfade0c02;
+const CSMAGIC_EMBEDDED_SIGNATURE = 0xfade0cc0;
+const CSMAGIC_EMBEDDED_ENTITLEMENTS = 0xfade7171;
+const CSMAGIC_EMBEDDED_DER_ENTITLEMENTS = 0xfade7172;
+const CSMAGIC_BLOBWRAPPER = 0xfade0b01;
+
+const CSSLOT_CODEDIRECTORY = 0;
+const CSSLOT_INFOSLOT = 1;
+const CSSLOT_REQUIREMENTS = 2;
+const CSSLOT_RESOURCEDIR = 3;
+const CSSLOT_APPLICATION = 4;
+const CSSLOT_ENTITLEMENTS = 5;
+const CSSLOT_DER_ENTITLEMENTS = 7;
+const CSSLOT_ALTERNATE_CODEDIRECTORIES = 0x1000;
+const CSSLOT_ALTERNATE_CODEDIRECTORY_LIMIT = 0x1005;
+const CSSLOT_SIGNATURESLOT = 0x10000;
+
+const HASH_TYPES = {
+  1: { name: 'sha1', algorithm: 'sha1', size: 20 },
+  2: { name: 'sha256', algorithm: 'sha256', size: 32 },
+  3: { name: 'sha256-truncated', algorithm: 'sha256', size: 20 },
+  4: { name: 'sha384', algorithm: 'sha384', size: 48 }
+};
+
+// Preference order when several CodeDirectories are present, matching the
+// one codesign reports as the CDHash
+const HASH_TYPE_RANK = { 4: 3, 2: 2, 3: 1, 1: 0 };
+
+const CODE_DIRECTORY_FLAGS = {
+  0x1: 'host',
+  0x2: 'adhoc',
+  0x100: 'hard',
+  0x200: 'kill',
+  0x400: 'expires',
+  0x800: 'restrict',
+  0x1000: 'enforcement',
+  0x2000: 'library-validation',
+  0x10000: 'runtime',
+  0x20000: 'linker-signed'
+};
+
+/**
+ * Reads and decodes the code signature of one Mach-O slice.
+ * @param {string} filePath - Path to the binary
+ * @param {number} sliceOffset - File offset of the slice
+ * @param {object} macho - Parsed header of the slice (see readMachO)
+ * @returns {object|null} Decoded signature, or null if the slice is unsigned
+ */
+function readCodeSignature(filePath, sliceOffset, macho) {
+  if (!macho.codeSignature) {
+    return null;
+  }
+
+  const { dataoff, datasize } = macho.codeSignature;
+  const buffer = Buffer.alloc(datasize);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    if (fs.readSync(fd, buffer, 0, datasize, sliceOffset + dataoff) < datasize) {
+      throw new Error('Code signature extends past end of file');
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return parseCodeSignature(buffer);
+}
+
+/**
+ * Decodes an embedded signature SuperBlob.
+ * @param {Buffer} buffer - The bytes LC_CODE_SIGNATURE points at
+ * @returns {object} Blobs by slot, CodeDirectories, the preferred
+ *   CodeDirectory's identity fields, and the CMS signing certificates
+ */
+function parseCodeSignature(buffer) {
+  const blobs = parseSuperBlob(buffer);
+
+  const codeDirectories = blobs
+    .filter(b => isCodeDirectorySlot(b.slot))
+    .map(b => parseCodeDirectory(b.data, b.slot));
+  if (codeDirectories.length === 0) {
+    throw new Error('Code signature has no CodeDirectory');
+  }
+
+  const codeDirectory = codeDirectories.reduce((best, cd) =>
+    (HASH_TYPE_RANK[cd.hashType] || -1) > (HASH_TYPE_RANK[best.hashType] || -1) ? cd : best);
+
+  const wrapper = blobs.find(b => b.slot === CSSLOT_SIGNATURESLOT);
+  const certificates = wrapper && wrapper.magic === CSMAGIC_BLOBWRAPPER
+    ? parseCmsCertificates(wrapper.data.subarray(8))
+    : [];
+
+  return {
+    blobs,
+    codeDirectories,
+    codeDirectory,
+    identifier: codeDirectory.identifier,
+    teamId: codeDirectory.teamId,
+    cdhash: codeDirectory.cdhash,
+    hashType: codeDirectory.hashTypeName,
+    flags: codeDirectory.flagNames,
+    adhoc: certificates.length === 0,
+    certificates
+  };
+}
+
+/**
+ * Recomputes every hash a signature's CodeDirectories commit to: the code
+ * pages up to the code limit and the special slots (Info.plist, internal
+ * requirements, resource seal, entitlements).
+ * @param {string} filePath - Path to the binary
+ * @param {number} sliceOffset - File offset of the slice
+ * @param {object} macho - Parsed header of the slice (see readMachO)
+ * @param {object} signature - Decoded signature (see readCodeSignature)
+ * @param {{infoPlist?: Buffer|null, codeResources?: Buffer|null}} [bundleFiles] -
+ *   Contents of the bundle files bound by the signature, null if absent
+ * @returns {string[]} Problems found, empty if every hash checks out
+ */
+function validateCodeDirectories(filePath, sliceOffset, macho, signature, bundleFiles = {}) {
+  const problems = [];
+
+  const blobBySlot = (slot) => {
+    const blob = signature.blobs.find(b => b.slot === slot);
+    return blob ? blob.data : null;
+  };
+  const specialSlots = [
+    { slot: CSSLOT_INFOSLOT, name: 'Info.plist', data: bundleFiles.infoPlist || null },
+    { slot: CSSLOT_REQUIREMENTS, name: 'internal requirements', data: blobBySlot(CSSLOT_REQUIREMENTS) },
+    { slot: CSSLOT_RESOURCEDIR, name: 'resource seal (CodeResources)', data: bundleFiles.codeResources || null },
+    { slot: CSSLOT_ENTITLEMENTS, name: 'entitlements', data: blobBySlot(CSSLOT_ENTITLEMENTS) },
+    { slot: CSSLOT_DER_ENTITLEMENTS, name: 'DER entitlements', data: blobBySlot(CSSLOT_DER_ENTITLEMENTS) }
+  ];
+
+  for (const cd of signature.codeDirectories) {
+    const label = `${cd.hashTypeName} CodeDirectory`;
+    const { algorithm } = HASH_TYPES[cd.hashType];
+    const digest = (data) => crypto.createHash(algorithm).update(data).digest().subarray(0, cd.hashSize);
+
+    if (cd.codeLimit !== macho.codeSignature.dataoff) {
+      problems.push(`${label}: code limit 0x${cd.codeLimit.toString(16)} does not end at the signature (0x${macho.codeSignature.dataoff.toString(16)})`);
+    }
+
+    const pageSize = cd.pageSize || cd.codeLimit;
+    const expectedSlots = pageSize ? Math.ceil(cd.codeLimit / pageSize) : 0;
+    if (cd.nCodeSlots !== expectedSlots) {
+      problems.push(`${label}: has ${cd.nCodeSlots} code slots, expected ${expectedSlots}`);
+    }
+
+    const badPages = [];
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const page = Buffer.alloc(pageSize);
+      for (let i = 0; i < Math.min(cd.nCodeSlots, expectedSlots); i++) {
+        const start = i * pageSize;
+        const length = Math.min(pageSize, cd.codeLimit - start);
+        const bytesRead = fs.readSync(fd, page, 0, length, sliceOffset + start);
+        const stored = cd.data.subarray(cd.hashOffset + i * cd.hashSize, cd.hashOffset + (i + 1) * cd.hashSize);
+        if (!digest(page.subarray(0, bytesRead)).equals(stored)) {
+          badPages.push(i);
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (badPages.length > 0) {
+      problems.push(`${label}: ${badPages.length} of ${cd.nCodeSlots} code page hashes do not match (first at offset 0x${(badPages[0] * pageSize).toString(16)})`);
+    }
+
+    for (const { slot, name, data } of specialSlots) {
+      const stored = slot <= cd.nSpecialSlots
+        ? cd.data.subarray(cd.hashOffset - slot * cd.hashSize, cd.hashOffset - (slot - 1) * cd.hashSize)
+        : null;
+      const isBound = stored && stored.some(byte => byte !== 0);
+
+      if (!isBound) {
+        // Info.plist and CodeResources may legitimately exist without being
+        // bound (e.g. a dylib next to a bundle's files); signature blobs may not
+        if (data && slot !== CSSLOT_INFOSLOT && slot !== CSSLOT_RESOURCEDIR) {
+          problems.push(`${label}: ${name} present but not bound by the CodeDirectory`);
+        }
+        continue;
+      }
+      if (!data) {
+        problems.push(`${label}: ${name} is bound by the CodeDirectory but missing`);
+      } else if (!digest(data).equals(stored)) {
+        problems.push(`${label}: ${name} hash does not match`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function parseSuperBlob(buffer) {
+  if (buffer.length < 12 || buffer.readUInt32BE(0) !== CSMAGIC_EMBEDDED_SIGNATURE) {
+    throw new Error('Code signature is not an embedded signature SuperBlob');
+  }
+
+  const length = Math.min(buffer.readUInt32BE(4), buffer.length);
+  const count = buffer.readUInt32BE(8);
+  if (12 + count * 8 > length) {
+    throw new Error('SuperBlob index extends past end of signature');
+  }
+
+  const blobs = [];
+  for (let i = 0; i < count; i++) {
+    const slot = buffer.readUInt32BE(12 + i * 8);
+    const offset = buffer.readUInt32BE(16 + i * 8);
+    if (offset + 8 > length) {
+      throw new Error(`Blob for slot 0x${slot.toString(16)} starts past end of signature`);
+    }
+    const magic = buffer.readUInt32BE(offset);
+    const blobLength = buffer.readUInt32BE(offset + 4);
+    if (blobLength < 8 || offset + blobLength > length) {
+      throw new Error(`Blob for slot 0x${slot.toString(16)} has invalid length ${blobLength}`);
+    }
+    blobs.push({ slot, magic, data: buffer.subarray(offset, offset + blobLength) });
+  }
+  return blobs;
+}
+
+function isCodeDirectorySlot(slot) {
+  return slot === CSSLOT_CODEDIRECTORY ||
+    (slot >= CSSLOT_ALTERNATE_CODEDIRECTORIES && slot < CSSLOT_ALTERNATE_CODEDIRECTORY_LIMIT);
+}
+
+function parseCodeDirectory(data, slot) {
+  if (data.length < 44 || data.readUInt32BE(0) !== CSMAGIC_CODEDIRECTORY) {
+    throw new Error(`Slot 0x${slot.toString(16)} does not hold a CodeDirectory`);
+  }
+
+  const version = data.readUInt32BE(8);
+  const flags = data.readUInt32BE(12);
+  const hashType = data[37];
+  const hashInfo = HASH_TYPES[hashType];
+  if (!hashInfo) {
+    throw new Error(`Unsupported CodeDirectory hash type ${hashType}`);
+  }
+
+  const identOffset = data.readUInt32BE(20);
+  const teamOffset = version >= 0x20200 && data.length >= 52 ? data.readUInt32BE(48) : 0;
+  const codeLimit64 = version >= 0x20300 && data.length >= 64 ? Number(data.readBigUInt64BE(56)) : 0;
+
+  const cdhash = crypto.createHash(hashInfo.algorithm).update(data).digest().subarray(0, 20);
+
+  return {
+    slot,
+    version,
+    flags,
+    flagNames: describeFlags(flags),
+    hashOffset: data.readUInt32BE(16),
+    identifier: readCString(data, identOffset),
+    teamId: teamOffset ? readCString(data, teamOffset) : null,
+    nSpecialSlots: data.readUInt32BE(24),
+    nCodeSlots: data.readUInt32BE(28),
+    codeLimit: codeLimit64 || data.readUInt32BE(32),
+    hashSize: data[36],
+    hashType,
+    hashTypeName: hashInfo.name,
+    pageSize: data[39] ? Math.pow(2, data[39]) : 0,
+    cdhash: cdhash.toString('hex'),
+    data
+  };
+}
+
+/**
+ * Extracts subject and issuer of every certificate in a CMS SignedData blob.
+ * Ad-hoc signatures carry an empty wrapper and yield no certificates.
+ */
+function parseCmsCertificates(payload) {
+  if (payload.length === 0) {
+    return [];
+  }
+
+  try {
+    const contentInfo = der.readElement(payload);
+    const [, explicitContent] = der.readChildren(contentInfo);
+    const [signedData] = der.readChildren(explicitContent);
+
+    const certificates = [];
+    for (const field of der.readChildren(signedData)) {
+      // certificates [0] IMPLICIT SET OF Certificate
+      if (field.cls === 2 && field.tag === 0) {
+        for (const certificate of der.readChildren(field)) {
+          certificates.push(parseCertificate(certificate));
+        }
+      }
+    }
+    return certificates;
+  } catch (e) {
+    throw new Error(`Failed to parse CMS signature: ${e.message}`);
+  }
+}
+
+function parseCertificate(certificate) {
+  const [tbsCertificate] = der.readChildren(certificate);
+  const fields = der.readChildren(tbsCertificate);
+
+  // Skip the optional [0] EXPLICIT version, then serialNumber and signature
+  // come before issuer, validity and subject
+  const base = fields[0].cls === 2 && fields[0].tag === 0 ? 1 : 0;
+  const issuer = der.decodeName(fields[base + 2]);
+  const subject = der.decodeName(fields[base + 4]);
+
+  return {
+    subject: der.formatName(subject),
+    issuer: der.formatName(issuer),
+    subjectAttributes: subject
+  };
+}
+
+function describeFlags(flags) {
+  return Object.keys(CODE_DIRECTORY_FLAGS)
+    .filter(bit => flags & Number(bit))
+    .map(bit => CODE_DIRECTORY_FLAGS[bit]);
+}
+
+function readCString(buffer, offset) {
+  if (!offset || offset >= buffer.length) return null;
+  const nul = buffer.indexOf(0, offset);
+  return buffer.toString('utf8', offset, nul === -1 ? buffer.length : nul);
+}
+
+module.exports = {
+  CSMAGIC_REQUIREMENTS,
+  CSMAGIC_EMBEDDED_ENTITLEMENTS,
+  CSMAGIC_EMBEDDED_DER_ENTITLEMENTS,
+  CSSLOT_CODEDIRECTORY,
+  CSSLOT_INFOSLOT,
+  CSSLOT_REQUIREMENTS,
+  CSSLOT_RESOURCEDIR,
+  CSSLOT_APPLICATION,
+  CSSLOT_ENTITLEMENTS,
+  CSSLOT_DER_ENTITLEMENTS,
+  CSSLOT_SIGNATURESLOT,
+  HASH_TYPES,
+  readCodeSignature,
+  parseCodeSignature,
+  validateCodeDirectories
+};
@@ -0,0 +1,15 @@
+/**
+ * Worker thread entry point: runs compareFiles for the pool in
+ * worker-pool.js, one file pair per message.
+ */
+
+const { parentPort } = require('worker_threads');
+const { compareFiles } = require('./compare');
+
+parentPort.on('message', ({ id, args }) => {
+  try {
+    parentPort.postMessage({ id, result: compareFiles(...args) });
+  } catch (e) {
+    parentPort.postMessage({ id, error: e.message });
+  }
+});
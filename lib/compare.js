@@ -0,0 +1,384 @@
+/**
+ * File comparison between a re-signed CEF build and the upstream one. This
+ * module has no other state, so it runs equally well in the main thread or
+ * in a comparison worker (see compare-worker.js).
+ */
+
+const crypto = require('crypto');
+const { LC_CODE_SIGNATURE, isMachO, readSlices, readMachO, isZerofillSection } = require('./macho');
+const { hashFile, hashFileRange, hashFileRanges, rangeIsZero } = require('./hash');
+const { explainDifference } = require('./explain');
+
+/**
+ * Compares a local file with its upstream counterpart. Mach-O binaries that
+ * differ are compared structurally so that re-signing alone is recognised.
+ * @param {string} localPath - File from the re-signed build
+ * @param {string} originalPath - File from the upstream build
+ * @param {object} [options] - explain: also describe how a modified file
+ *   differs; name: path to show in that explanation; architectures: only
+ *   compare these slices of the local binary, for universal builds that
+ *   merge several upstream builds
+ * @returns {{status: string, architectures: object[]|null, findings: string[],
+ *   explanation: string[]|null, localHash: string, originalHash: string}}
+ *   status is 'match', 'signature-only' or 'modified'; hashes are SHA-256
+ */
+function compareFiles(localPath, originalPath, { explain = false, name, architectures = null } = {}) {
+  const comparison = compareContents(localPath, originalPath, architectures);
+  const explanation = explain && comparison.status === 'modified'
+    ? explainDifference(localPath, originalPath, name)
+    : null;
+  return { ...comparison, explanation };
+}
+
+function compareContents(localPath, originalPath, onlyArchitectures) {
+  const localHash = hashFile(localPath);
+  const originalHash = hashFile(originalPath);
+
+  const hashes = { localHash, originalHash };
+
+  if (localHash === originalHash) {
+    return { status: 'match', architectures: null, findings: [], ...hashes };
+  }
+
+  // If hashes differ, check if it's a Mach-O binary (signature difference)
+  if (isMachO(localPath) && isMachO(originalPath)) {
+    try {
+      // Universal binaries are compared slice by slice so that a modified
+      // slice for one architecture can't hide behind a clean one
+      const allLocalSlices = readSlices(localPath);
+      const originalSlices = readSlices(originalPath);
+      const localSlices = onlyArchitectures
+        ? allLocalSlices.filter(slice => onlyArchitectures.includes(slice.arch))
+        : allLocalSlices;
+      const architectures = compareSlices(localPath, localSlices, originalPath, originalSlices);
+
+      const isUniversal = allLocalSlices.length > 1 || originalSlices.length > 1 ||
+        architectures.some(a => a.status === 'missing' || a.status === 'extra');
+
+      const findings = [];
+      for (const { arch, findings: sliceFindings } of architectures) {
+        for (const finding of sliceFindings) {
+          findings.push(isUniversal ? `${arch}: ${finding}` : finding);
+        }
+      }
+
+      return {
+        status: summarizeArchitectures(architectures, localSlices.length < allLocalSlices.length),
+        architectures: isUniversal ? architectures.map(({ arch, status }) => ({ arch, status })) : null,
+        findings,
+        ...hashes
+      };
+    } catch (e) {
+      return { status: 'modified', architectures: null, findings: [`Could not read Mach-O slices: ${e.message}`], ...hashes };
+    }
+  }
+
+  return { status: 'modified', architectures: null, findings: [], ...hashes };
+}
+
+function compareSlices(localPath, localSlices, originalPath, originalSlices) {
+  const localByArch = new Map(localSlices.map(s => [s.arch, s]));
+  const originalByArch = new Map(originalSlices.map(s => [s.arch, s]));
+  const architectures = [];
+
+  for (const originalSlice of originalSlices) {
+    const localSlice = localByArch.get(originalSlice.arch);
+    const comparison = localSlice
+      ? compareSlice(localPath, localSlice, originalPath, originalSlice)
+      : { status: 'missing', findings: ['Architecture missing from local binary'] };
+    architectures.push({ arch: originalSlice.arch, ...comparison });
+  }
+
+  for (const localSlice of localSlices) {
+    if (!originalByArch.has(localSlice.arch)) {
+      architectures.push({ arch: localSlice.arch, status: 'extra', findings: ['Architecture not present in original binary'] });
+    }
+  }
+
+  return architectures;
+}
+
+function compareSlice(localPath, localSlice, originalPath, originalSlice) {
+  const localHash = hashFileRange(localPath, localSlice.offset, localSlice.size);
+  const originalHash = hashFileRange(originalPath, originalSlice.offset, originalSlice.size);
+  if (localHash === originalHash) {
+    return { status: 'match', findings: [] };
+  }
+
+  let localMacho;
+  let originalMacho;
+  try {
+    localMacho = readMachO(localPath, localSlice.offset);
+    originalMacho = readMachO(originalPath, originalSlice.offset);
+  } catch (e) {
+    return { status: 'modified', findings: [`Could not parse Mach-O: ${e.message}`] };
+  }
+
+  // Signing only adds LC_CODE_SIGNATURE and grows __LINKEDIT; anything else
+  // in the header or load commands is a real modification
+  const findings = compareLoadCommands(localMacho, originalMacho);
+  findings.push(...compareLinkedit(localPath, localSlice.offset, localMacho, originalPath, originalSlice.offset, originalMacho));
+
+  try {
+    // Compare code sections parsed from the Mach-O load commands
+    // The __TEXT and __DATA segments contain the actual code
+    const localSegmentHash = hashMachOSegments(localPath, localSlice.offset);
+    const originalSegmentHash = hashMachOSegments(originalPath, originalSlice.offset);
+    if (localSegmentHash !== originalSegmentHash) {
+      findings.push('Section contents differ');
+    }
+  } catch (e) {
+    findings.push(e.message);
+  }
+
+  return { status: findings.length === 0 ? 'signature-only' : 'modified', findings };
+}
+
+function compareLoadCommands(localMacho, originalMacho) {
+  const findings = [];
+
+  for (const field of ['cputype', 'cpusubtype', 'filetype', 'flags']) {
+    if (localMacho[field] !== originalMacho[field]) {
+      findings.push(`Mach-O header ${field} changed (0x${originalMacho[field].toString(16)} -> 0x${localMacho[field].toString(16)})`);
+    }
+  }
+
+  const normalize = (macho) => macho.loadCommands
+    .filter(lc => lc.cmd !== LC_CODE_SIGNATURE)
+    .map(lc => ({ ...lc, normalized: normalizeLoadCommand(macho, lc) }));
+  const localCommands = normalize(localMacho);
+  const originalCommands = normalize(originalMacho);
+
+  // Anchor on byte-identical commands, then pair up what's left between
+  // anchors by command type so a rewritten LC_RPATH reads as "changed"
+  // rather than one removal plus one addition
+  const anchors = longestCommonSubsequence(localCommands, originalCommands,
+    (a, b) => a.normalized.equals(b.normalized));
+  anchors.push([localCommands.length, originalCommands.length]);
+
+  let localStart = 0;
+  let originalStart = 0;
+  for (const [localIndex, originalIndex] of anchors) {
+    const added = localCommands.slice(localStart, localIndex);
+    const removed = originalCommands.slice(originalStart, originalIndex);
+
+    for (const original of removed) {
+      const pairIndex = added.findIndex(lc => lc.cmd === original.cmd);
+      if (pairIndex === -1) {
+        findings.push(`${describeLoadCommand(original)} removed`);
+        continue;
+      }
+      const [local] = added.splice(pairIndex, 1);
+      const from = describeLoadCommand(original);
+      const to = describeLoadCommand(local);
+      findings.push(from === to ? `${to} changed` : `${from} changed to ${to}`);
+    }
+    for (const local of added) {
+      findings.push(`${describeLoadCommand(local)} added`);
+    }
+
+    localStart = localIndex + 1;
+    originalStart = originalIndex + 1;
+  }
+
+  return findings;
+}
+
+function compareLinkedit(localPath, localBase, localMacho, originalPath, originalBase, originalMacho) {
+  const findings = [];
+  const originalLinkedit = originalMacho.segments.find(s => s.segname === '__LINKEDIT');
+  const localLinkedit = localMacho.segments.find(s => s.segname === '__LINKEDIT');
+  if (!originalLinkedit || !localLinkedit) {
+    return findings;
+  }
+
+  const rangesEqual = (localOffset, originalOffset, size) =>
+    hashFileRange(localPath, localBase + localOffset, size) ===
+    hashFileRange(originalPath, originalBase + originalOffset, size);
+
+  // Symbol tables, dyld info, fixups etc. are compared one by one so a
+  // finding names the table that changed
+  const localRegions = new Map(localMacho.linkeditData.map(r => [r.name, r]));
+  for (const region of originalMacho.linkeditData) {
+    const localRegion = localRegions.get(region.name);
+    // Added or removed tables already show up as load command changes
+    if (!localRegion || localRegion.size !== region.size) continue;
+    if (!rangesEqual(localRegion.offset, region.offset, region.size)) {
+      findings.push(`__LINKEDIT ${region.name} differs`);
+    }
+  }
+
+  // Everything before the signature must be accounted for, including
+  // bytes no load command points at
+  const originalEnd = originalMacho.codeSignature
+    ? originalMacho.codeSignature.dataoff
+    : originalLinkedit.fileoff + originalLinkedit.filesize;
+  const localEnd = localMacho.codeSignature
+    ? localMacho.codeSignature.dataoff
+    : localLinkedit.fileoff + localLinkedit.filesize;
+
+  for (const region of localMacho.linkeditData) {
+    if (localMacho.codeSignature && region.offset + region.size > localEnd) {
+      findings.push(`Code signature overlaps __LINKEDIT ${region.name}`);
+    }
+  }
+
+  if (localLinkedit.fileoff === originalLinkedit.fileoff) {
+    const unreferenced = uncoveredRanges(originalLinkedit.fileoff, Math.min(originalEnd, localEnd), originalMacho.linkeditData);
+    if (unreferenced.some(([start, end]) => !rangesEqual(start, start, end - start))) {
+      findings.push('__LINKEDIT bytes outside known tables differ');
+    }
+  }
+
+  // codesign aligns the signature blob, leaving zero padding behind the
+  // original __LINKEDIT contents
+  if (localEnd > originalEnd && !rangeIsZero(localPath, localBase + originalEnd, localEnd - originalEnd)) {
+    findings.push('Non-zero padding before code signature');
+  }
+
+  return findings;
+}
+
+function uncoveredRanges(start, end, regions) {
+  const sorted = regions
+    .map(r => [Math.max(r.offset, start), Math.min(r.offset + r.size, end)])
+    .filter(([from, to]) => from < to)
+    .sort((a, b) => a[0] - b[0]);
+
+  const ranges = [];
+  let cursor = start;
+  for (const [from, to] of sorted) {
+    if (from > cursor) ranges.push([cursor, from]);
+    cursor = Math.max(cursor, to);
+  }
+  if (cursor < end) ranges.push([cursor, end]);
+  return ranges;
+}
+
+function normalizeLoadCommand(macho, loadCommand) {
+  if (loadCommand.segname !== '__LINKEDIT') {
+    return loadCommand.raw;
+  }
+  // __LINKEDIT grows to hold the signature, so its vmsize and filesize
+  // are expected to change
+  const normalized = Buffer.from(loadCommand.raw);
+  if (macho.is64) {
+    normalized.fill(0, 32, 40);
+    normalized.fill(0, 48, 56);
+  } else {
+    normalized.fill(0, 28, 32);
+    normalized.fill(0, 36, 40);
+  }
+  return normalized;
+}
+
+function describeLoadCommand(loadCommand) {
+  const detail = loadCommand.segname || loadCommand.path;
+  return detail ? `${loadCommand.name} (${detail})` : loadCommand.name;
+}
+
+function longestCommonSubsequence(a, b, equals) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = equals(a[i], b[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (equals(a[i], b[j])) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+// `merged` means slices for other builds were left out of the comparison,
+// so the universal header is expected to differ from upstream
+function summarizeArchitectures(architectures, merged) {
+  if (architectures.some(a => a.status !== 'match' && a.status !== 'signature-only')) {
+    return 'modified';
+  }
+  if (merged && architectures.every(a => a.status === 'match')) {
+    return 'match';
+  }
+  // When every slice matches byte-for-byte but the file as a whole doesn't,
+  // the difference is in the universal header or padding, not the signature
+  if (architectures.some(a => a.status === 'signature-only')) {
+    return 'signature-only';
+  }
+  return 'modified';
+}
+
+function hashMachOSegments(filePath, sliceOffset = 0) {
+  // Compare actual code sections (__text, __data, etc.) not entire segments
+  // because the Mach-O header (part of __TEXT segment) changes when signing
+  try {
+    const macho = readMachO(filePath, sliceOffset);
+
+    const sections = [];
+    for (const segment of macho.segments) {
+      // Skip sections that might be modified by signing
+      if (segment.segname === '__LINKEDIT') continue;
+
+      for (const section of segment.sections) {
+        // Skip zerofill sections (__bss, __common), they have no file contents
+        if (isZerofillSection(section)) continue;
+
+        // Skip empty sections
+        if (section.size === 0) continue;
+
+        sections.push(section);
+      }
+    }
+    
+    if (sections.length === 0) {
+      throw new Error('No sections found');
+    }
+    
+    return hashFileRanges(filePath, sections.map(section => [sliceOffset + section.offset, section.size]));
+  } catch (e) {
+    throw new Error(`Failed to hash segments: ${e.message}`);
+  }
+}
+
+/**
+ * Hashes the parts of a Mach-O slice that code signing leaves alone: section
+ * contents (as hashMachOSegments does), the header and load commands without
+ * LC_CODE_SIGNATURE and the size of __LINKEDIT, and the __LINKEDIT tables.
+ * Two slices with the same hashes differ at most in their signatures.
+ * @param {string} filePath - Path to the binary
+ * @param {number} [sliceOffset=0] - File offset of the slice
+ * @returns {{sections: string, loadCommands: string, linkedit: string}} SHA-256 hex digests
+ */
+function normalizedMachOHashes(filePath, sliceOffset = 0) {
+  const macho = readMachO(filePath, sliceOffset);
+  const loadCommands = crypto.createHash('sha256');
+  for (const field of ['cputype', 'cpusubtype', 'filetype', 'flags']) {
+    loadCommands.update(`${field}=${macho[field]}\n`);
+  }
+  for (const loadCommand of macho.loadCommands) {
+    if (loadCommand.cmd !== LC_CODE_SIGNATURE) {
+      loadCommands.update(normalizeLoadCommand(macho, loadCommand));
+    }
+  }
+
+  return {
+    sections: hashMachOSegments(filePath, sliceOffset),
+    loadCommands: loadCommands.digest('hex'),
+    linkedit: hashFileRanges(filePath, macho.linkeditData.map(region => [sliceOffset + region.offset, region.size]))
+  };
+}
+
+module.exports = { compareFiles, normalizedMachOHashes };
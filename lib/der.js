@@ -0,0 +1,158 @@
+/**
+ * Minimal ASN.1 DER reader, enough to walk CMS signatures, X.509 names and
+ * DER-encoded entitlements. Values are returned as views into the input.
+ */
+
+const TAG_BOOLEAN = 0x01;
+const TAG_INTEGER = 0x02;
+const TAG_OCTET_STRING = 0x04;
+const TAG_OID = 0x06;
+const TAG_UTF8_STRING = 0x0c;
+const TAG_SEQUENCE = 0x10;
+const TAG_SET = 0x11;
+
+const NAME_ATTRIBUTES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '0.9.2342.19200300.100.1.1': 'UID',
+  '1.2.840.113549.1.9.1': 'emailAddress'
+};
+
+/**
+ * Reads one TLV element.
+ * @param {Buffer} buffer - DER bytes
+ * @param {number} [offset=0] - Where the element starts
+ * @returns {{cls: number, constructed: boolean, tag: number, start: number, end: number, value: Buffer}}
+ */
+function readElement(buffer, offset = 0) {
+  if (offset + 2 > buffer.length) {
+    throw new Error('Truncated DER element');
+  }
+
+  const first = buffer[offset];
+  const cls = first >> 6;
+  const constructed = (first & 0x20) !== 0;
+  let tag = first & 0x1f;
+  let pos = offset + 1;
+
+  if (tag === 0x1f) {
+    tag = 0;
+    let byte;
+    do {
+      if (pos >= buffer.length) throw new Error('Truncated DER tag');
+      byte = buffer[pos++];
+      tag = tag * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+  }
+
+  let length = buffer[pos++];
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count === 0 || count > 4) {
+      throw new Error('Unsupported DER length encoding');
+    }
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      if (pos >= buffer.length) throw new Error('Truncated DER length');
+      length = length * 256 + buffer[pos++];
+    }
+  }
+
+  const end = pos + length;
+  if (end > buffer.length) {
+    throw new Error('DER element extends past end of buffer');
+  }
+
+  return { cls, constructed, tag, start: offset, end, value: buffer.subarray(pos, end) };
+}
+
+function readChildren(element) {
+  const children = [];
+  let offset = 0;
+  while (offset < element.value.length) {
+    const child = readElement(element.value, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+function decodeOid(value) {
+  const parts = [];
+  let current = 0;
+  for (const byte of value) {
+    current = current * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(current);
+      current = 0;
+    }
+  }
+  if (parts.length === 0) return '';
+  const first = parts[0] < 80 ? Math.floor(parts[0] / 40) : 2;
+  return [first, parts[0] - first * 40, ...parts.slice(1)].join('.');
+}
+
+function decodeInteger(value) {
+  let result = 0;
+  for (const byte of value) {
+    result = result * 256 + byte;
+  }
+  // Two's complement for negative values
+  if (value.length > 0 && value[0] & 0x80) {
+    result -= Math.pow(256, value.length);
+  }
+  return result;
+}
+
+function decodeString(element) {
+  // BMPString is UTF-16BE; everything else we meet in certificates is
+  // ASCII-compatible
+  if (element.tag === 0x1e) {
+    const swapped = Buffer.from(element.value);
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  return element.value.toString(element.tag === TAG_UTF8_STRING ? 'utf8' : 'latin1');
+}
+
+/**
+ * Decodes an X.509 Name into an ordered list of attributes.
+ * @param {object} element - The Name SEQUENCE
+ * @returns {Array<{type: string, value: string}>}
+ */
+function decodeName(element) {
+  const attributes = [];
+  for (const rdn of readChildren(element)) {
+    for (const pair of readChildren(rdn)) {
+      const [oid, value] = readChildren(pair);
+      const type = decodeOid(oid.value);
+      attributes.push({ type: NAME_ATTRIBUTES[type] || type, value: decodeString(value) });
+    }
+  }
+  return attributes;
+}
+
+function formatName(attributes) {
+  return attributes.map(({ type, value }) => `${type}=${value}`).join(', ');
+}
+
+module.exports = {
+  TAG_BOOLEAN,
+  TAG_INTEGER,
+  TAG_OCTET_STRING,
+  TAG_OID,
+  TAG_UTF8_STRING,
+  TAG_SEQUENCE,
+  TAG_SET,
+  readElement,
+  readChildren,
+  decodeOid,
+  decodeInteger,
+  decodeString,
+  decodeName,
+  formatName
+};
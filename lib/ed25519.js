@@ -0,0 +1,78 @@
+/**
+ * Ed25519 keys and signatures, used for release manifests and for the
+ * detached signatures on published checksums.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const SIGNATURE_SIZE = 64;
+
+/**
+ * @param {string} keyPath - PEM or DER (PKCS#8) Ed25519 private key
+ * @returns {crypto.KeyObject}
+ */
+function loadSigningKey(keyPath) {
+  return checkEd25519(readKey(keyPath, crypto.createPrivateKey, 'pkcs8'), keyPath);
+}
+
+/**
+ * @param {string} keyPath - PEM or DER (SPKI) Ed25519 public key; a private
+ *   key file works too
+ * @returns {crypto.KeyObject}
+ */
+function loadPublicKey(keyPath) {
+  return checkEd25519(readKey(keyPath, crypto.createPublicKey, 'spki'), keyPath);
+}
+
+function readKey(keyPath, create, derType) {
+  let data;
+  try {
+    data = fs.readFileSync(keyPath);
+  } catch (e) {
+    throw new Error(`Failed to read key: ${e.message}`);
+  }
+  const isPem = data.includes('-----BEGIN');
+  try {
+    return isPem ? create(data) : create({ key: data, format: 'der', type: derType });
+  } catch (e) {
+    throw new Error(`Failed to load key ${keyPath}: ${e.message}`);
+  }
+}
+
+function checkEd25519(key, keyPath) {
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`${keyPath} is a ${key.asymmetricKeyType} key, expected Ed25519`);
+  }
+  return key;
+}
+
+/**
+ * @param {crypto.KeyObject} key - Private or public key
+ * @returns {string} SHA-256 of the DER public key, which names the key in
+ *   a signed manifest
+ */
+function keyId(key) {
+  const publicKey = key.type === 'private' ? crypto.createPublicKey(key) : key;
+  return crypto.createHash('sha256').update(publicKey.export({ format: 'der', type: 'spki' })).digest('hex');
+}
+
+/**
+ * Checks a detached signature, given either as the raw 64 bytes (as
+ * `openssl pkeyutl -sign -rawin` writes it) or base64-encoded.
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature - Contents of the signature file
+ * @param {crypto.KeyObject} publicKey
+ * @returns {boolean}
+ */
+function verifyDetached(data, signature, publicKey) {
+  const raw = signature.length === SIGNATURE_SIZE
+    ? signature
+    : Buffer.from(signature.toString('latin1').trim(), 'base64');
+  if (raw.length !== SIGNATURE_SIZE) {
+    return false;
+  }
+  return crypto.verify(null, data, publicKey, raw);
+}
+
+module.exports = { loadSigningKey, loadPublicKey, keyId, verifyDetached };
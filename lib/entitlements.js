@@ -0,0 +1,170 @@
+/**
+ * Entitlements embedded in a code signature, in both the XML plist form and
+ * the DER form newer versions of codesign add alongside it.
+ */
+
+const fs = require('fs');
+const der = require('./der');
+const { parsePlist } = require('./plist');
+const {
+  CSMAGIC_EMBEDDED_ENTITLEMENTS,
+  CSMAGIC_EMBEDDED_DER_ENTITLEMENTS,
+  CSSLOT_ENTITLEMENTS,
+  CSSLOT_DER_ENTITLEMENTS
+} = require('./codesign');
+
+// Entitlements that weaken the hardened runtime or allow attaching to the
+// process; flagged whenever present, even if allowed
+const RISKY_ENTITLEMENTS = [
+  'com.apple.security.cs.disable-library-validation',
+  'com.apple.security.cs.allow-unsigned-executable-memory',
+  'com.apple.security.cs.allow-dyld-environment-variables',
+  'com.apple.security.cs.disable-executable-page-protection',
+  'com.apple.security.cs.debugger',
+  'com.apple.security.get-task-allow'
+];
+
+const DEFAULT_POLICY = {
+  // V8 needs MAP_JIT under the hardened runtime
+  allow: ['com.apple.security.cs.allow-jit'],
+  risky: RISKY_ENTITLEMENTS
+};
+
+/**
+ * Decodes the entitlements carried by a signature.
+ * @param {object} signature - Decoded signature (see readCodeSignature)
+ * @returns {{entitlements: object, xml: object|null, der: object|null, problems: string[]}}
+ */
+function readEntitlements(signature) {
+  const problems = [];
+  const decode = (slot, magic, decoder, label) => {
+    const blob = signature.blobs.find(b => b.slot === slot);
+    if (!blob) return null;
+    if (blob.magic !== magic) {
+      problems.push(`${label} entitlements blob has unexpected magic 0x${blob.magic.toString(16)}`);
+      return null;
+    }
+    try {
+      return decoder(blob.data.subarray(8));
+    } catch (e) {
+      problems.push(`Could not decode ${label} entitlements: ${e.message}`);
+      return null;
+    }
+  };
+
+  const xml = decode(CSSLOT_ENTITLEMENTS, CSMAGIC_EMBEDDED_ENTITLEMENTS, parsePlist, 'XML');
+  const derValue = decode(CSSLOT_DER_ENTITLEMENTS, CSMAGIC_EMBEDDED_DER_ENTITLEMENTS, decodeDerEntitlements, 'DER');
+
+  // The kernel reads the DER form, codesign -d shows the XML one; they
+  // must not say different things
+  if (xml && derValue && !sameValue(xml, derValue)) {
+    problems.push('XML and DER entitlements disagree');
+  }
+
+  return { entitlements: { ...(xml || {}), ...(derValue || {}) }, xml, der: derValue, problems };
+}
+
+/**
+ * Decodes DER entitlements: [APPLICATION 16] { INTEGER 1, [16] dict } where
+ * a dict is a [16] of SEQUENCE { UTF8String key, value } pairs.
+ */
+function decodeDerEntitlements(payload) {
+  const root = der.readElement(payload);
+  if (root.cls !== 1 || root.tag !== 16) {
+    throw new Error('Missing DER entitlements envelope');
+  }
+  const [version, dict] = der.readChildren(root);
+  if (!version || version.tag !== der.TAG_INTEGER || der.decodeInteger(version.value) !== 1) {
+    throw new Error('Unsupported DER entitlements version');
+  }
+  return decodeDerValue(dict);
+}
+
+function decodeDerValue(element) {
+  if (element.cls === 2 && element.tag === 16) {
+    const dict = {};
+    for (const pair of der.readChildren(element)) {
+      const [key, value] = der.readChildren(pair);
+      Object.defineProperty(dict, der.decodeString(key), {
+        value: decodeDerValue(value),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+    }
+    return dict;
+  }
+
+  if (element.cls === 0) {
+    switch (element.tag) {
+      case der.TAG_BOOLEAN: return element.value[0] !== 0;
+      case der.TAG_INTEGER: return der.decodeInteger(element.value);
+      case der.TAG_UTF8_STRING: return der.decodeString(element);
+      case der.TAG_SEQUENCE: return der.readChildren(element).map(decodeDerValue);
+    }
+  }
+  throw new Error(`Unsupported DER entitlement value (tag ${element.tag})`);
+}
+
+/**
+ * Loads an entitlements policy file.
+ * @param {string} policyPath - JSON file with `allow` and optionally `risky` key lists
+ * @returns {{allow: string[], risky: string[]}}
+ */
+function loadEntitlementsPolicy(policyPath) {
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read entitlements policy: ${e.message}`);
+  }
+
+  for (const field of ['allow', 'risky']) {
+    if (policy[field] !== undefined &&
+        (!Array.isArray(policy[field]) || policy[field].some(k => typeof k !== 'string'))) {
+      throw new Error(`Entitlements policy field "${field}" must be an array of strings`);
+    }
+  }
+
+  return {
+    allow: policy.allow || [],
+    risky: policy.risky || RISKY_ENTITLEMENTS
+  };
+}
+
+/**
+ * Checks entitlements against a policy. Keys set to false grant nothing and
+ * are ignored.
+ * @returns {{key: string, risky: boolean, allowed: boolean}[]}
+ */
+function auditEntitlements(entitlements, policy = DEFAULT_POLICY) {
+  return Object.keys(entitlements)
+    .filter(key => entitlements[key] !== false)
+    .map(key => ({
+      key,
+      risky: policy.risky.includes(key),
+      allowed: policy.allow.includes(key)
+    }));
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => sameValue(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameValue(a[key], b[key]));
+  }
+  return false;
+}
+
+module.exports = {
+  RISKY_ENTITLEMENTS,
+  DEFAULT_POLICY,
+  readEntitlements,
+  decodeDerEntitlements,
+  loadEntitlementsPolicy,
+  auditEntitlements
+};
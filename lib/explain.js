@@ -0,0 +1,500 @@
+/**
+ * Explains why a file was reported as modified, so a failure can be triaged
+ * without hexdumping: which sections differ in a Mach-O binary, which keys
+ * changed in a plist, a unified diff for text resources (and for listings of
+ * .pak resource bundles) and the first differing byte for anything else.
+ */
+
+const fs = require('fs');
+const { isMachO, readSlices, readMachO, isZerofillSection } = require('./macho');
+const { hashFileRange } = require('./hash');
+const { parsePlist } = require('./plist');
+
+const CHUNK_SIZE = 1024 * 1024;
+
+// Larger files are explained as binaries rather than diffed line by line or
+// key by key; only files up to this size are read into memory
+const MAX_TEXT_SIZE = 4 * 1024 * 1024;
+const MAX_PAK_SIZE = 256 * 1024 * 1024;
+
+// Cells of the LCS table left after trimming the common prefix and suffix;
+// beyond this the changed region is shown as one removal plus one addition
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+const DIFF_CONTEXT = 3;
+const MAX_LINES = 100;
+
+/**
+ * Describes how a modified file differs from its upstream counterpart.
+ * @param {string} localPath - File from the re-signed build
+ * @param {string} originalPath - File from the upstream build
+ * @param {string} [name] - Path shown in unified diff headers
+ * @returns {string[]} Lines of explanation, at most MAX_LINES plus a note
+ */
+function explainDifference(localPath, originalPath, name = 'file') {
+  let lines;
+  try {
+    lines = explain(localPath, originalPath, name);
+  } catch (e) {
+    lines = [`Could not explain difference: ${e.message}`];
+  }
+
+  if (lines.length > MAX_LINES) {
+    const omitted = lines.length - MAX_LINES;
+    lines = [...lines.slice(0, MAX_LINES), `... ${omitted} more line(s)`];
+  }
+  return lines;
+}
+
+function explain(localPath, originalPath, name) {
+  if (isMachO(localPath) && isMachO(originalPath)) {
+    return explainMachO(localPath, originalPath);
+  }
+
+  const localSize = fs.statSync(localPath).size;
+  const originalSize = fs.statSync(originalPath).size;
+
+  const small = localSize <= MAX_TEXT_SIZE && originalSize <= MAX_TEXT_SIZE;
+  const local = small ? fs.readFileSync(localPath) : null;
+  const original = small ? fs.readFileSync(originalPath) : null;
+
+  if (small && isPlistFile(name, local) && isPlistFile(name, original)) {
+    const plistLines = explainPlist(local, original);
+    if (plistLines) return plistLines;
+  }
+
+  // Resource bundles are listed from their index, hashing each resource
+  // in place rather than reading the bundle into memory
+  if (name.endsWith('.pak') && localSize <= MAX_PAK_SIZE && originalSize <= MAX_PAK_SIZE) {
+    const localListing = pakListing(localPath, localSize);
+    const originalListing = pakListing(originalPath, originalSize);
+    if (localListing && originalListing) {
+      const diff = unifiedDiff(originalListing, localListing, `${name} (resource listing)`);
+      if (diff.length > 0) return diff;
+    }
+  }
+
+  const localText = small ? decodeText(local) : null;
+  const originalText = small ? decodeText(original) : null;
+  if (localText !== null && originalText !== null) {
+    const diff = unifiedDiff(splitLines(originalText), splitLines(localText), name);
+    if (diff.length > 0) return diff;
+  }
+
+  return explainBinary(localPath, localSize, originalPath, originalSize);
+}
+
+// Mach-O: compare section by section in each architecture both sides share;
+// load command and __LINKEDIT changes are already covered by the findings
+function explainMachO(localPath, originalPath) {
+  const localSlices = readSlices(localPath);
+  const originalSlices = readSlices(originalPath);
+  const localByArch = new Map(localSlices.map(s => [s.arch, s]));
+  const isUniversal = localSlices.length > 1 || originalSlices.length > 1;
+  const lines = [];
+
+  for (const originalSlice of originalSlices) {
+    const localSlice = localByArch.get(originalSlice.arch);
+    if (!localSlice) continue;
+
+    const prefix = isUniversal ? `${originalSlice.arch}: ` : '';
+    const sliceLines = explainSlice(localPath, localSlice.offset, originalPath, originalSlice.offset);
+    if (sliceLines.length === 0) {
+      if (hashFileRange(localPath, localSlice.offset, localSlice.size) !== hashFileRange(originalPath, originalSlice.offset, originalSlice.size)) {
+        lines.push(`${prefix}section contents are identical; the difference is in the header, load commands or __LINKEDIT`);
+      }
+      continue;
+    }
+    lines.push(...sliceLines.map(line => prefix + line));
+  }
+
+  if (lines.length === 0) {
+    lines.push('All shared architectures are identical; the difference is in the universal header or padding');
+  }
+  return lines;
+}
+
+function explainSlice(localPath, localOffset, originalPath, originalOffset) {
+  const sectionsOf = (macho) => new Map(macho.segments
+    .filter(segment => segment.segname !== '__LINKEDIT')
+    .flatMap(segment => segment.sections)
+    .map(section => [`${section.segname},${section.sectname}`, section]));
+  const localSections = sectionsOf(readMachO(localPath, localOffset));
+  const originalSections = sectionsOf(readMachO(originalPath, originalOffset));
+  const lines = [];
+
+  for (const [name, originalSection] of originalSections) {
+    const localSection = localSections.get(name);
+    if (!localSection) {
+      lines.push(`${name}: removed (upstream offset ${hex(originalOffset + originalSection.offset)}, size ${hex(originalSection.size)})`);
+      continue;
+    }
+
+    const localStart = localOffset + localSection.offset;
+    const originalStart = originalOffset + originalSection.offset;
+    // Zerofill sections have no bytes in the file, only a size
+    const zerofill = isZerofillSection(localSection) && isZerofillSection(originalSection);
+    const difference = zerofill
+      ? -1
+      : firstDifference(localPath, localStart, originalPath, originalStart, Math.min(localSection.size, originalSection.size));
+    const moved = localStart !== originalStart;
+    const resized = localSection.size !== originalSection.size;
+    if (difference === -1 && !resized && (!moved || zerofill)) continue;
+
+    const parts = [
+      `offset ${hex(localStart)}${moved && !zerofill ? ` (upstream ${hex(originalStart)})` : ''}`,
+      `size ${hex(localSection.size)}${resized ? ` (upstream ${hex(originalSection.size)})` : ''}`
+    ];
+    if (difference !== -1) {
+      parts.push(`first difference at +${hex(difference)}`);
+    } else if (resized) {
+      parts.push('common bytes identical');
+    } else {
+      parts.push('contents identical but moved');
+    }
+    lines.push(`${name}: ${parts.join(', ')}`);
+  }
+
+  for (const [name, localSection] of localSections) {
+    if (!originalSections.has(name)) {
+      lines.push(`${name}: added (offset ${hex(localOffset + localSection.offset)}, size ${hex(localSection.size)})`);
+    }
+  }
+  return lines;
+}
+
+// @returns {number} Offset of the first differing byte within `size` bytes
+//   at the given positions, or -1 if they are identical
+function firstDifference(pathA, offsetA, pathB, offsetB, size) {
+  const fdA = fs.openSync(pathA, 'r');
+  const fdB = fs.openSync(pathB, 'r');
+  const bufferA = Buffer.allocUnsafe(Math.min(size, CHUNK_SIZE));
+  const bufferB = Buffer.allocUnsafe(bufferA.length);
+  try {
+    for (let done = 0; done < size;) {
+      const length = Math.min(bufferA.length, size - done);
+      const readA = fs.readSync(fdA, bufferA, 0, length, offsetA + done);
+      const readB = fs.readSync(fdB, bufferB, 0, length, offsetB + done);
+      const common = Math.min(readA, readB);
+      const index = firstDifferingByte(bufferA.subarray(0, common), bufferB.subarray(0, common));
+      if (index !== -1) return done + index;
+      if (readA !== readB) return done + common;
+      if (common === 0) break;
+      done += common;
+    }
+    return -1;
+  } finally {
+    fs.closeSync(fdA);
+    fs.closeSync(fdB);
+  }
+}
+
+function firstDifferingByte(a, b) {
+  if (a.equals(b)) return -1;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return i;
+  }
+  return a.length;
+}
+
+function explainBinary(localPath, localSize, originalPath, originalSize) {
+  const common = Math.min(localSize, originalSize);
+  const difference = firstDifference(localPath, 0, originalPath, 0, common);
+  const delta = localSize - originalSize;
+  const lines = [difference === -1
+    ? `First ${common} bytes are identical`
+    : `First difference at offset ${hex(difference)}`];
+  lines.push(delta === 0
+    ? `Size unchanged (${localSize} bytes)`
+    : `Size ${localSize} bytes (upstream ${originalSize}, ${delta > 0 ? '+' : ''}${delta})`);
+  return lines;
+}
+
+function isPlistFile(name, buffer) {
+  return name.endsWith('.plist') || buffer.subarray(0, 6).toString('latin1') === 'bplist';
+}
+
+// @returns {string[]|null} Added, removed and changed keys, or null if either
+//   side doesn't parse or the difference is only in formatting
+function explainPlist(local, original) {
+  let changes;
+  try {
+    changes = diffPlists(parsePlist(local), parsePlist(original));
+  } catch (e) {
+    return null;
+  }
+  return changes.length > 0 ? changes.map(describePlistChange) : null;
+}
+
+/**
+ * Lists the differences between two parsed property lists. Key paths are
+ * written the way PlistBuddy takes them, e.g. :CFBundleURLTypes:0
+ * @param {*} local - Parsed local plist
+ * @param {*} original - Parsed upstream plist
+ * @returns {Array<{change: string, keyPath: string, local: *, original: *}>}
+ *   change is 'added', 'removed' or 'changed'
+ */
+function diffPlists(local, original) {
+  const changes = [];
+  diffPlistValues(local, original, '', changes);
+  return changes;
+}
+
+function diffPlistValues(local, original, keyPath, changes) {
+  const record = (change, childPath, localValue, originalValue) =>
+    changes.push({ change, keyPath: childPath, local: localValue, original: originalValue });
+
+  if (isDictionary(local) && isDictionary(original)) {
+    const keys = [...new Set([...Object.keys(original), ...Object.keys(local)])].sort();
+    for (const key of keys) {
+      const childPath = `${keyPath}:${key}`;
+      if (!(key in local)) {
+        record('removed', childPath, undefined, original[key]);
+      } else if (!(key in original)) {
+        record('added', childPath, local[key], undefined);
+      } else {
+        diffPlistValues(local[key], original[key], childPath, changes);
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(local) && Array.isArray(original)) {
+    for (let i = 0; i < Math.max(local.length, original.length); i++) {
+      const childPath = `${keyPath}:${i}`;
+      if (i >= local.length) {
+        record('removed', childPath, undefined, original[i]);
+      } else if (i >= original.length) {
+        record('added', childPath, local[i], undefined);
+      } else {
+        diffPlistValues(local[i], original[i], childPath, changes);
+      }
+    }
+    return;
+  }
+
+  if (!plistValuesEqual(local, original)) {
+    record('changed', keyPath || ':', local, original);
+  }
+}
+
+/**
+ * @param {object} change - One entry from diffPlists
+ * @returns {string} e.g. 'changed :CFBundleVersion: "1" -> "2"'
+ */
+function describePlistChange({ change, keyPath, local, original }) {
+  switch (change) {
+    case 'added': return `added ${keyPath} = ${formatPlistValue(local)}`;
+    case 'removed': return `removed ${keyPath} = ${formatPlistValue(original)}`;
+    default: return `changed ${keyPath}: ${formatPlistValue(original)} -> ${formatPlistValue(local)}`;
+  }
+}
+
+function isDictionary(value) {
+  return value !== null && typeof value === 'object' &&
+    !Array.isArray(value) && !Buffer.isBuffer(value) && !(value instanceof Date);
+}
+
+function plistValuesEqual(a, b) {
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return a.equals(b);
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (isDictionary(a) || Array.isArray(a) || Buffer.isBuffer(a) || a instanceof Date) return false;
+  return a === b;
+}
+
+function formatPlistValue(value) {
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes of data>`;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return `<array of ${value.length}>`;
+  if (isDictionary(value)) {
+    const count = Object.keys(value).length;
+    return `<dict with ${count} key${count === 1 ? '' : 's'}>`;
+  }
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+// Chromium resource bundles (.pak, versions 4 and 5) as one line per
+// resource, so a diff shows which resource IDs were added, removed or changed
+function pakListing(filePath, size) {
+  if (size < 8) return null;
+  const header = readRange(filePath, 0, 12);
+  const version = header.readUInt32LE(0);
+  let count;
+  let aliasCount = 0;
+  let entriesOffset;
+  if (version === 4) {
+    count = header.readUInt32LE(4);
+    entriesOffset = 9;
+  } else if (version === 5) {
+    if (size < 12) return null;
+    count = header.readUInt16LE(8);
+    aliasCount = header.readUInt16LE(10);
+    entriesOffset = 12;
+  } else {
+    return null;
+  }
+
+  // Each entry is { uint16 id, uint32 offset }, followed by a sentinel entry
+  // whose offset marks the end of the last resource
+  const aliasesOffset = (count + 1) * 6;
+  const indexSize = aliasesOffset + aliasCount * 4;
+  if (entriesOffset + indexSize > size) return null;
+  const index = readRange(filePath, entriesOffset, indexSize);
+  const entry = (i) => ({
+    id: index.readUInt16LE(i * 6),
+    offset: index.readUInt32LE(i * 6 + 2)
+  });
+
+  const lines = [];
+  const resources = [];
+  for (let i = 0; i < count; i++) {
+    const { id, offset } = entry(i);
+    const end = entry(i + 1).offset;
+    if (end < offset || end > size) return null;
+    const digest = hashFileRange(filePath, offset, end - offset);
+    resources.push(id);
+    lines.push(`resource ${id}: ${end - offset} bytes, sha256 ${digest.slice(0, 16)}`);
+  }
+  for (let i = 0; i < aliasCount; i++) {
+    const base = aliasesOffset + i * 4;
+    const target = resources[index.readUInt16LE(base + 2)];
+    lines.push(`alias ${index.readUInt16LE(base)} -> resource ${target === undefined ? '?' : target}`);
+  }
+  return lines;
+}
+
+function readRange(filePath, offset, length) {
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buffer;
+}
+
+// @returns {string|null} The contents as text, or null if they look binary
+function decodeText(buffer) {
+  // .strings files are often UTF-16 with a byte order mark
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return buffer.toString('utf16le', 2);
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    const swapped = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2)));
+    return swapped.swap16().toString('utf16le');
+  }
+  if (buffer.includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (e) {
+    return null;
+  }
+}
+
+function splitLines(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Unified diff of two lists of lines, upstream first.
+ * @returns {string[]} Diff lines, empty if the lists are equal
+ */
+function unifiedDiff(originalLines, localLines, name) {
+  const ops = diffLines(originalLines, localLines);
+  const changed = ops.map((op, i) => op.type !== ' ' ? i : -1).filter(i => i !== -1);
+  if (changed.length === 0) return [];
+
+  // Group changes whose context would overlap into one hunk
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- upstream/${name}`, `+++ local/${name}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - DIFF_CONTEXT), Math.min(ops.length, hunk.end + DIFF_CONTEXT + 1));
+    const first = slice[0];
+    const originalCount = slice.filter(op => op.type !== '+').length;
+    const localCount = slice.filter(op => op.type !== '-').length;
+    // An empty side of a hunk is numbered by the line before it
+    const originalStart = originalCount === 0 ? first.originalLine - 1 : first.originalLine;
+    const localStart = localCount === 0 ? first.localLine - 1 : first.localLine;
+    lines.push(`@@ -${originalStart},${originalCount} +${localStart},${localCount} @@`);
+    lines.push(...slice.map(op => op.type + op.text));
+  }
+  return lines;
+}
+
+// Edit script from the longest common subsequence of lines; every op
+// carries the 1-based line number it is at (or before) on each side
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const middle = (middleA.length + 1) * (middleB.length + 1) <= MAX_DIFF_CELLS
+    ? lcsEditScript(middleA, middleB)
+    : [...middleA.map(() => '-'), ...middleB.map(() => '+')];
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  const push = (type) => {
+    const text = type === '+' ? b[j] : a[i];
+    ops.push({ type, text, originalLine: i + 1, localLine: j + 1 });
+    if (type !== '+') i++;
+    if (type !== '-') j++;
+  };
+  for (let k = 0; k < prefix; k++) push(' ');
+  middle.forEach(push);
+  for (let k = 0; k < suffix; k++) push(' ');
+  return ops;
+}
+
+function lcsEditScript(a, b) {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const script = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      script.push(' ');
+      i++;
+      j++;
+    } else if (j >= b.length || (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      script.push('-');
+      i++;
+    } else {
+      script.push('+');
+      j++;
+    }
+  }
+  return script;
+}
+
+function hex(value) {
+  return `0x${value.toString(16)}`;
+}
+
+module.exports = { explainDifference, diffPlists, describePlistChange };
@@ -0,0 +1,84 @@
+/**
+ * Shell-style glob patterns for slash-separated paths and names: `*` and `?`
+ * stay within one path segment, `**` spans any number of segments, `[abc]`
+ * and `[!abc]` match one character and `{a,b}` lists alternatives.
+ */
+
+const cache = new Map();
+
+/**
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression for the pattern
+ */
+function globToRegExp(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] !== '*') {
+        source += '[^/]*';
+        continue;
+      }
+      // "**" is only special as a whole segment; "a**b" means "a*b"
+      const atStart = i === 0 || pattern[i - 1] === '/';
+      const atEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+      i++;
+      if (!atStart || !atEnd) {
+        source += '[^/]*';
+      } else if (pattern[i + 1] === '/') {
+        source += '(?:.*/)?';
+        i++;
+      } else {
+        source += '.*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let set = pattern.slice(i + 1, end);
+      const negated = set[0] === '!' || set[0] === '^';
+      if (negated) set = set.slice(1);
+      source += `[${negated ? '^/' : ''}${set.replace(/[\\\]]/g, '\\$&')}]`;
+      i = end;
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  if (braces > 0) {
+    throw new Error(`Unbalanced "{" in glob pattern: ${pattern}`);
+  }
+
+  const regExp = new RegExp(`^${source}$`);
+  cache.set(pattern, regExp);
+  return regExp;
+}
+
+/**
+ * @returns {boolean} Whether the whole value matches the glob pattern
+ */
+function matchGlob(pattern, value) {
+  return globToRegExp(pattern).test(value);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = { globToRegExp, matchGlob };
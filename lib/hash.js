@@ -0,0 +1,76 @@
+/**
+ * File hashing in fixed-size chunks, so memory use stays flat no matter how
+ * big the file (the Chromium framework binary alone is ~200 MB).
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * @param {string} filePath - File to hash
+ * @param {string} [algorithm] - Any algorithm crypto.createHash accepts
+ * @returns {string} Hex digest
+ */
+function hashFile(filePath, algorithm = 'sha256') {
+  return hashFileRanges(filePath, [[0, Infinity]], algorithm);
+}
+
+/**
+ * @returns {string} Hex digest of `size` bytes starting at `offset`
+ */
+function hashFileRange(filePath, offset, size, algorithm = 'sha256') {
+  return hashFileRanges(filePath, [[offset, size]], algorithm);
+}
+
+/**
+ * Hashes several [offset, size] ranges of a file, in order, as one stream.
+ * Ranges are cut short at the end of the file.
+ * @returns {string} Hex digest
+ */
+function hashFileRanges(filePath, ranges, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.allocUnsafe(CHUNK_SIZE);
+  try {
+    for (const [offset, size] of ranges) {
+      let remaining = size;
+      let position = offset;
+      while (remaining > 0) {
+        const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, remaining), position);
+        if (bytesRead === 0) break;
+        hash.update(buffer.subarray(0, bytesRead));
+        remaining -= bytesRead;
+        position += bytesRead;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * @returns {boolean} Whether `size` bytes at `offset` exist and are all zero
+ */
+function rangeIsZero(filePath, offset, size) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.allocUnsafe(Math.min(size, CHUNK_SIZE));
+  try {
+    let remaining = size;
+    let position = offset;
+    while (remaining > 0) {
+      const bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, remaining), position);
+      if (bytesRead === 0) return false;
+      if (buffer.subarray(0, bytesRead).some(byte => byte !== 0)) return false;
+      remaining -= bytesRead;
+      position += bytesRead;
+    }
+    return true;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { hashFile, hashFileRange, hashFileRanges, rangeIsZero };
@@ -0,0 +1,320 @@
+/**
+ * HTTP client shared by the scripts: redirects with a limit, timeouts,
+ * retries with exponential backoff, HTTPS_PROXY/HTTP_PROXY/NO_PROXY support
+ * and downloads that resume with Range requests and only appear under their
+ * final name once complete.
+ */
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const fs = require('fs');
+const crypto = require('crypto');
+const stream = require('stream');
+const util = require('util');
+const { hashFile } = require('./hash');
+
+const pipeline = util.promisify(stream.pipeline);
+
+const DEFAULTS = {
+  headers: { 'User-Agent': 'cef-build-macos' },
+  retries: 3,
+  retryDelay: 1000,
+  timeout: 30000,
+  maxRedirects: 5,
+  onRetry: null,
+  onProgress: null,
+  hashAlgorithm: null
+};
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Fetches a URL into memory.
+ * @param {string} url - http(s) URL
+ * @param {object} [options] - headers, retries, retryDelay (ms, doubled per
+ *   attempt), timeout (ms of inactivity), maxRedirects, onRetry(error, attempt, delay)
+ * @returns {Promise<Buffer>}
+ */
+function fetchBuffer(url, options = {}) {
+  const settings = withDefaults(options);
+  return withRetries(settings, async () => {
+    const res = await openResponse(url, settings, settings.maxRedirects);
+    const chunks = [];
+    let length = 0;
+    try {
+      for await (const chunk of res) {
+        chunks.push(chunk);
+        length += chunk.length;
+      }
+    } catch (e) {
+      throw retryable(new Error(`Response from ${url} was interrupted: ${e.message}`));
+    }
+
+    const expected = parseInt(res.headers['content-length'], 10);
+    if (!Number.isNaN(expected) && length !== expected && !res.headers['content-encoding']) {
+      throw retryable(new Error(`Response from ${url} ended after ${length} of ${expected} bytes`));
+    }
+    return Buffer.concat(chunks);
+  });
+}
+
+/**
+ * Fetches and parses a JSON document.
+ * @param {string} url - http(s) URL
+ * @param {object} [options] - See fetchBuffer
+ */
+async function fetchJson(url, options = {}) {
+  const body = await fetchBuffer(url, options);
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (e) {
+    throw new Error(`Invalid JSON response from ${url}: ${e.message}`);
+  }
+}
+
+/**
+ * Downloads a URL to a file. Data goes to `<outputPath>.part`, which is
+ * renamed to outputPath only once the download is complete; retries resume
+ * from where the previous attempt stopped.
+ * @param {string} url - http(s) URL
+ * @param {string} outputPath - Destination file
+ * @param {object} [options] - See fetchBuffer, plus onProgress(received, total|null)
+ *   and hashAlgorithm, to digest the data while it is being downloaded
+ * @returns {Promise<string|undefined>} Hex digest when hashAlgorithm is set
+ */
+async function downloadFile(url, outputPath, options = {}) {
+  const settings = withDefaults(options);
+  const partPath = `${outputPath}.part`;
+  fs.rmSync(partPath, { force: true });
+
+  try {
+    let digest = await withRetries(settings, () => downloadAttempt(url, partPath, settings));
+    // A resumed download only streamed its tail, so hash the whole file
+    if (settings.hashAlgorithm && !digest) {
+      digest = hashFile(partPath, settings.hashAlgorithm);
+    }
+    fs.renameSync(partPath, outputPath);
+    return digest || undefined;
+  } catch (e) {
+    fs.rmSync(partPath, { force: true });
+    throw e;
+  }
+}
+
+async function downloadAttempt(url, partPath, settings) {
+  const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  const headers = offset > 0 ? { ...settings.headers, Range: `bytes=${offset}-` } : settings.headers;
+
+  let res;
+  try {
+    res = await openResponse(url, { ...settings, headers }, settings.maxRedirects);
+  } catch (e) {
+    if (e.statusCode === 416) {
+      // The partial file doesn't fit what the server has now; start over
+      fs.rmSync(partPath, { force: true });
+      e.retryable = true;
+    }
+    throw e;
+  }
+
+  // Servers that ignore Range answer 200 with the whole file
+  let received = 0;
+  let total = parseInt(res.headers['content-length'], 10);
+  total = Number.isNaN(total) ? null : total;
+  if (res.statusCode === 206) {
+    const range = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(res.headers['content-range'] || '');
+    if (offset === 0 || !range || Number(range[1]) !== offset) {
+      res.resume();
+      fs.rmSync(partPath, { force: true });
+      throw retryable(new Error(`Unexpected Content-Range from ${url}: ${res.headers['content-range']}`));
+    }
+    received = offset;
+    total = range[2] === '*' ? null : Number(range[2]);
+  }
+
+  const hash = settings.hashAlgorithm && res.statusCode !== 206 ? crypto.createHash(settings.hashAlgorithm) : null;
+  const report = () => settings.onProgress && settings.onProgress(received, total);
+  report();
+  res.on('data', chunk => {
+    received += chunk.length;
+    if (hash) hash.update(chunk);
+    report();
+  });
+
+  let fileError = null;
+  const file = fs.createWriteStream(partPath, { flags: res.statusCode === 206 ? 'a' : 'w' });
+  file.on('error', e => { fileError = e; });
+  try {
+    await pipeline(res, file);
+  } catch (e) {
+    // Connection problems are worth another attempt, a full disk isn't
+    if (e === fileError) throw e;
+    throw retryable(new Error(`Download of ${url} was interrupted at ${received} bytes: ${e.message}`));
+  }
+
+  if (total !== null && received < total) {
+    throw retryable(new Error(`Download of ${url} stopped at ${received} of ${total} bytes`));
+  }
+  return hash ? hash.digest('hex') : null;
+}
+
+// Resolves with the first non-redirect response, rejecting on HTTP errors
+async function openResponse(url, settings, redirectsLeft) {
+  const target = new URL(url);
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    throw new Error(`Unsupported URL protocol: ${url}`);
+  }
+  const secure = target.protocol === 'https:';
+  const port = target.port || (secure ? 443 : 80);
+
+  const requestOptions = {
+    method: 'GET',
+    hostname: target.hostname,
+    port,
+    path: target.pathname + target.search,
+    headers: settings.headers
+  };
+
+  const proxy = proxyFor(target);
+  if (proxy && secure) {
+    const socket = await openTunnel(proxy, target.hostname, port, settings.timeout);
+    requestOptions.agent = false;
+    requestOptions.createConnection = () => tls.connect({ socket, servername: target.hostname, host: target.hostname });
+  } else if (proxy) {
+    // Plain HTTP goes to the proxy with the absolute URL as the path
+    requestOptions.hostname = proxy.hostname;
+    requestOptions.port = proxy.port || 80;
+    requestOptions.path = target.href;
+    requestOptions.headers = { ...settings.headers, Host: target.host, ...proxyAuthorization(proxy) };
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = (secure ? https : http).request(requestOptions, (res) => {
+      if (REDIRECT_STATUSES.has(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirectsLeft <= 0) {
+          reject(new Error(`Too many redirects fetching ${url}`));
+          return;
+        }
+        const next = new URL(res.headers.location, target);
+        // Credentials are meant for the original host only, and never go out
+        // in the clear after an https -> http downgrade
+        const downgraded = target.protocol === 'https:' && next.protocol !== 'https:';
+        const headers = next.host === target.host && !downgraded ? settings.headers : withoutAuthorization(settings.headers);
+        resolve(openResponse(next.href, { ...settings, headers }, redirectsLeft - 1));
+        return;
+      }
+
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        const error = new Error(`Request to ${url} failed with HTTP ${res.statusCode}`);
+        error.statusCode = res.statusCode;
+        error.retryable = RETRY_STATUSES.has(res.statusCode);
+        reject(error);
+        return;
+      }
+
+      res.on('aborted', () => res.destroy(retryable(new Error(`Connection to ${target.host} was reset`))));
+      resolve(res);
+    });
+
+    req.setTimeout(settings.timeout, () => {
+      req.destroy(retryable(new Error(`No response from ${target.host} for ${settings.timeout} ms`)));
+    });
+    req.on('error', e => reject(retryable(e)));
+    req.end();
+  });
+}
+
+function openTunnel(proxy, hostname, port, timeout) {
+  return new Promise((resolve, reject) => {
+    const req = (proxy.protocol === 'https:' ? https : http).request({
+      method: 'CONNECT',
+      hostname: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      path: `${hostname}:${port}`,
+      headers: { Host: `${hostname}:${port}`, ...proxyAuthorization(proxy) },
+      agent: false
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(retryable(new Error(`No response from proxy ${proxy.host} for ${timeout} ms`)));
+    });
+    req.on('connect', (res, socket) => {
+      socket.setTimeout(0);
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        const error = new Error(`Proxy ${proxy.host} refused CONNECT to ${hostname}:${port} with HTTP ${res.statusCode}`);
+        error.retryable = RETRY_STATUSES.has(res.statusCode);
+        reject(error);
+        return;
+      }
+      resolve(socket);
+    });
+    req.on('error', e => reject(retryable(e)));
+    req.end();
+  });
+}
+
+/**
+ * Picks the proxy for a URL from HTTPS_PROXY/HTTP_PROXY (either case),
+ * unless NO_PROXY excludes the host.
+ * @returns {URL|null}
+ */
+function proxyFor(target) {
+  const names = target.protocol === 'https:' ? ['HTTPS_PROXY', 'https_proxy'] : ['HTTP_PROXY', 'http_proxy'];
+  const value = names.map(name => process.env[name]).find(Boolean);
+  if (!value || bypassesProxy(target)) return null;
+  return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+}
+
+// NO_PROXY entries are host suffixes with an optional port, or "*"
+function bypassesProxy(target) {
+  const noProxy = process.env.NO_PROXY || process.env.no_proxy || '';
+  const host = target.hostname.toLowerCase();
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    const match = /^(.*?)(?::(\d+))?$/.exec(entry.toLowerCase());
+    if (match[2] && match[2] !== port) return false;
+    const suffix = match[1].replace(/^\*?\./, '');
+    return host === suffix || host.endsWith(`.${suffix}`);
+  });
+}
+
+function proxyAuthorization(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+function withoutAuthorization(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => name.toLowerCase() !== 'authorization'));
+}
+
+async function withRetries(settings, attempt) {
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt();
+    } catch (e) {
+      if (i >= settings.retries || !e.retryable) throw e;
+      const delay = settings.retryDelay * 2 ** i;
+      if (settings.onRetry) settings.onRetry(e, i + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function withDefaults(options) {
+  return { ...DEFAULTS, ...options, headers: { ...DEFAULTS.headers, ...options.headers } };
+}
+
+function retryable(error) {
+  error.retryable = true;
+  return error;
+}
+
+module.exports = { fetchBuffer, fetchJson, downloadFile, proxyFor };
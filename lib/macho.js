@@ -0,0 +1,480 @@
+/**
+ * Minimal Mach-O reader used to compare signed and unsigned binaries without
+ * relying on otool. Only the header and load commands are parsed; section
+ * contents are read on demand by the caller.
+ */
+
+const fs = require('fs');
+
+// Magic numbers as read with readUInt32LE from the first four bytes
+const MH_MAGIC = 0xFEEDFACE;     // 32-bit, little-endian
+const MH_CIGAM = 0xCEFAEDFE;     // 32-bit, big-endian
+const MH_MAGIC_64 = 0xFEEDFACF;  // 64-bit, little-endian
+const MH_CIGAM_64 = 0xCFFAEDFE;  // 64-bit, big-endian
+const FAT_MAGIC = 0xCAFEBABE;
+const FAT_CIGAM = 0xBEBAFECA;
+const FAT_MAGIC_64 = 0xCAFEBABF;
+const FAT_CIGAM_64 = 0xBFBAFECA;
+
+// Java class files share the 0xCAFEBABE magic; their version field is always
+// far larger than any plausible number of architectures in a universal binary
+const MAX_FAT_ARCHS = 30;
+
+const CPU_ARCH_ABI64 = 0x01000000;
+const CPU_ARCH_ABI64_32 = 0x02000000;
+const CPU_TYPE_X86 = 7;
+const CPU_TYPE_ARM = 12;
+const CPU_TYPE_POWERPC = 18;
+const CPU_SUBTYPE_MASK = 0xff000000;
+
+const LC_SEGMENT = 0x1;
+const LC_SYMTAB = 0x2;
+const LC_DYSYMTAB = 0xb;
+const LC_SEGMENT_64 = 0x19;
+const LC_CODE_SIGNATURE = 0x1d;
+const LC_DYLD_INFO = 0x22;
+const LC_DYLD_INFO_ONLY = 0x80000022;
+
+// linkedit_data_command: { cmd, cmdsize, dataoff, datasize } pointing into
+// __LINKEDIT. LC_CODE_SIGNATURE shares the layout but is handled separately.
+const LINKEDIT_DATA_COMMANDS = new Set([
+  0x1e,        // LC_SEGMENT_SPLIT_INFO
+  0x26,        // LC_FUNCTION_STARTS
+  0x29,        // LC_DATA_IN_CODE
+  0x2b,        // LC_DYLIB_CODE_SIGN_DRS
+  0x2e,        // LC_LINKER_OPTIMIZATION_HINT
+  0x36,        // LC_ATOM_INFO
+  0x80000033,  // LC_DYLD_EXPORTS_TRIE
+  0x80000034   // LC_DYLD_CHAINED_FIXUPS
+]);
+
+const LOAD_COMMAND_NAMES = {
+  0x1: 'LC_SEGMENT',
+  0x2: 'LC_SYMTAB',
+  0x3: 'LC_SYMSEG',
+  0x4: 'LC_THREAD',
+  0x5: 'LC_UNIXTHREAD',
+  0xb: 'LC_DYSYMTAB',
+  0xc: 'LC_LOAD_DYLIB',
+  0xd: 'LC_ID_DYLIB',
+  0xe: 'LC_LOAD_DYLINKER',
+  0xf: 'LC_ID_DYLINKER',
+  0x10: 'LC_PREBOUND_DYLIB',
+  0x11: 'LC_ROUTINES',
+  0x12: 'LC_SUB_FRAMEWORK',
+  0x13: 'LC_SUB_UMBRELLA',
+  0x14: 'LC_SUB_CLIENT',
+  0x15: 'LC_SUB_LIBRARY',
+  0x16: 'LC_TWOLEVEL_HINTS',
+  0x17: 'LC_PREBIND_CKSUM',
+  0x80000018: 'LC_LOAD_WEAK_DYLIB',
+  0x19: 'LC_SEGMENT_64',
+  0x1a: 'LC_ROUTINES_64',
+  0x1b: 'LC_UUID',
+  0x8000001c: 'LC_RPATH',
+  0x1d: 'LC_CODE_SIGNATURE',
+  0x1e: 'LC_SEGMENT_SPLIT_INFO',
+  0x8000001f: 'LC_REEXPORT_DYLIB',
+  0x20: 'LC_LAZY_LOAD_DYLIB',
+  0x21: 'LC_ENCRYPTION_INFO',
+  0x22: 'LC_DYLD_INFO',
+  0x80000022: 'LC_DYLD_INFO_ONLY',
+  0x80000023: 'LC_LOAD_UPWARD_DYLIB',
+  0x24: 'LC_VERSION_MIN_MACOSX',
+  0x25: 'LC_VERSION_MIN_IPHONEOS',
+  0x26: 'LC_FUNCTION_STARTS',
+  0x27: 'LC_DYLD_ENVIRONMENT',
+  0x80000028: 'LC_MAIN',
+  0x29: 'LC_DATA_IN_CODE',
+  0x2a: 'LC_SOURCE_VERSION',
+  0x2b: 'LC_DYLIB_CODE_SIGN_DRS',
+  0x2c: 'LC_ENCRYPTION_INFO_64',
+  0x2d: 'LC_LINKER_OPTION',
+  0x2e: 'LC_LINKER_OPTIMIZATION_HINT',
+  0x2f: 'LC_VERSION_MIN_TVOS',
+  0x30: 'LC_VERSION_MIN_WATCHOS',
+  0x31: 'LC_NOTE',
+  0x32: 'LC_BUILD_VERSION',
+  0x80000033: 'LC_DYLD_EXPORTS_TRIE',
+  0x80000034: 'LC_DYLD_CHAINED_FIXUPS',
+  0x80000035: 'LC_FILESET_ENTRY',
+  0x36: 'LC_ATOM_INFO'
+};
+
+// Commands whose first field after cmdsize is an lc_str offset to a path
+const PATH_COMMANDS = new Set([
+  0xc, 0xd, 0xe, 0xf, 0x20, 0x27,
+  0x80000018,
+  0x8000001c,
+  0x8000001f,
+  0x80000023
+]);
+
+// Section types (low byte of section flags) that occupy no space in the file
+const SECTION_TYPE = 0xff;
+const S_ZEROFILL = 0x1;
+const S_GB_ZEROFILL = 0xc;
+const S_THREAD_LOCAL_ZEROFILL = 0x12;
+
+const MACH_HEADER_SIZE = 28;
+const MACH_HEADER_64_SIZE = 32;
+const SEGMENT_COMMAND_SIZE = 56;
+const SEGMENT_COMMAND_64_SIZE = 72;
+const SECTION_SIZE = 68;
+const SECTION_64_SIZE = 80;
+
+function isMachO(filePath) {
+  try {
+    const fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(8);
+    const bytesRead = fs.readSync(fd, buffer, 0, 8, 0);
+    fs.closeSync(fd);
+    if (bytesRead < 4) return false;
+
+    const magic = buffer.readUInt32LE(0);
+    if (isFatMagic(magic)) {
+      return bytesRead === 8 && buffer.readUInt32BE(4) <= MAX_FAT_ARCHS;
+    }
+    return (
+      magic === MH_MAGIC ||
+      magic === MH_CIGAM ||
+      magic === MH_MAGIC_64 ||
+      magic === MH_CIGAM_64
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+function isFatMagic(magic) {
+  return (
+    magic === FAT_MAGIC ||
+    magic === FAT_CIGAM ||
+    magic === FAT_MAGIC_64 ||
+    magic === FAT_CIGAM_64
+  );
+}
+
+/**
+ * Lists the architecture slices of a Mach-O file. A thin binary yields a
+ * single slice covering the whole file.
+ * @param {string} filePath - Path to the binary
+ * @returns {Array<{arch: string, cputype: number, cpusubtype: number, offset: number, size: number}>}
+ */
+function readSlices(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const header = Buffer.alloc(8);
+    fs.readSync(fd, header, 0, 8, 0);
+
+    const magic = header.readUInt32LE(0);
+    if (!isFatMagic(magic)) {
+      const macho = readMachO(filePath);
+      return [{
+        arch: archName(macho.cputype, macho.cpusubtype),
+        cputype: macho.cputype,
+        cpusubtype: macho.cpusubtype,
+        offset: 0,
+        size: fileSize
+      }];
+    }
+
+    // Fat headers are big-endian on disk, so FAT_CIGAM is what a
+    // little-endian read of a normal universal binary produces
+    const littleEndian = magic === FAT_MAGIC || magic === FAT_MAGIC_64;
+    const is64 = magic === FAT_MAGIC_64 || magic === FAT_CIGAM_64;
+    const nfatArch = littleEndian ? header.readUInt32LE(4) : header.readUInt32BE(4);
+    if (nfatArch > MAX_FAT_ARCHS) {
+      throw new Error(`Implausible architecture count ${nfatArch} in universal header`);
+    }
+
+    const entrySize = is64 ? 32 : 20;
+    const table = Buffer.alloc(nfatArch * entrySize);
+    if (fs.readSync(fd, table, 0, table.length, 8) < table.length) {
+      throw new Error('Universal header extends past end of file');
+    }
+    const u32 = (offset) => littleEndian ? table.readUInt32LE(offset) : table.readUInt32BE(offset);
+    const u64 = (offset) => Number(littleEndian ? table.readBigUInt64LE(offset) : table.readBigUInt64BE(offset));
+
+    const slices = [];
+    for (let i = 0; i < nfatArch; i++) {
+      const base = i * entrySize;
+      const cputype = u32(base);
+      const cpusubtype = u32(base + 4);
+      const offset = is64 ? u64(base + 8) : u32(base + 8);
+      const size = is64 ? u64(base + 16) : u32(base + 12);
+      if (offset + size > fileSize) {
+        throw new Error(`Slice ${archName(cputype, cpusubtype)} extends past end of file`);
+      }
+      slices.push({ arch: archName(cputype, cpusubtype), cputype, cpusubtype, offset, size });
+    }
+    return slices;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function archName(cputype, cpusubtype) {
+  const subtype = (cpusubtype & ~CPU_SUBTYPE_MASK) >>> 0;
+  switch (cputype) {
+    case CPU_TYPE_X86: return 'i386';
+    case CPU_TYPE_X86 | CPU_ARCH_ABI64: return subtype === 8 ? 'x86_64h' : 'x86_64';
+    case CPU_TYPE_ARM: return 'arm';
+    case CPU_TYPE_ARM | CPU_ARCH_ABI64: return subtype === 2 ? 'arm64e' : 'arm64';
+    case CPU_TYPE_ARM | CPU_ARCH_ABI64_32: return 'arm64_32';
+    case CPU_TYPE_POWERPC: return 'ppc';
+    case CPU_TYPE_POWERPC | CPU_ARCH_ABI64: return 'ppc64';
+    default: return `cpu${cputype}:${subtype}`;
+  }
+}
+
+/**
+ * Reads and parses the Mach-O header and load commands of a thin binary.
+ * @param {string} filePath - Path to the binary
+ * @param {number} [sliceOffset=0] - File offset of the slice within a universal binary
+ * @returns {object} Parsed header (see parseMachOHeader)
+ */
+function readMachO(filePath, sliceOffset = 0) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(MACH_HEADER_64_SIZE);
+    fs.readSync(fd, header, 0, header.length, sliceOffset);
+
+    const { is64, littleEndian } = describeMagic(header.readUInt32LE(0));
+    const headerSize = is64 ? MACH_HEADER_64_SIZE : MACH_HEADER_SIZE;
+    const sizeofcmds = littleEndian ? header.readUInt32LE(20) : header.readUInt32BE(20);
+
+    const buffer = Buffer.alloc(headerSize + sizeofcmds);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, sliceOffset);
+    if (bytesRead < buffer.length) {
+      throw new Error('Load commands extend past end of file');
+    }
+    return parseMachOHeader(buffer);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Parses a Mach-O header and its load commands.
+ * @param {Buffer} buffer - Bytes starting at the mach_header, covering sizeofcmds
+ * @returns {object} Header fields, raw load commands, segments with their
+ *   sections, the __LINKEDIT data regions referenced by load commands, and
+ *   the LC_CODE_SIGNATURE location (or null if unsigned)
+ */
+function parseMachOHeader(buffer) {
+  if (buffer.length < MACH_HEADER_SIZE) {
+    throw new Error('File too small for a Mach-O header');
+  }
+
+  const { is64, littleEndian } = describeMagic(buffer.readUInt32LE(0));
+  const u32 = (offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  const u64 = (offset) => Number(littleEndian ? buffer.readBigUInt64LE(offset) : buffer.readBigUInt64BE(offset));
+
+  const headerSize = is64 ? MACH_HEADER_64_SIZE : MACH_HEADER_SIZE;
+  const macho = {
+    is64,
+    littleEndian,
+    cputype: u32(4),
+    cpusubtype: u32(8),
+    filetype: u32(12),
+    ncmds: u32(16),
+    sizeofcmds: u32(20),
+    flags: u32(24),
+    headerSize,
+    loadCommands: [],
+    segments: [],
+    linkeditData: [],
+    codeSignature: null
+  };
+
+  const end = headerSize + macho.sizeofcmds;
+  if (buffer.length < end) {
+    throw new Error('Load commands extend past end of buffer');
+  }
+
+  let offset = headerSize;
+  for (let i = 0; i < macho.ncmds; i++) {
+    if (offset + 8 > end) {
+      throw new Error(`Load command ${i} starts past sizeofcmds`);
+    }
+    const cmd = u32(offset);
+    const cmdsize = u32(offset + 4);
+    if (cmdsize < 8 || offset + cmdsize > end) {
+      throw new Error(`Load command ${i} has invalid size ${cmdsize}`);
+    }
+
+    const loadCommand = {
+      cmd,
+      name: loadCommandName(cmd),
+      cmdsize,
+      offset,
+      raw: buffer.subarray(offset, offset + cmdsize)
+    };
+    macho.loadCommands.push(loadCommand);
+
+    if (cmd === LC_SEGMENT || cmd === LC_SEGMENT_64) {
+      const segment = parseSegment(buffer, offset, cmdsize, cmd === LC_SEGMENT_64, u32, u64);
+      loadCommand.segname = segment.segname;
+      macho.segments.push(segment);
+    } else if (PATH_COMMANDS.has(cmd) && cmdsize >= 12) {
+      loadCommand.path = readLcStr(loadCommand.raw, u32(offset + 8));
+    } else if (cmd === LC_CODE_SIGNATURE) {
+      macho.codeSignature = { dataoff: u32(offset + 8), datasize: u32(offset + 12) };
+    } else {
+      macho.linkeditData.push(...linkeditRegions(loadCommand, is64, u32));
+    }
+
+    offset += cmdsize;
+  }
+
+  // Relocation entries of object-style sections also live outside the segments
+  for (const segment of macho.segments) {
+    for (const section of segment.sections) {
+      addRegion(macho.linkeditData, `relocations ${section.segname}.${section.sectname}`, section.reloff, section.nreloc * 8);
+    }
+  }
+
+  return macho;
+}
+
+/**
+ * Lists the __LINKEDIT byte ranges a load command refers to.
+ * @returns {Array<{name: string, offset: number, size: number}>}
+ */
+function linkeditRegions(loadCommand, is64, u32) {
+  const { cmd, name, cmdsize, offset } = loadCommand;
+  const regions = [];
+  const add = (label, fileOffset, size) => addRegion(regions, `${name} ${label}`, fileOffset, size);
+
+  if (cmd === LC_SYMTAB && cmdsize >= 24) {
+    add('symbols', u32(offset + 8), u32(offset + 12) * (is64 ? 16 : 12));
+    add('strings', u32(offset + 16), u32(offset + 20));
+  } else if (cmd === LC_DYSYMTAB && cmdsize >= 80) {
+    add('table of contents', u32(offset + 32), u32(offset + 36) * 8);
+    add('module table', u32(offset + 40), u32(offset + 44) * (is64 ? 56 : 52));
+    add('external references', u32(offset + 48), u32(offset + 52) * 4);
+    add('indirect symbols', u32(offset + 56), u32(offset + 60) * 4);
+    add('external relocations', u32(offset + 64), u32(offset + 68) * 8);
+    add('local relocations', u32(offset + 72), u32(offset + 76) * 8);
+  } else if ((cmd === LC_DYLD_INFO || cmd === LC_DYLD_INFO_ONLY) && cmdsize >= 48) {
+    add('rebase', u32(offset + 8), u32(offset + 12));
+    add('bind', u32(offset + 16), u32(offset + 20));
+    add('weak bind', u32(offset + 24), u32(offset + 28));
+    add('lazy bind', u32(offset + 32), u32(offset + 36));
+    add('export', u32(offset + 40), u32(offset + 44));
+  } else if (LINKEDIT_DATA_COMMANDS.has(cmd) && cmdsize >= 16) {
+    add('data', u32(offset + 8), u32(offset + 12));
+  }
+
+  return regions;
+}
+
+function addRegion(regions, name, offset, size) {
+  if (offset !== 0 && size !== 0) {
+    regions.push({ name, offset, size });
+  }
+}
+
+function parseSegment(buffer, offset, cmdsize, is64, u32, u64) {
+  const word = is64 ? u64 : u32;
+  const wordSize = is64 ? 8 : 4;
+  const headerSize = is64 ? SEGMENT_COMMAND_64_SIZE : SEGMENT_COMMAND_SIZE;
+  const sectionSize = is64 ? SECTION_64_SIZE : SECTION_SIZE;
+  if (cmdsize < headerSize) {
+    throw new Error(`Segment command has invalid size ${cmdsize}`);
+  }
+
+  let pos = offset + 8;
+  const segname = readName(buffer, pos);
+  pos += 16;
+  const vmaddr = word(pos); pos += wordSize;
+  const vmsize = word(pos); pos += wordSize;
+  const fileoff = word(pos); pos += wordSize;
+  const filesize = word(pos); pos += wordSize;
+  const maxprot = u32(pos);
+  const initprot = u32(pos + 4);
+  const nsects = u32(pos + 8);
+  const flags = u32(pos + 12);
+  pos += 16;
+  // Section headers must not run on into the next load command
+  if (nsects > (cmdsize - headerSize) / sectionSize) {
+    throw new Error(`Segment ${segname} has ${nsects} sections, more than its command size ${cmdsize} holds`);
+  }
+
+  const sections = [];
+  for (let i = 0; i < nsects; i++) {
+    const sectname = readName(buffer, pos);
+    const sectSegname = readName(buffer, pos + 16);
+    pos += 32;
+    const addr = word(pos); pos += wordSize;
+    const size = word(pos); pos += wordSize;
+    const sectionFlags = u32(pos + 16);
+    sections.push({
+      sectname,
+      segname: sectSegname,
+      addr,
+      size,
+      offset: u32(pos),
+      align: u32(pos + 4),
+      reloff: u32(pos + 8),
+      nreloc: u32(pos + 12),
+      flags: sectionFlags
+    });
+    // flags + reserved1/2 (+ reserved3 on 64-bit)
+    pos += is64 ? 32 : 28;
+  }
+
+  return { segname, vmaddr, vmsize, fileoff, filesize, maxprot, initprot, nsects, flags, sections };
+}
+
+function loadCommandName(cmd) {
+  return LOAD_COMMAND_NAMES[cmd] || `LC_0x${cmd.toString(16)}`;
+}
+
+function readLcStr(raw, strOffset) {
+  if (strOffset >= raw.length) return '';
+  const nul = raw.indexOf(0, strOffset);
+  return raw.toString('utf8', strOffset, nul === -1 ? raw.length : nul);
+}
+
+function isZerofillSection(section) {
+  const type = section.flags & SECTION_TYPE;
+  return type === S_ZEROFILL || type === S_GB_ZEROFILL || type === S_THREAD_LOCAL_ZEROFILL;
+}
+
+function describeMagic(magic) {
+  switch (magic) {
+    case MH_MAGIC: return { is64: false, littleEndian: true };
+    case MH_CIGAM: return { is64: false, littleEndian: false };
+    case MH_MAGIC_64: return { is64: true, littleEndian: true };
+    case MH_CIGAM_64: return { is64: true, littleEndian: false };
+    case FAT_MAGIC:
+    case FAT_CIGAM:
+    case FAT_MAGIC_64:
+    case FAT_CIGAM_64:
+      throw new Error('Universal binary must be split into slices before parsing');
+    default:
+      throw new Error(`Not a Mach-O file (magic 0x${magic.toString(16)})`);
+  }
+}
+
+function readName(buffer, offset) {
+  const raw = buffer.subarray(offset, offset + 16);
+  const nul = raw.indexOf(0);
+  return raw.toString('latin1', 0, nul === -1 ? 16 : nul);
+}
+
+module.exports = {
+  LC_SEGMENT,
+  LC_SEGMENT_64,
+  LC_CODE_SIGNATURE,
+  loadCommandName,
+  isMachO,
+  readSlices,
+  archName,
+  readMachO,
+  parseMachOHeader,
+  isZerofillSection
+};
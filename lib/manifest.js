@@ -0,0 +1,197 @@
+/**
+ * Signed integrity manifests. A manifest lists every entry of a release that
+ * passed verification against upstream, with raw and signature-normalized
+ * hashes and the upstream archives it was checked against, so copies of the
+ * release can later be verified without downloading upstream at all.
+ *
+ * Manifests are signed with Ed25519. The signature covers the compact JSON
+ * serialization (JSON.stringify) of the `manifest` member.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { isMachO, readSlices } = require('./macho');
+const { hashFile } = require('./hash');
+const { normalizedMachOHashes } = require('./compare');
+const { keyId } = require('./ed25519');
+
+const MANIFEST_FORMAT = 'cef-verify-manifest';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Describes one entry for the manifest.
+ * @param {object} file - type, mode, absolutePath and linkTarget of the entry
+ * @param {string} entryPath - Path relative to the root of the archive
+ * @returns {object} path, type, mode, sha256, linkTarget and, for Mach-O
+ *   files, the normalized hashes of each slice
+ */
+function describeEntry(file, entryPath) {
+  const record = {
+    path: entryPath,
+    type: file.type,
+    mode: formatMode(file.mode),
+    sha256: null,
+    linkTarget: file.linkTarget,
+    macho: null
+  };
+  if (file.type === 'file') {
+    record.sha256 = hashFile(file.absolutePath);
+    if (isMachO(file.absolutePath)) {
+      record.macho = machOHashes(file.absolutePath);
+    }
+  }
+  return record;
+}
+
+// Slices whose hashes can't be computed are recorded as null, so only the
+// raw hash of the file can vouch for them
+function machOHashes(filePath) {
+  let slices;
+  try {
+    slices = readSlices(filePath);
+  } catch (e) {
+    return null;
+  }
+  return slices.map(({ arch, offset }) => {
+    try {
+      return { arch, ...normalizedMachOHashes(filePath, offset) };
+    } catch (e) {
+      return { arch, sections: null, loadCommands: null, linkedit: null };
+    }
+  });
+}
+
+/**
+ * Compares a local entry with its manifest record.
+ * @param {object} record - From the manifest
+ * @param {object} file - Local entry: type, mode, absolutePath, linkTarget
+ * @returns {{status: string, sha256: string|null, findings: string[]}}
+ *   status is 'match', 'signature-only' (only code signatures differ) or 'modified'
+ */
+function checkEntry(record, file) {
+  if (record.type !== file.type) {
+    return { status: 'modified', sha256: null, findings: [`is a ${file.type} locally but a ${record.type} in the manifest`] };
+  }
+  if (file.type === 'symlink') {
+    return record.linkTarget === file.linkTarget
+      ? { status: 'match', sha256: null, findings: [] }
+      : { status: 'modified', sha256: null, findings: [`symlink target changed: -> ${file.linkTarget} (manifest: -> ${record.linkTarget})`] };
+  }
+
+  const findings = [];
+  if (formatMode(file.mode) !== record.mode) {
+    findings.push(`permissions changed: ${formatMode(file.mode)} (manifest: ${record.mode})`);
+  }
+  if (file.type !== 'file') {
+    return { status: findings.length === 0 ? 'match' : 'modified', sha256: null, findings };
+  }
+
+  const sha256 = hashFile(file.absolutePath);
+  if (sha256 === record.sha256) {
+    return { status: findings.length === 0 ? 'match' : 'modified', sha256, findings };
+  }
+  if (!record.macho) {
+    findings.push('Contents differ');
+    return { status: 'modified', sha256, findings };
+  }
+
+  // A binary that was signed again still matches if everything the
+  // signature doesn't cover is unchanged
+  const local = isMachO(file.absolutePath) ? machOHashes(file.absolutePath) : null;
+  if (!local) {
+    findings.push('Not a readable Mach-O binary, unlike the manifest entry');
+    return { status: 'modified', sha256, findings };
+  }
+  const localByArch = new Map(local.map(slice => [slice.arch, slice]));
+  for (const expected of record.macho) {
+    const slice = localByArch.get(expected.arch);
+    if (!slice) {
+      findings.push(`${expected.arch}: Architecture missing from local binary`);
+      continue;
+    }
+    for (const part of ['sections', 'loadCommands', 'linkedit']) {
+      if (!expected[part] || slice[part] !== expected[part]) {
+        findings.push(`${expected.arch}: ${part === 'loadCommands' ? 'load commands' : part} differ from the manifest`);
+      }
+    }
+  }
+  for (const { arch } of local) {
+    if (!record.macho.some(expected => expected.arch === arch)) {
+      findings.push(`${arch}: Architecture not present in the manifest`);
+    }
+  }
+  return { status: findings.length === 0 ? 'signature-only' : 'modified', sha256, findings };
+}
+
+/**
+ * Builds and signs a manifest.
+ * @param {object} contents - archive {name, sha256}, version {cef, chromium},
+ *   distribution, bundles (top-level bundle paths), upstreams (builds from
+ *   the index) and entries (from describeEntry)
+ * @param {crypto.KeyObject} privateKey - Ed25519 key
+ * @returns {string} Signed manifest file contents
+ */
+function createSignedManifest(contents, privateKey) {
+  const manifest = {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    archive: contents.archive,
+    cefVersion: contents.version.cef,
+    chromiumVersion: contents.version.chromium,
+    distribution: contents.distribution,
+    bundles: contents.bundles,
+    upstreams: contents.upstreams.map(({ platform, name, url, sha1 }) => ({ platform, name, url, sha1 })),
+    entries: contents.entries
+  };
+  const signature = crypto.sign(null, Buffer.from(JSON.stringify(manifest)), privateKey);
+  return JSON.stringify({
+    manifest,
+    signature: { algorithm: 'ed25519', keyId: keyId(privateKey), value: signature.toString('base64') }
+  }, null, 2) + '\n';
+}
+
+/**
+ * Reads a signed manifest and checks its signature. Nothing in a manifest is
+ * trusted unless the signature verifies.
+ * @param {string} manifestPath
+ * @param {crypto.KeyObject} publicKey - Ed25519 key of the release signer
+ * @returns {object} The manifest member
+ */
+function readSignedManifest(manifestPath, publicKey) {
+  let signed;
+  try {
+    signed = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read manifest: ${e.message}`);
+  }
+  const { manifest, signature } = signed || {};
+  if (!manifest || !signature || typeof signature.value !== 'string') {
+    throw new Error(`${manifestPath} is not a signed manifest`);
+  }
+  if (signature.algorithm !== 'ed25519') {
+    throw new Error(`Unsupported manifest signature algorithm "${signature.algorithm}"`);
+  }
+  if (signature.keyId && signature.keyId !== keyId(publicKey)) {
+    throw new Error(`Manifest was signed by key ${signature.keyId}, not by the given public key (${keyId(publicKey)})`);
+  }
+  const valid = crypto.verify(null, Buffer.from(JSON.stringify(manifest)), publicKey, Buffer.from(signature.value, 'base64'));
+  if (!valid) {
+    throw new Error('Manifest signature is invalid');
+  }
+  if (manifest.format !== MANIFEST_FORMAT || manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest format ${manifest.format} version ${manifest.version}`);
+  }
+  return manifest;
+}
+
+function formatMode(mode) {
+  return '0' + mode.toString(8).padStart(3, '0');
+}
+
+module.exports = {
+  describeEntry,
+  checkEntry,
+  createSignedManifest,
+  readSignedManifest
+};
@@ -0,0 +1,299 @@
+/**
+ * Property list reader for the XML and binary (bplist00) formats.
+ * Dictionaries become plain objects, data becomes a Buffer, dates a Date and
+ * integers/reals a number.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+// Seconds between the Unix epoch and the Core Foundation epoch (2001-01-01)
+const CF_EPOCH_OFFSET = 978307200;
+
+/**
+ * Parses a property list.
+ * @param {Buffer|string} input - Plist file contents
+ * @returns {*} The root object
+ */
+function parsePlist(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+  if (buffer.subarray(0, 6).toString('latin1') === 'bplist') {
+    return parseBinaryPlist(buffer);
+  }
+  return parseXmlPlist(buffer.toString('utf8'));
+}
+
+function parseBinaryPlist(buffer) {
+  if (buffer.subarray(0, 8).toString('latin1') !== 'bplist00') {
+    throw new Error(`Unsupported binary plist version ${buffer.subarray(6, 8).toString('latin1')}`);
+  }
+  if (buffer.length < 8 + 32) {
+    throw new Error('Binary plist too small');
+  }
+
+  const trailer = buffer.subarray(buffer.length - 32);
+  const offsetSize = trailer[6];
+  const refSize = trailer[7];
+  const numObjects = Number(trailer.readBigUInt64BE(8));
+  const topObject = Number(trailer.readBigUInt64BE(16));
+  const offsetTableOffset = Number(trailer.readBigUInt64BE(24));
+
+  if (offsetSize < 1 || offsetSize > 8 || refSize < 1 || refSize > 8 ||
+      offsetTableOffset + numObjects * offsetSize > buffer.length - 32 ||
+      topObject >= numObjects) {
+    throw new Error('Corrupt binary plist trailer');
+  }
+
+  const readUInt = (offset, size) => {
+    if (offset + size > buffer.length) throw new Error('Binary plist read past end');
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+      value = value * 256 + buffer[offset + i];
+    }
+    return value;
+  };
+  const objectOffset = (ref) => {
+    if (ref >= numObjects) throw new Error(`Object reference ${ref} out of range`);
+    return readUInt(offsetTableOffset + ref * offsetSize, offsetSize);
+  };
+
+  const visiting = new Set();
+
+  const readObject = (ref) => {
+    if (visiting.has(ref)) {
+      throw new Error('Binary plist contains a reference cycle');
+    }
+    visiting.add(ref);
+    try {
+      return decodeObject(objectOffset(ref));
+    } finally {
+      visiting.delete(ref);
+    }
+  };
+
+  // Returns [count, offset of first element] for variable-length objects
+  const readLength = (offset) => {
+    const info = buffer[offset] & 0x0f;
+    if (info !== 0x0f) return [info, offset + 1];
+    const marker = buffer[offset + 1];
+    if ((marker & 0xf0) !== 0x10) throw new Error('Invalid length marker in binary plist');
+    const size = 1 << (marker & 0x0f);
+    return [readUInt(offset + 2, size), offset + 2 + size];
+  };
+
+  const decodeObject = (offset) => {
+    if (offset >= buffer.length) throw new Error('Object offset past end of binary plist');
+    const marker = buffer[offset];
+    const type = marker >> 4;
+    const info = marker & 0x0f;
+
+    switch (type) {
+      case 0x0:
+        if (marker === 0x08) return false;
+        if (marker === 0x09) return true;
+        if (marker === 0x00) return null;
+        throw new Error(`Unsupported binary plist marker 0x${marker.toString(16)}`);
+      case 0x1: {
+        const size = 1 << info;
+        if (size === 8) return Number(buffer.readBigInt64BE(offset + 1));
+        if (size === 16) return Number(buffer.readBigInt64BE(offset + 9));
+        return readUInt(offset + 1, size);
+      }
+      case 0x2:
+        if (info === 2) return buffer.readFloatBE(offset + 1);
+        if (info === 3) return buffer.readDoubleBE(offset + 1);
+        throw new Error(`Unsupported real size ${1 << info}`);
+      case 0x3:
+        return new Date((buffer.readDoubleBE(offset + 1) + CF_EPOCH_OFFSET) * 1000);
+      case 0x4: {
+        const [length, start] = readLength(offset);
+        if (start + length > buffer.length) throw new Error('Data extends past end of binary plist');
+        return Buffer.from(buffer.subarray(start, start + length));
+      }
+      case 0x5: {
+        const [length, start] = readLength(offset);
+        if (start + length > buffer.length) throw new Error('String extends past end of binary plist');
+        return buffer.toString('latin1', start, start + length);
+      }
+      case 0x6: {
+        const [length, start] = readLength(offset);
+        if (start + length * 2 > buffer.length) throw new Error('String extends past end of binary plist');
+        const utf16 = Buffer.from(buffer.subarray(start, start + length * 2));
+        utf16.swap16();
+        return utf16.toString('utf16le');
+      }
+      case 0x8:
+        return { UID: readUInt(offset + 1, info + 1) };
+      case 0xa:
+      case 0xc: {
+        const [count, start] = readLength(offset);
+        const items = [];
+        for (let i = 0; i < count; i++) {
+          items.push(readObject(readUInt(start + i * refSize, refSize)));
+        }
+        return items;
+      }
+      case 0xd: {
+        const [count, start] = readLength(offset);
+        const dict = {};
+        for (let i = 0; i < count; i++) {
+          const key = readObject(readUInt(start + i * refSize, refSize));
+          if (typeof key !== 'string') throw new Error('Binary plist dictionary key is not a string');
+          Object.defineProperty(dict, key, {
+            value: readObject(readUInt(start + (count + i) * refSize, refSize)),
+            enumerable: true,
+            writable: true,
+            configurable: true
+          });
+        }
+        return dict;
+      }
+      default:
+        throw new Error(`Unsupported binary plist object type 0x${type.toString(16)}`);
+    }
+  };
+
+  return readObject(topObject);
+}
+
+function parseXmlPlist(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const next = () => {
+    if (pos >= tokens.length) throw new Error('Unexpected end of property list');
+    return tokens[pos++];
+  };
+
+  const expectClose = (name) => {
+    const token = next();
+    if (token.type !== 'close' || token.name !== name) {
+      throw new Error(`Expected </${name}>`);
+    }
+  };
+
+  const readText = (name) => {
+    let value = '';
+    if (tokens[pos] && tokens[pos].type === 'text') {
+      value = tokens[pos++].value;
+    }
+    expectClose(name);
+    return value;
+  };
+
+  const parseValue = (token) => {
+    if (token.type !== 'open') {
+      throw new Error(`Unexpected ${token.type === 'text' ? 'text' : `</${token.name}>`} in property list`);
+    }
+
+    switch (token.name) {
+      case 'dict': {
+        const dict = {};
+        if (token.selfClosing) return dict;
+        for (;;) {
+          const keyToken = next();
+          if (keyToken.type === 'close' && keyToken.name === 'dict') return dict;
+          if (keyToken.type !== 'open' || keyToken.name !== 'key') {
+            throw new Error('Expected <key> in <dict>');
+          }
+          const key = keyToken.selfClosing ? '' : readText('key');
+          // defineProperty so keys like __proto__ stay ordinary data
+          Object.defineProperty(dict, key, {
+            value: parseValue(next()),
+            enumerable: true,
+            writable: true,
+            configurable: true
+          });
+        }
+      }
+      case 'array': {
+        const array = [];
+        if (token.selfClosing) return array;
+        for (;;) {
+          const item = next();
+          if (item.type === 'close' && item.name === 'array') return array;
+          array.push(parseValue(item));
+        }
+      }
+      case 'string':
+        return token.selfClosing ? '' : readText('string');
+      case 'integer': {
+        const value = token.selfClosing ? '' : readText('integer').trim();
+        const match = /^([+-]?)(0x[0-9a-f]+|\d+)$/i.exec(value);
+        if (!match) throw new Error(`Invalid <integer> ${value}`);
+        // Number() takes hex only without a sign
+        return match[1] === '-' ? -Number(match[2]) : Number(match[2]);
+      }
+      case 'real': {
+        const value = Number(token.selfClosing ? '' : readText('real').trim());
+        if (Number.isNaN(value)) throw new Error('Invalid <real>');
+        return value;
+      }
+      case 'true':
+      case 'false':
+        if (!token.selfClosing) expectClose(token.name);
+        return token.name === 'true';
+      case 'data':
+        return Buffer.from(token.selfClosing ? '' : readText('data').replace(/\s+/g, ''), 'base64');
+      case 'date':
+        return new Date(token.selfClosing ? '' : readText('date').trim());
+      default:
+        throw new Error(`Unsupported element <${token.name}>`);
+    }
+  };
+
+  const root = next();
+  if (root.type !== 'open' || root.name !== 'plist') {
+    throw new Error('Missing <plist> root element');
+  }
+  if (root.selfClosing) return undefined;
+
+  const value = tokens[pos] && tokens[pos].type === 'close' ? undefined : parseValue(next());
+  expectClose('plist');
+  return value;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const markup = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z_][\w.-]*)[^>]*?(\/?)>/g;
+  let last = 0;
+  let match;
+
+  while ((match = markup.exec(text)) !== null) {
+    const between = text.slice(last, match.index);
+    if (between.trim() !== '') {
+      tokens.push({ type: 'text', value: decodeEntities(between) });
+    } else if (between !== '' && tokens.length > 0 && isTextElement(tokens[tokens.length - 1])) {
+      // Whitespace is significant inside <string> and <key>
+      tokens.push({ type: 'text', value: between });
+    }
+    last = markup.lastIndex;
+
+    if (match[2] === undefined) continue; // comment, declaration or doctype
+    if (match[1]) {
+      tokens.push({ type: 'close', name: match[2] });
+    } else {
+      tokens.push({ type: 'open', name: match[2], selfClosing: match[3] === '/' });
+    }
+  }
+
+  if (text.slice(last).trim() !== '') {
+    throw new Error('Trailing text after property list');
+  }
+  return tokens;
+}
+
+function isTextElement(token) {
+  return token.type === 'open' && !token.selfClosing && (token.name === 'string' || token.name === 'key');
+}
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : entity;
+  });
+}
+
+module.exports = { parsePlist };
@@ -0,0 +1,264 @@
+/**
+ * Verification policy: which paths are left out of the comparison, and which
+ * reviewed differences from upstream are acceptable. Every rule carries a
+ * justification that ends up in the report, so an allowed difference is
+ * never silent.
+ */
+
+const fs = require('fs');
+const { matchGlob } = require('./glob');
+const { parsePlist } = require('./plist');
+const { diffPlists, describePlistChange } = require('./explain');
+
+// Paths that re-signing creates or rewrites; skipped unless a policy sets
+// "defaultExclusions": false
+const DEFAULT_EXCLUSIONS = [
+  { path: '**/_CodeSignature', justification: 'Code signature directory, rewritten when re-signing' },
+  { path: '**/CodeResources', justification: 'Legacy resource seal, rewritten when re-signing' },
+  { path: '**/embedded.provisionprofile', justification: 'Provisioning profile added when re-signing' },
+  { path: '**/.DS_Store', justification: 'Finder metadata' }
+];
+
+const BUILTIN_POLICY = { exclude: DEFAULT_EXCLUSIONS, allow: [] };
+
+const PLIST_CHANGES = { add: 'added', remove: 'removed', change: 'changed' };
+const ALLOW_RULE_FIELDS = ['path', 'bundle', 'justification', 'modified', 'missing', 'plist', 'entitlements'];
+
+/**
+ * Loads a policy file.
+ * @param {string} policyPath - JSON file with `exclude` and `allow` rules
+ * @returns {{exclude: object[], allow: object[]}}
+ */
+function loadPolicy(policyPath) {
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Failed to read policy: ${e.message}`);
+  }
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Policy must be a JSON object');
+  }
+
+  for (const key of Object.keys(policy)) {
+    if (!['defaultExclusions', 'exclude', 'allow'].includes(key)) {
+      throw new Error(`Unknown policy field "${key}"`);
+    }
+  }
+  if (policy.defaultExclusions !== undefined && typeof policy.defaultExclusions !== 'boolean') {
+    throw new Error('Policy field "defaultExclusions" must be true or false');
+  }
+  for (const field of ['exclude', 'allow']) {
+    if (policy[field] !== undefined && !Array.isArray(policy[field])) {
+      throw new Error(`Policy field "${field}" must be an array of rules`);
+    }
+  }
+
+  const exclude = (policy.exclude || []).map((rule, i) => {
+    const where = `exclude rule ${i + 1}`;
+    checkRuleBasics(rule, where);
+    for (const key of Object.keys(rule)) {
+      if (!['path', 'bundle', 'justification'].includes(key)) {
+        throw new Error(`Policy ${where}: unknown field "${key}"`);
+      }
+    }
+    return { path: rule.path, bundle: rule.bundle || null, justification: rule.justification };
+  });
+
+  const allow = (policy.allow || []).map((rule, i) => normalizeAllowRule(rule, `allow rule ${i + 1}`));
+
+  return {
+    exclude: [...(policy.defaultExclusions === false ? [] : DEFAULT_EXCLUSIONS), ...exclude],
+    allow
+  };
+}
+
+function checkRuleBasics(rule, where) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Policy ${where} must be an object`);
+  }
+  if (typeof rule.path !== 'string' || rule.path === '') {
+    throw new Error(`Policy ${where}: "path" must be a glob pattern`);
+  }
+  if (rule.bundle !== undefined && (typeof rule.bundle !== 'string' || rule.bundle === '')) {
+    throw new Error(`Policy ${where}: "bundle" must be a glob pattern`);
+  }
+  // A reviewed difference without a reason is exactly what this is meant to prevent
+  if (typeof rule.justification !== 'string' || rule.justification.trim() === '') {
+    throw new Error(`Policy ${where} (${rule.path}): "justification" is required`);
+  }
+}
+
+function normalizeAllowRule(rule, where) {
+  checkRuleBasics(rule, where);
+  where = `${where} (${rule.path})`;
+  for (const key of Object.keys(rule)) {
+    if (!ALLOW_RULE_FIELDS.includes(key)) {
+      throw new Error(`Policy ${where}: unknown field "${key}"`);
+    }
+  }
+
+  const normalized = {
+    path: rule.path,
+    bundle: rule.bundle || null,
+    justification: rule.justification,
+    modified: false,
+    missing: false,
+    plist: null,
+    entitlements: []
+  };
+
+  for (const flag of ['modified', 'missing']) {
+    if (rule[flag] !== undefined && typeof rule[flag] !== 'boolean') {
+      throw new Error(`Policy ${where}: "${flag}" must be true or false`);
+    }
+    normalized[flag] = rule[flag] === true;
+  }
+
+  if (rule.plist !== undefined) {
+    if (!rule.plist || typeof rule.plist !== 'object' || Array.isArray(rule.plist)) {
+      throw new Error(`Policy ${where}: "plist" must be an object with add, remove and/or change key lists`);
+    }
+    normalized.plist = {};
+    for (const [field, change] of Object.entries(PLIST_CHANGES)) {
+      normalized.plist[change] = stringList(rule.plist[field], `${where}: "plist.${field}"`).map(normalizeKeyPath);
+    }
+    for (const key of Object.keys(rule.plist)) {
+      if (!(key in PLIST_CHANGES)) {
+        throw new Error(`Policy ${where}: unknown field "plist.${key}"`);
+      }
+    }
+  }
+
+  normalized.entitlements = stringList(rule.entitlements, `${where}: "entitlements"`);
+
+  if (!normalized.modified && !normalized.missing && !normalized.plist && normalized.entitlements.length === 0) {
+    throw new Error(`Policy ${where} allows nothing; set modified, missing, plist or entitlements`);
+  }
+  return normalized;
+}
+
+function stringList(value, where) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`Policy ${where} must be an array of strings`);
+  }
+  return value;
+}
+
+// Keys may be given as "NSFoo" or PlistBuddy-style ":NSFoo:0"
+function normalizeKeyPath(key) {
+  return key.startsWith(':') ? key : `:${key}`;
+}
+
+/**
+ * Narrows a policy to the rules for one bundle. Rule paths are relative to
+ * the bundle root; rules with a `bundle` glob only apply to bundles whose
+ * name matches it, the others to every bundle.
+ * @param {object} policy
+ * @param {string} bundleName - e.g. "cefclient.app"
+ * @returns {{exclude: object[], allow: object[]}}
+ */
+function policyForBundle(policy, bundleName) {
+  const applies = (rule) => !rule.bundle || matchGlob(rule.bundle, bundleName);
+  return { exclude: policy.exclude.filter(applies), allow: policy.allow.filter(applies) };
+}
+
+/**
+ * Finds the exclusion covering a path. Excluding a directory excludes
+ * everything below it.
+ * @param {object} policy
+ * @param {string} relativePath - Path relative to the bundle root
+ * @returns {object|null} The matching exclude rule
+ */
+function findExclusion(policy, relativePath) {
+  const segments = relativePath.split('/');
+  for (let i = 1; i <= segments.length; i++) {
+    const prefix = segments.slice(0, i).join('/');
+    const rule = policy.exclude.find(r => matchGlob(r.path, prefix));
+    if (rule) return rule;
+  }
+  return null;
+}
+
+function allowRulesFor(policy, relativePath) {
+  return policy.allow.filter(rule => matchGlob(rule.path, relativePath));
+}
+
+/**
+ * Checks whether a difference found by the comparison is covered by the
+ * policy's allow rules.
+ * @param {object} policy
+ * @param {string} relativePath - Path relative to the bundle root
+ * @param {string} kind - 'missing' or 'modified'
+ * @param {object} [contents] - For modified files: localPath, originalPath and
+ *   contentOnly (false when type or permissions differ as well)
+ * @returns {{allowed: boolean, justifications: string[], findings: string[]}}
+ *   findings describe the differences the rules were checked against
+ */
+function checkAllowed(policy, relativePath, kind, contents = {}) {
+  const rules = allowRulesFor(policy, relativePath);
+  const notAllowed = { allowed: false, justifications: [], findings: [] };
+
+  const blanket = rules.find(rule => rule[kind]);
+  if (blanket) {
+    return { allowed: true, justifications: [blanket.justification], findings: [] };
+  }
+
+  const plistRules = rules.filter(rule => rule.plist);
+  if (kind !== 'modified' || plistRules.length === 0 || !contents.contentOnly) {
+    return notAllowed;
+  }
+
+  let changes;
+  try {
+    changes = diffPlists(parsePlist(fs.readFileSync(contents.localPath)), parsePlist(fs.readFileSync(contents.originalPath)));
+  } catch (e) {
+    return { ...notAllowed, findings: [`Could not compare as a property list: ${e.message}`] };
+  }
+  if (changes.length === 0) {
+    return { ...notAllowed, findings: ['Property list keys and values are identical; only the encoding differs'] };
+  }
+
+  const justifications = new Set();
+  const findings = [];
+  let allowed = true;
+  for (const change of changes) {
+    const rule = plistRules.find(r => r.plist[change.change].some(key => coversKeyPath(key, change.keyPath)));
+    if (rule) {
+      justifications.add(rule.justification);
+      findings.push(describePlistChange(change));
+    } else {
+      allowed = false;
+      findings.push(`${describePlistChange(change)} (not allowed by policy)`);
+    }
+  }
+  return { allowed, justifications: allowed ? [...justifications] : [], findings };
+}
+
+// A rule for :Foo also covers changes inside it, such as :Foo:Bar or :Foo:0
+function coversKeyPath(ruleKey, keyPath) {
+  return keyPath === ruleKey || keyPath.startsWith(`${ruleKey}:`);
+}
+
+/**
+ * @param {object} policy
+ * @param {string} relativePath - Binary path relative to the bundle root
+ * @param {string} key - Entitlement key
+ * @returns {string|null} Justification of the rule that lets this binary
+ *   carry the entitlement, if any
+ */
+function entitlementJustification(policy, relativePath, key) {
+  const rule = allowRulesFor(policy, relativePath).find(r => r.entitlements.includes(key));
+  return rule ? rule.justification : null;
+}
+
+module.exports = {
+  DEFAULT_EXCLUSIONS,
+  BUILTIN_POLICY,
+  loadPolicy,
+  policyForBundle,
+  findExclusion,
+  checkAllowed,
+  entitlementJustification
+};
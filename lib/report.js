@@ -0,0 +1,346 @@
+/**
+ * Machine-readable verification reports for CI: plain JSON, JUnit XML and
+ * SARIF 2.1.0. All three are rendered from the same report object.
+ */
+
+const REPORT_FORMATS = ['console', 'json', 'junit', 'sarif'];
+
+const TOOL_NAME = 'verify-cef-integrity';
+
+// SARIF rule per kind of failure, and the level it is reported at
+const SARIF_RULES = {
+  'modified-file': { level: 'error', description: 'File differs from the upstream CEF build beyond signature changes' },
+  'missing-file': { level: 'error', description: 'File from the upstream CEF build is missing' },
+  'extra-file': { level: 'warning', description: 'File is not part of the upstream CEF build' },
+  'signature-problem': { level: 'error', description: 'Embedded code signature is invalid or violates policy' },
+  'seal-problem': { level: 'error', description: 'Resource seal does not match the bundle contents' },
+  'unmatched-bundle': { level: 'error', description: 'Bundle has no counterpart in the upstream CEF distribution' },
+  'missing-bundle': { level: 'error', description: 'Bundle listed in the signed manifest is missing from the archive' }
+};
+
+/**
+ * Collects everything a verification run found into a plain object.
+ * @param {object} run - localArchive, distribution, version, upstreams (one
+ *   build per platform), passed and bundles, each with path, problems,
+ *   comparisons (platform, upstreamPath and result from compareApps, one per
+ *   upstream with a counterpart), signatures, signatureProblems, sealProblems
+ *   and verdicts for it and nested bundles; missingBundles, when verified
+ *   against a manifest
+ * @returns {object} Report, safe to JSON.stringify
+ */
+function buildReport(run) {
+  // Entry paths are relative to each bundle; the report uses archive paths
+  const comparisons = run.bundles.flatMap(bundle => bundle.comparisons);
+  const files = run.bundles.flatMap(bundle => bundle.comparisons.flatMap(comparison => comparison.result.files)
+    .map(file => ({ ...file, path: `${bundle.path}/${file.path}` })));
+  const signatures = run.bundles.flatMap(bundle => bundle.signatures);
+  const count = (field) => comparisons.reduce((sum, comparison) => sum + field(comparison.result), 0);
+  const missingBundles = run.missingBundles || [];
+
+  return {
+    tool: TOOL_NAME,
+    generatedAt: new Date().toISOString(),
+    passed: run.passed,
+    localArchive: run.localArchive,
+    distribution: run.distribution,
+    version: run.version,
+    upstreams: run.upstreams.map(upstream => ({
+      name: upstream.name,
+      url: upstream.url,
+      sha1: upstream.sha1,
+      size: upstream.size,
+      platform: upstream.platform,
+      cefVersion: upstream.cefVersion,
+      chromiumVersion: upstream.chromiumVersion
+    })),
+    summary: {
+      bundles: run.bundles.reduce((sum, bundle) => sum + bundle.verdicts.length, 0),
+      failedBundles: run.bundles.reduce((sum, bundle) => sum + bundle.verdicts.filter(v => !v.passed).length, 0),
+      compared: count(result => result.compared),
+      matched: count(result => result.matched),
+      signatureOnly: count(result => result.signatureOnly.length),
+      modified: count(result => result.modified.length),
+      missing: count(result => result.missingInLocal.length),
+      extra: count(result => result.missingInOriginal.length),
+      allowed: count(result => result.allowed.length),
+      excluded: count(result => result.excluded.length),
+      signatureProblems: run.bundles.reduce((sum, bundle) => sum + bundle.signatureProblems.length, 0),
+      sealProblems: run.bundles.reduce((sum, bundle) => sum + bundle.sealProblems.length, 0),
+      missingBundles: missingBundles.length
+    },
+    bundles: run.bundles.flatMap(bundle => bundle.verdicts.map(verdict => ({
+      path: verdict.path,
+      parent: verdict.parent,
+      upstream: verdict.parent ? [] : bundle.comparisons.map(({ platform, upstreamPath }) => ({ platform, path: upstreamPath })),
+      passed: verdict.passed,
+      problems: verdict.problems,
+      summary: verdict.summary,
+      signatureProblems: verdict.signatureProblems,
+      sealProblems: verdict.sealProblems
+    }))),
+    missingBundles,
+    files,
+    signatures: signatures.map(({ file, arch, signature, entitlements, error, problems }) => ({
+      file,
+      arch,
+      signed: Boolean(signature),
+      identifier: signature ? signature.identifier : null,
+      teamId: signature ? signature.teamId : null,
+      cdhash: signature ? signature.cdhash : null,
+      hashType: signature ? signature.hashType : null,
+      flags: signature ? signature.flags : [],
+      adhoc: signature ? signature.adhoc : false,
+      certificates: signature ? signature.certificates.map(({ subject, issuer }) => ({ subject, issuer })) : [],
+      entitlements: entitlements || [],
+      error: error || null,
+      problems: problems || []
+    })),
+    signatureProblems: run.bundles.flatMap(bundle => bundle.signatureProblems),
+    sealProblems: run.bundles.flatMap(bundle => bundle.sealProblems)
+  };
+}
+
+/**
+ * Renders a report in one of the machine-readable formats.
+ * @param {object} report - From buildReport
+ * @param {string} format - 'json', 'junit' or 'sarif'
+ * @returns {string}
+ */
+function formatReport(report, format) {
+  switch (format) {
+    case 'json': return JSON.stringify(report, null, 2) + '\n';
+    case 'junit': return formatJunit(report);
+    case 'sarif': return JSON.stringify(formatSarif(report), null, 2) + '\n';
+    default: throw new Error(`Unknown report format: ${format}`);
+  }
+}
+
+// One test suite per bundle, so each bundle's verdict shows up on its own
+function formatJunit(report) {
+  // Suffixed with the platform once a file is compared against several
+  const perPlatform = (name, platform) => report.upstreams.length > 1 && platform ? `${name} (${platform})` : name;
+  const properties = {
+    'cef.version': report.version.cef,
+    'chromium.version': report.version.chromium
+  };
+  for (const upstream of report.upstreams) {
+    properties[perPlatform('upstream.name', upstream.platform)] = upstream.name;
+    properties[perPlatform('upstream.sha1', upstream.platform)] = upstream.sha1;
+  }
+
+  const suites = report.bundles.map(bundle => {
+    const cases = report.files.filter(file => file.bundle === bundle.path).map(file => {
+      const details = describeFile(file);
+      const name = perPlatform(file.path, file.platform);
+      if (file.category === 'modified' || file.category === 'missing') {
+        return testCase('files', name, { failure: { message: file.category, details } });
+      }
+      if (file.category === 'excluded') {
+        return testCase('files', name, { skipped: file.justifications.join('; ') });
+      }
+      // Extra files and allowed differences are reported but don't fail verification
+      return testCase('files', name, file.category === 'extra' || file.category === 'allowed' ? { output: details } : {});
+    });
+
+    if (!bundle.parent) {
+      cases.push(testCase('bundles', 'upstream counterpart', bundle.problems.length > 0
+        ? { failure: { message: 'no upstream counterpart', details: bundle.problems.join('\n') } }
+        : { output: bundle.upstream.map(({ platform, path }) => platform ? `${platform}: ${path}` : path).join('\n') }));
+    }
+    cases.push(testCase('signatures', 'code signatures', bundle.signatureProblems.length > 0
+      ? { failure: { message: `${bundle.signatureProblems.length} problem(s)`, details: bundle.signatureProblems.join('\n') } }
+      : {}));
+    cases.push(testCase('signatures', 'resource seals', bundle.sealProblems.length > 0
+      ? { failure: { message: `${bundle.sealProblems.length} problem(s)`, details: bundle.sealProblems.join('\n') } }
+      : {}));
+
+    const failures = cases.filter(c => c.failed).length;
+    return {
+      tests: cases.length,
+      failures,
+      xml: [
+        `  <testsuite name="${escapeXml(bundle.path)}" tests="${cases.length}" failures="${failures}" timestamp="${report.generatedAt}">`,
+        '    <properties>',
+        ...Object.entries({
+          ...properties,
+          ...Object.fromEntries(bundle.upstream.map(({ platform, path }) => [perPlatform('upstream.path', platform), path]))
+        })
+          .filter(([, value]) => value)
+          .map(([name, value]) => `      <property name="${name}" value="${escapeXml(value)}"/>`),
+        '    </properties>',
+        ...cases.map(c => c.xml),
+        '  </testsuite>'
+      ].join('\n')
+    };
+  });
+
+  // Bundles the manifest lists have no files to report, only their absence
+  for (const bundlePath of report.missingBundles) {
+    const missing = testCase('bundles', 'present in local archive', {
+      failure: { message: 'missing bundle', details: `${bundlePath} is in the signed manifest but not in the local archive` }
+    });
+    suites.push({
+      tests: 1,
+      failures: 1,
+      xml: [
+        `  <testsuite name="${escapeXml(bundlePath)}" tests="1" failures="1" timestamp="${report.generatedAt}">`,
+        missing.xml,
+        '  </testsuite>'
+      ].join('\n')
+    });
+  }
+
+  const tests = suites.reduce((sum, suite) => sum + suite.tests, 0);
+  const failures = suites.reduce((sum, suite) => sum + suite.failures, 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(report.localArchive)}" tests="${tests}" failures="${failures}">`,
+    ...suites.map(suite => suite.xml),
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+function testCase(className, name, { failure, output, skipped } = {}) {
+  const open = `    <testcase classname="${className}" name="${escapeXml(name)}"`;
+  if (failure) {
+    return {
+      failed: true,
+      xml: `${open}>\n      <failure message="${escapeXml(failure.message)}">${escapeXml(failure.details)}</failure>\n    </testcase>`
+    };
+  }
+  if (output) {
+    return { failed: false, xml: `${open}>\n      <system-out>${escapeXml(output)}</system-out>\n    </testcase>` };
+  }
+  if (skipped) {
+    return { failed: false, xml: `${open}>\n      <skipped message="${escapeXml(skipped)}"/>\n    </testcase>` };
+  }
+  return { failed: false, xml: `${open}/>` };
+}
+
+function formatSarif(report) {
+  const results = [];
+  const fileResult = (ruleId, file, suppressions) => results.push({
+    ruleId,
+    level: SARIF_RULES[ruleId].level,
+    message: { text: describeFile(file) },
+    locations: [location(file.path)],
+    ...(suppressions ? { suppressions } : {})
+  });
+
+  for (const file of report.files) {
+    if (file.category === 'modified') fileResult('modified-file', file);
+    if (file.category === 'missing') fileResult('missing-file', file);
+    if (file.category === 'extra') fileResult('extra-file', file);
+    // Differences allowed by the policy stay visible as suppressed results
+    if (file.category === 'allowed') {
+      fileResult(file.local ? 'modified-file' : 'missing-file', file,
+        file.justifications.map(justification => ({ kind: 'external', justification })));
+    }
+  }
+  for (const problem of report.signatureProblems) {
+    // Per-binary problems are prefixed with "<file> (<arch>): "
+    const binary = /^(.+?) \([\w-]+\): /.exec(problem);
+    results.push({
+      ruleId: 'signature-problem',
+      level: SARIF_RULES['signature-problem'].level,
+      message: { text: problem },
+      ...(binary ? { locations: [location(binary[1])] } : {})
+    });
+  }
+  for (const problem of report.sealProblems) {
+    // Prefixed with the sealed directory, "<bundle>/Contents: "
+    const sealed = /^(.+?): /.exec(problem);
+    results.push({
+      ruleId: 'seal-problem',
+      level: SARIF_RULES['seal-problem'].level,
+      message: { text: problem },
+      ...(sealed ? { locations: [location(sealed[1])] } : {})
+    });
+  }
+  for (const bundle of report.bundles) {
+    for (const problem of bundle.problems) {
+      results.push({
+        ruleId: 'unmatched-bundle',
+        level: SARIF_RULES['unmatched-bundle'].level,
+        message: { text: problem },
+        locations: [location(bundle.path)]
+      });
+    }
+  }
+  for (const bundlePath of report.missingBundles) {
+    results.push({
+      ruleId: 'missing-bundle',
+      level: SARIF_RULES['missing-bundle'].level,
+      message: { text: `${bundlePath} is in the signed manifest but not in the local archive` },
+      locations: [location(bundlePath)]
+    });
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          rules: Object.entries(SARIF_RULES).map(([id, rule]) => ({
+            id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.level }
+          }))
+        }
+      },
+      originalUriBaseIds: {
+        ARCHIVE: { description: { text: 'Root of the verified local archive' } }
+      },
+      results,
+      properties: {
+        passed: report.passed,
+        distribution: report.distribution,
+        version: report.version,
+        upstreams: report.upstreams,
+        summary: report.summary,
+        bundles: report.bundles.map(({ path, upstream, passed }) => ({ path, upstream, passed }))
+      }
+    }]
+  };
+}
+
+function location(relativePath) {
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: relativePath.split('/').map(encodeURIComponent).join('/'), uriBaseId: 'ARCHIVE' }
+    }
+  };
+}
+
+function describeFile(file) {
+  const lines = [`${file.path}: ${file.category}${file.platform ? ` (against ${file.platform})` : ''}`];
+  for (const [side, entry] of [['local', file.local], ['upstream', file.original]]) {
+    if (!entry) continue;
+    const parts = [entry.type, entry.mode];
+    if (entry.sha256) parts.push(`sha256 ${entry.sha256}`);
+    if (entry.linkTarget !== null) parts.push(`-> ${entry.linkTarget}`);
+    lines.push(`${side}: ${parts.join(', ')}`);
+  }
+  for (const { arch, status } of file.architectures || []) {
+    lines.push(`${arch}: ${status}`);
+  }
+  lines.push(...file.findings);
+  lines.push(...file.explanation || []);
+  lines.push(...file.justifications.map(justification => `justification: ${justification}`));
+  return lines.join('\n');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Characters XML 1.0 can't carry at all
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+module.exports = { REPORT_FORMATS, buildReport, formatReport };
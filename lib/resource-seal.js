@@ -0,0 +1,277 @@
+/**
+ * Validates a bundle's _CodeSignature/CodeResources resource seal against
+ * the files actually present in the bundle.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parsePlist } = require('./plist');
+const { isMachO, readSlices, readMachO } = require('./macho');
+const { readCodeSignature } = require('./codesign');
+const { hashFile } = require('./hash');
+
+// Seal rules are regular expressions from the bundle under test; Apple's are
+// well under 100 characters, and a cap keeps a crafted one from being huge
+const MAX_RULE_LENGTH = 1024;
+
+/**
+ * Checks every sealed file exists with its recorded digest, nested code has
+ * the recorded CDHash, and no unsealed files were added.
+ * @param {string} contentsDir - Directory holding _CodeSignature (Contents/ for
+ *   apps, Versions/<v>/ for frameworks)
+ * @returns {string[]} Problems, as paths relative to contentsDir
+ */
+function validateResourceSeal(contentsDir) {
+  const sealPath = path.join(contentsDir, '_CodeSignature', 'CodeResources');
+  let seal;
+  try {
+    seal = parsePlist(fs.readFileSync(sealPath));
+  } catch (e) {
+    return [`Could not read CodeResources: ${e.message}`];
+  }
+
+  // files2 supersedes files (v1 seals only have the latter)
+  const usesFiles2 = isDict(seal.files2);
+  const sealedFiles = usesFiles2 ? seal.files2 : seal.files;
+  const rules = usesFiles2 ? seal.rules2 : seal.rules;
+  if (!isDict(sealedFiles)) {
+    return ['CodeResources has no files or files2 dictionary'];
+  }
+
+  const problems = [];
+
+  for (const [relativePath, entry] of Object.entries(sealedFiles)) {
+    const filePath = path.join(contentsDir, relativePath);
+    const info = normalizeEntry(entry);
+
+    // The seal comes from the archive under test, so its paths can't be
+    // trusted to stay in the bundle, lexically or through its symlinks
+    if (path.isAbsolute(relativePath) || !isInside(contentsDir, filePath) ||
+        !isInside(fs.realpathSync(contentsDir), realParent(filePath))) {
+      problems.push(`Sealed path escapes the bundle: ${relativePath}`);
+      continue;
+    }
+
+    const stat = lstatIfExists(filePath);
+    if (!stat) {
+      if (!info.optional) problems.push(`Sealed file missing: ${relativePath}`);
+      continue;
+    }
+
+    if (info.symlink !== undefined) {
+      if (!stat.isSymbolicLink()) {
+        problems.push(`Sealed symlink is not a symlink: ${relativePath}`);
+      } else if (fs.readlinkSync(filePath) !== info.symlink) {
+        problems.push(`Sealed symlink target changed: ${relativePath} -> ${fs.readlinkSync(filePath)} (sealed: ${info.symlink})`);
+      }
+    } else if (info.cdhash) {
+      try {
+        if (!nestedCodeHashes(filePath).includes(info.cdhash.toString('hex'))) {
+          problems.push(`Nested code CDHash mismatch: ${relativePath}`);
+        }
+      } catch (e) {
+        problems.push(`Could not read nested code ${relativePath}: ${e.message}`);
+      }
+    } else if (info.hash || info.hash2) {
+      // v1 seals hash a symlink's target path rather than following it
+      const link = stat.isSymbolicLink() ? Buffer.from(fs.readlinkSync(filePath)) : null;
+      const matches = (algorithm, expected) => expected.toString('hex') === (link
+        ? crypto.createHash(algorithm).update(link).digest('hex')
+        : hashFile(filePath, algorithm));
+      if (!link && !stat.isFile()) {
+        problems.push(`Sealed path is not a file: ${relativePath}`);
+      } else if ((info.hash2 && !matches('sha256', info.hash2)) ||
+          (info.hash && !matches('sha1', info.hash))) {
+        problems.push(`Sealed file modified: ${relativePath}`);
+      }
+    } else {
+      problems.push(`Unrecognized seal entry: ${relativePath}`);
+    }
+  }
+
+  const compiledRules = compileRules(rules, problems);
+  const ignored = boundFiles(contentsDir);
+
+  for (const relativePath of listBundleFiles(contentsDir)) {
+    if (Object.prototype.hasOwnProperty.call(sealedFiles, relativePath)) continue;
+    if (ignored.has(relativePath)) continue;
+
+    const rule = matchRule(compiledRules, relativePath);
+    if (rule && !rule.omit) {
+      problems.push(`Unsealed file: ${relativePath}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Finds every resource seal inside a bundle tree.
+ * @param {string} rootDir - Directory to search
+ * @returns {string[]} Absolute paths of the directories holding _CodeSignature/CodeResources
+ */
+function findSealedBundles(rootDir) {
+  const found = [];
+  const walk = (currentDir) => {
+    for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.name === '_CodeSignature') {
+        if (fs.existsSync(path.join(fullPath, 'CodeResources'))) found.push(currentDir);
+      } else {
+        walk(fullPath);
+      }
+    }
+  };
+  walk(rootDir);
+  return found;
+}
+
+function normalizeEntry(entry) {
+  // v1 entries may be a bare SHA-1 digest
+  if (Buffer.isBuffer(entry)) {
+    return { hash: entry };
+  }
+  return isDict(entry) ? entry : {};
+}
+
+// Rules that don't compile are reported and left out
+function compileRules(rules, problems) {
+  if (!isDict(rules)) return [];
+  const compiled = [];
+  for (const [pattern, value] of Object.entries(rules)) {
+    if (pattern.length > MAX_RULE_LENGTH) {
+      problems.push(`Invalid seal rule: ${pattern.slice(0, 80)}... (longer than ${MAX_RULE_LENGTH} characters)`);
+      continue;
+    }
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (e) {
+      problems.push(`Invalid seal rule: ${pattern}`);
+      continue;
+    }
+    const options = isDict(value) ? value : {};
+    compiled.push({
+      pattern: regex,
+      include: value !== false,
+      omit: options.omit === true,
+      weight: typeof options.weight === 'number' ? options.weight : 1
+    });
+  }
+  return compiled;
+}
+
+function matchRule(rules, relativePath) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.pattern.test(relativePath)) continue;
+    if (!best || rule.weight > best.weight) best = rule;
+  }
+  return best && best.include ? best : null;
+}
+
+// Files bound through the CodeDirectory rather than the resource seal
+function boundFiles(contentsDir) {
+  const bound = new Set(['Info.plist', 'Resources/Info.plist']);
+  for (const plistPath of ['Info.plist', path.join('Resources', 'Info.plist')]) {
+    try {
+      const info = parsePlist(fs.readFileSync(path.join(contentsDir, plistPath)));
+      if (info && typeof info.CFBundleExecutable === 'string') {
+        bound.add(`MacOS/${info.CFBundleExecutable}`);
+        bound.add(info.CFBundleExecutable);
+      }
+    } catch (e) {
+      // No readable Info.plist here
+    }
+  }
+  return bound;
+}
+
+function listBundleFiles(contentsDir) {
+  const files = [];
+  const walk = (currentDir) => {
+    for (const entry of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      const fullPath = path.join(currentDir, entry.name);
+      const relativePath = path.relative(contentsDir, fullPath).split(path.sep).join('/');
+      if (!entry.isDirectory()) {
+        files.push(relativePath);
+      } else if (isBundleDir(relativePath)) {
+        // Nested bundles are sealed as a whole via their CDHash
+        files.push(relativePath);
+      } else if (relativePath !== '_CodeSignature') {
+        walk(fullPath);
+      }
+    }
+  };
+  walk(contentsDir);
+  return files;
+}
+
+function isBundleDir(relativePath) {
+  return /\.(app|framework|bundle|plugin|appex|xpc)$/.test(relativePath);
+}
+
+function nestedCodeHashes(nestedPath) {
+  const executable = findExecutable(nestedPath);
+  if (!executable || !isMachO(executable)) return [];
+
+  const hashes = [];
+  for (const slice of readSlices(executable)) {
+    const macho = readMachO(executable, slice.offset);
+    const signature = readCodeSignature(executable, slice.offset, macho);
+    if (signature) {
+      hashes.push(...signature.codeDirectories.map(cd => cd.cdhash));
+    }
+  }
+  return hashes;
+}
+
+function findExecutable(nestedPath) {
+  const stat = fs.statSync(nestedPath);
+  if (stat.isFile()) return nestedPath;
+
+  const candidates = [
+    { plist: 'Contents/Info.plist', dir: 'Contents/MacOS' },
+    { plist: 'Versions/Current/Resources/Info.plist', dir: 'Versions/Current' },
+    { plist: 'Resources/Info.plist', dir: '.' }
+  ];
+  for (const { plist, dir } of candidates) {
+    const plistPath = path.join(nestedPath, plist);
+    if (!fs.existsSync(plistPath)) continue;
+    const info = parsePlist(fs.readFileSync(plistPath));
+    if (info && typeof info.CFBundleExecutable === 'string') {
+      return path.join(nestedPath, dir, info.CFBundleExecutable);
+    }
+  }
+  return null;
+}
+
+function isInside(dir, filePath) {
+  const relative = path.relative(dir, filePath);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// The real path of filePath's nearest existing parent directory, joined with
+// the rest of filePath
+function realParent(filePath) {
+  let parent = path.dirname(filePath);
+  while (!lstatIfExists(parent)) parent = path.dirname(parent);
+  return path.join(fs.realpathSync(parent), path.relative(parent, filePath));
+}
+
+function lstatIfExists(filePath) {
+  try {
+    return fs.lstatSync(filePath);
+  } catch (e) {
+    return null;
+  }
+}
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !Buffer.isBuffer(value) && !(value instanceof Date);
+}
+
+module.exports = { validateResourceSeal, findSealedBundles };
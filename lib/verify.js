@@ -0,0 +1,1377 @@
+/**
+ * Verifies that a re-signed CEF build matches the original from cef-builds.spotifycdn.com
+ * by comparing file contents while ignoring code signature differences, or
+ * against a signed manifest of a build that did.
+ *
+ * Nothing here prints or exits: progress goes to an `onProgress(event)`
+ * callback and the outcome is the resolved result, which lib/report.js
+ * turns into JSON, JUnit or SARIF. verify-cef-integrity.js is the command
+ * line for it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isMachO, readSlices, readMachO } = require('./macho');
+const { compareFiles } = require('./compare');
+const { WorkerPool } = require('./worker-pool');
+const { hashFile } = require('./hash');
+const { readCodeSignature, validateCodeDirectories } = require('./codesign');
+const { validateResourceSeal, findSealedBundles } = require('./resource-seal');
+const { DEFAULT_POLICY, readEntitlements, auditEntitlements } = require('./entitlements');
+const { parsePlist } = require('./plist');
+const { extractZip, extractTarBz2 } = require('./archive');
+const { defaultCacheDir, findCached, addToCache, removeFromCache } = require('./cache');
+const { fetchJson, downloadFile } = require('./http');
+const { describeEntry, checkEntry, createSignedManifest, readSignedManifest } = require('./manifest');
+const { keyId } = require('./ed25519');
+const {
+  BUILTIN_POLICY,
+  policyForBundle,
+  findExclusion,
+  checkAllowed,
+  entitlementJustification
+} = require('./policy');
+
+const CEF_BUILDS_INDEX = 'https://cef-builds.spotifycdn.com/index.json';
+
+const HTTP_HEADERS = { 'User-Agent': 'cef-verify' };
+
+// Upstream distribution types that contain signed-ready bundles
+const DISTRIBUTIONS = ['client', 'standard', 'minimal'];
+
+// Upstream platforms in the builds index and the CPU types each one covers
+const PLATFORM_ARCHITECTURES = {
+  macosx64: ['x86_64', 'x86_64h', 'i386'],
+  macosarm64: ['arm64', 'arm64e']
+};
+
+// Release channels in the builds index
+const CHANNELS = ['stable', 'beta'];
+
+/**
+ * Verifies a zip of re-signed bundles against the upstream CEF build it was
+ * made from. The temporary extraction directory is removed however the
+ * verification ends.
+ * @param {object} options
+ * @param {string} options.localZip - Zip of re-signed .app and/or .framework bundles
+ * @param {string} [options.version] - CEF version or a prefix of one (see
+ *   resolveCefVersion); detected from Info.plist when omitted
+ * @param {string|string[]} [options.original] - Upstream archive(s) to use
+ *   instead of downloading them
+ * @param {string|object} [options.index] - Local copy of index.json, or the
+ *   parsed index; fetched from the CDN when omitted
+ * @param {string} [options.dist] - 'client' (default), 'standard' or 'minimal'
+ * @param {string[]} [options.platforms] - Upstream platforms; detected from
+ *   the CPU types of the local binaries when omitted
+ * @param {string} [options.channel] - Only consider builds from this channel
+ * @param {string|null} [options.cacheDir] - Archive cache; null for none
+ * @param {number} [options.jobs] - Files compared in parallel
+ * @param {boolean} [options.explain] - Describe how each modified file differs
+ * @param {object} [options.policy] - From loadPolicy (lib/policy.js)
+ * @param {object} [options.entitlementsPolicy] - From loadEntitlementsPolicy
+ * @param {string} [options.expectedTeam] - Team ID every binary must be signed by
+ * @param {crypto.KeyObject} [options.signingKey] - Ed25519 key; a passing
+ *   build then also gets a signed manifest
+ * @param {function} [options.onProgress] - Called with { type, message } for
+ *   each step ('step', with its number), 'info', 'success' and 'warning',
+ *   and with { type: 'download', received, total } while an upstream
+ *   archive downloads
+ * @returns {Promise<object>} passed, localArchive, distribution, version
+ *   {cef, chromium, detected}, upstreams (one build per platform), bundles
+ *   (see verifyLocalBundle) and signedManifest (file contents, or null);
+ *   the input of buildReport
+ */
+async function verifyBundle(options) {
+  const emit = progressEmitter(options.onProgress);
+  const localZipPath = options.localZip;
+  const dist = options.dist || 'client';
+  const channel = options.channel || null;
+  const requestedPlatforms = options.platforms || null;
+  const suppliedArchives = [].concat(options.original || []);
+  const cacheDir = options.cacheDir === undefined ? defaultCacheDir() : options.cacheDir;
+
+  if (!DISTRIBUTIONS.includes(dist)) {
+    throw new Error(`Unknown distribution "${dist}" (expected ${DISTRIBUTIONS.join(', ')})`);
+  }
+  if (channel && !CHANNELS.includes(channel)) {
+    throw new Error(`Unknown channel "${channel}" (expected ${CHANNELS.join(', ')})`);
+  }
+  if (requestedPlatforms) {
+    parsePlatforms(requestedPlatforms.join(','));
+  }
+  const indexPath = typeof options.index === 'string' ? options.index : undefined;
+  checkFilesExist([localZipPath, ...suppliedArchives, indexPath]);
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cef-verify-'));
+  const localExtractDir = path.join(tempDir, 'local');
+  const originalExtractDir = path.join(tempDir, 'original');
+
+  try {
+    // Step 1: Extract local archive first to detect version
+    emit('step', 'Extracting local archive...', { step: 1 });
+    await extractZip(localZipPath, localExtractDir);
+
+    const localBundles = findBundles(localExtractDir);
+    const topLevelBundles = localBundles.filter(bundle => !bundle.parent);
+    if (topLevelBundles.length === 0) {
+      throw new Error('Could not find any .app or .framework bundle in local archive');
+    }
+    emit('info', `Found ${topLevelBundles.length} bundle(s): ${topLevelBundles.map(b => b.relativePath).join(', ')}`);
+
+    // Detect version from Info.plist if not provided
+    const bundlePaths = topLevelBundles.map(bundle => bundle.absolutePath);
+    let cefVersion = options.version;
+    let chromiumVersion = null;
+    if (!cefVersion) {
+      const detected = detectCefVersion(bundlePaths, localExtractDir);
+      if (detected.conflicts.length > 0) {
+        throw new Error('Info.plist files disagree about the version:\n  ' +
+          detected.conflicts.join('\n  ') +
+          '\nPass the CEF version explicitly to continue.');
+      }
+      cefVersion = detected.version;
+      chromiumVersion = detected.chromiumVersion;
+      emit('info', `Detected CEF version: ${cefVersion}`);
+      if (detected.chromiumVersion) {
+        emit('info', `Detected Chromium version: ${detected.chromiumVersion}`);
+      }
+    } else {
+      try {
+        const detected = detectCefVersion(bundlePaths, localExtractDir);
+        detected.conflicts.forEach(c => emit('warning', `Info.plist files disagree about the ${c}`));
+        // Only the parts both versions have are compared
+        if (!versionMatches(detected.version, cefVersion) && !versionMatches(cefVersion, detected.version)) {
+          emit('warning', `Requested CEF version ${cefVersion} differs from Info.plist version ${detected.version}`);
+        }
+      } catch (e) {
+        // Detection is only advisory when the version is given explicitly
+      }
+    }
+
+    // Universal builds are checked against the upstream build of every
+    // platform they contain, each for its own architectures
+    const platforms = requestedPlatforms || detectPlatforms(topLevelBundles, emit);
+    emit('info', `${requestedPlatforms ? 'Platform' : 'Detected platform'}(s): ${platforms.join(', ')}`);
+
+    // Steps 2 to 4 run once per platform
+    emit('step', `Finding original CEF build (${dist} distribution)...`, { step: 2 });
+    const index = await loadBuildsIndex(options.index, { onProgress: options.onProgress });
+    const resolvedVersion = resolveCefVersion(index, cefVersion, { channel, platforms });
+    if (resolvedVersion !== cefVersion) {
+      emit('info', `Resolved ${cefVersion} to ${resolvedVersion}`);
+    }
+    const originalBuilds = platforms.map(platform => findOriginalCefBuild(index, resolvedVersion, dist, platform));
+
+    const upstreams = [];
+    for (const originalBuild of originalBuilds) {
+      emit('info', `Found: ${originalBuild.name}`);
+      emit('info', `Expected SHA1: ${originalBuild.sha1}`);
+      emit('info', `Expected size: ${formatBytes(originalBuild.size)}`);
+
+      emit('step', `Obtaining original CEF build (${originalBuild.platform})...`, { step: 3 });
+      const originalZipPath = await obtainOriginalArchive(originalBuild, {
+        suppliedPath: findSuppliedArchive(suppliedArchives, originalBuild, platforms.length),
+        cacheDir,
+        tempDir,
+        emit
+      });
+
+      // Step 4: Extract original archive
+      emit('step', `Extracting original archive (${originalBuild.platform})...`, { step: 4 });
+      const extractDir = path.join(originalExtractDir, originalBuild.platform);
+      await extractTarBz2(originalZipPath, extractDir);
+      emit('info', 'Extraction complete.');
+      upstreams.push({
+        platform: originalBuild.platform,
+        build: originalBuild,
+        bundles: findBundles(extractDir),
+        architectures: platforms.length > 1 ? PLATFORM_ARCHITECTURES[originalBuild.platform] : null
+      });
+    }
+
+    // Steps 5 and 6 run once per bundle, each against its upstream counterparts
+    const bundles = [];
+    for (const bundle of topLevelBundles) {
+      bundles.push(await verifyLocalBundle(bundle, localBundles, upstreams, {
+        dist,
+        jobs: options.jobs,
+        explain: Boolean(options.explain),
+        policy: options.policy || BUILTIN_POLICY,
+        entitlementsPolicy: options.entitlementsPolicy || DEFAULT_POLICY,
+        expectedTeam: options.expectedTeam,
+        emit
+      }));
+    }
+
+    const passed = bundles.every(bundle => bundle.passed);
+    const version = {
+      cef: resolvedVersion,
+      chromium: chromiumVersion || originalBuilds[0].chromiumVersion,
+      detected: !options.version
+    };
+
+    // Only builds that pass get a manifest, and it has to be made before
+    // the extracted files are removed
+    let signedManifest = null;
+    if (options.signingKey && passed) {
+      emit('info', 'Hashing files for the manifest...');
+      signedManifest = createSignedManifest({
+        archive: { name: path.basename(localZipPath), sha256: hashFile(localZipPath) },
+        version,
+        distribution: dist,
+        bundles: topLevelBundles.map(bundle => bundle.relativePath),
+        upstreams: originalBuilds,
+        entries: topLevelBundles.flatMap(bundle => getAllFiles(bundle.absolutePath, bundle.absolutePath)
+          .map(file => describeEntry(file, `${bundle.relativePath}/${file.relativePath.split(path.sep).join('/')}`)))
+      }, options.signingKey);
+    }
+
+    return {
+      passed,
+      localArchive: path.basename(localZipPath),
+      distribution: dist,
+      version,
+      upstreams: originalBuilds,
+      bundles,
+      signedManifest
+    };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Verifies a local archive against a signed manifest instead of the upstream
+ * build, which needs no network access and no upstream download.
+ * @param {object} options
+ * @param {string} options.localZip - Zip of re-signed bundles
+ * @param {string} options.manifest - Signed manifest file
+ * @param {crypto.KeyObject} options.publicKey - Key the manifest must be signed with
+ * @param {object} [options.policy] - See verifyBundle
+ * @param {object} [options.entitlementsPolicy] - See verifyBundle
+ * @param {string} [options.expectedTeam] - See verifyBundle
+ * @param {function} [options.onProgress] - See verifyBundle
+ * @returns {Promise<object>} Like verifyBundle, with the manifest's upstreams
+ *   and missingBundles: bundles in the manifest but not in the archive
+ */
+async function verifyWithManifest(options) {
+  const emit = progressEmitter(options.onProgress);
+  const localZipPath = options.localZip;
+  checkFilesExist([localZipPath, options.manifest]);
+
+  emit('step', 'Checking manifest signature...', { step: 1 });
+  const manifest = readSignedManifest(options.manifest, options.publicKey);
+  emit('success', `Manifest signed by key ${keyId(options.publicKey)}`);
+  emit('info', `Release: ${manifest.archive.name}, CEF ${manifest.cefVersion} (${manifest.distribution} distribution)`);
+  for (const upstream of manifest.upstreams) {
+    emit('info', `Verified against: ${upstream.name} (SHA1 ${upstream.sha1})`);
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cef-verify-'));
+  const localExtractDir = path.join(tempDir, 'local');
+
+  try {
+    emit('step', 'Extracting local archive...', { step: 2 });
+    if (hashFile(localZipPath) === manifest.archive.sha256) {
+      emit('info', `Archive is byte-for-byte the one in the manifest (${manifest.archive.name})`);
+    }
+    await extractZip(localZipPath, localExtractDir);
+    const localBundles = findBundles(localExtractDir);
+    const topLevelBundles = localBundles.filter(bundle => !bundle.parent);
+    emit('info', `Found ${topLevelBundles.length} bundle(s): ${topLevelBundles.map(b => b.relativePath).join(', ')}`);
+
+    const bundleOptions = {
+      policy: options.policy || BUILTIN_POLICY,
+      entitlementsPolicy: options.entitlementsPolicy || DEFAULT_POLICY,
+      expectedTeam: options.expectedTeam,
+      emit
+    };
+    const bundles = topLevelBundles.map(bundle => verifyBundleWithManifest(bundle, localBundles, manifest, bundleOptions));
+    const missingBundles = manifest.bundles.filter(bundlePath => !topLevelBundles.some(b => b.relativePath === bundlePath));
+
+    return {
+      passed: missingBundles.length === 0 && bundles.length > 0 && bundles.every(bundle => bundle.passed),
+      localArchive: path.basename(localZipPath),
+      distribution: manifest.distribution,
+      version: { cef: manifest.cefVersion, chromium: manifest.chromiumVersion, detected: false },
+      upstreams: manifest.upstreams,
+      bundles,
+      missingBundles
+    };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// emit(type, message, extra) calls onProgress, if there is one
+function progressEmitter(onProgress) {
+  return (type, message, extra = {}) => {
+    if (onProgress) onProgress({ type, message, ...extra });
+  };
+}
+
+function checkFilesExist(files) {
+  for (const file of files) {
+    if (file !== undefined && !fs.existsSync(file)) {
+      throw new Error(`File not found: ${file}`);
+    }
+  }
+}
+
+function httpOptions(emit) {
+  return {
+    headers: HTTP_HEADERS,
+    onRetry: (error, attempt, delay) => {
+      emit('warning', `${error.message}; retrying in ${delay / 1000}s (attempt ${attempt})`);
+    }
+  };
+}
+
+/**
+ * Compares one top-level local bundle with its upstream counterparts and
+ * inspects its signatures. Bundles nested inside it (helper apps, the
+ * framework) get verdicts of their own, from the entries they contain.
+ * @param {object} bundle - From findBundles
+ * @param {object[]} localBundles - Every bundle in the local archive
+ * @param {object[]} upstreams - One per upstream platform: platform, bundles
+ *   (every bundle in its archive) and architectures (the local slices to
+ *   compare against it, null for all)
+ * @param {object} options - dist, jobs, explain, policy, entitlementsPolicy,
+ *   expectedTeam and emit (from progressEmitter)
+ */
+async function verifyLocalBundle(bundle, localBundles, upstreams, options) {
+  const policy = policyForBundle(options.policy, bundle.name);
+  const run = newBundleRun(bundle);
+
+  for (const { platform, bundles: upstreamBundles, architectures } of upstreams) {
+    const upstream = findUpstreamBundle(bundle, upstreamBundles);
+    if (!upstream) {
+      options.emit('warning', `${bundle.relativePath} has no counterpart in the upstream ${options.dist} distribution for ${platform}`, { step: 5 });
+      run.problems.push(`No ${bundle.name} in the upstream ${options.dist} distribution for ${platform}`);
+      continue;
+    }
+    options.emit('step', `Comparing ${bundle.relativePath} with upstream ${upstream.relativePath} ` +
+      `(${platform}${architectures ? `: ${architectures.join(', ')}` : ''}, ignoring signatures)...`, { step: 5 });
+    const result = await compareApps(bundle.absolutePath, upstream.absolutePath, {
+      jobs: options.jobs,
+      explain: options.explain,
+      policy,
+      architectures
+    });
+    result.files.forEach(record => { record.platform = platform; });
+    run.comparisons.push({
+      platform,
+      upstreamPath: upstream.relativePath,
+      label: `Upstream (${platform}): ${upstream.relativePath}`,
+      result
+    });
+  }
+
+  // Step 6: Decode the signatures that the comparison ignored
+  options.emit('step', `Inspecting code signatures in ${bundle.relativePath}...`, { step: 6 });
+  return inspectBundle(bundle, localBundles, run, policy, options);
+}
+
+/**
+ * Compares one top-level local bundle with its entries in a signed manifest,
+ * without any upstream archive, then inspects its signatures like
+ * verifyLocalBundle does.
+ * @param {object} bundle - From findBundles
+ * @param {object[]} localBundles - Every bundle in the local archive
+ * @param {object} manifest - From readSignedManifest
+ * @param {object} options - policy, entitlementsPolicy, expectedTeam, emit
+ */
+function verifyBundleWithManifest(bundle, localBundles, manifest, options) {
+  const policy = policyForBundle(options.policy, bundle.name);
+  const run = newBundleRun(bundle);
+
+  if (manifest.bundles.includes(bundle.relativePath)) {
+    options.emit('step', `Comparing ${bundle.relativePath} with the manifest...`, { step: 3 });
+    run.comparisons.push({
+      platform: null,
+      upstreamPath: bundle.relativePath,
+      label: `Manifest: ${bundle.relativePath}`,
+      result: compareWithManifest(bundle, manifest, policy)
+    });
+  } else {
+    options.emit('warning', `${bundle.relativePath} is not in the manifest`, { step: 3 });
+    run.problems.push(`No ${bundle.relativePath} in the manifest`);
+  }
+
+  options.emit('step', `Inspecting code signatures in ${bundle.relativePath}...`, { step: 4 });
+  return inspectBundle(bundle, localBundles, run, policy, options);
+}
+
+function newBundleRun(bundle) {
+  return {
+    path: bundle.relativePath,
+    problems: [],
+    comparisons: [],
+    signatures: [],
+    signatureProblems: [],
+    sealProblems: [],
+    verdicts: [],
+    passed: false
+  };
+}
+
+// Decodes the signatures the comparison ignored, then gives the bundle and
+// each bundle nested in it a verdict
+function inspectBundle(bundle, localBundles, run, policy, options) {
+  run.signatures = inspectSignatures(bundle.absolutePath, options.entitlementsPolicy, policy)
+    .map(entry => ({ ...entry, file: `${bundle.relativePath}/${entry.file}` }));
+  run.signatureProblems = [
+    ...run.signatures.flatMap(s => s.problems.map(p => `${s.file} (${s.arch}): ${p}`)),
+    // Bundle-wide problems don't start with a binary's path
+    ...checkSigningTeams(run.signatures, options.expectedTeam)
+      .map(p => run.signatures.some(s => p.startsWith(`${s.file} (`)) ? p : `${bundle.relativePath}: ${p}`)
+  ];
+  run.sealProblems = validateResourceSeals(bundle.absolutePath, bundle.relativePath);
+
+  // Attribute every entry and problem to the innermost bundle containing it
+  const nested = localBundles.filter(b => b.relativePath.startsWith(`${bundle.relativePath}/`));
+  const verdictPaths = [bundle.relativePath, ...nested.map(b => b.relativePath)];
+  const records = run.comparisons.flatMap(comparison => comparison.result.files);
+  for (const record of records) {
+    record.bundle = owningBundle(`${bundle.relativePath}/${record.path}`, verdictPaths);
+  }
+  run.verdicts = verdictPaths.map(verdictPath => {
+    const owned = (item) => owningBundle(item, verdictPaths) === verdictPath;
+    const files = records.filter(record => record.bundle === verdictPath);
+    const signatureProblems = run.signatureProblems.filter(owned);
+    const sealProblems = run.sealProblems.filter(owned);
+    const summary = {
+      modified: files.filter(f => f.category === 'modified').length,
+      missing: files.filter(f => f.category === 'missing').length,
+      signatureProblems: signatureProblems.length,
+      sealProblems: sealProblems.length
+    };
+    const isTopLevel = verdictPath === bundle.relativePath;
+    return {
+      path: verdictPath,
+      parent: isTopLevel ? null : owningBundle(path.dirname(verdictPath), verdictPaths.filter(p => p !== verdictPath)),
+      passed: (!isTopLevel || run.problems.length === 0) && Object.values(summary).every(count => count === 0),
+      problems: isTopLevel ? run.problems : [],
+      summary,
+      signatureProblems,
+      sealProblems
+    };
+  });
+  run.passed = run.verdicts.every(verdict => verdict.passed);
+  return run;
+}
+
+// Reads the version from the Info.plist of each app and of the CEF
+// framework, whether standalone or inside an app
+function detectCefVersion(bundlePaths, baseDir) {
+  const candidates = [];
+  for (const bundlePath of bundlePaths) {
+    let frameworkPath = bundlePath;
+    if (!bundlePath.endsWith('.framework')) {
+      candidates.push(path.join(bundlePath, 'Contents', 'Info.plist'));
+      frameworkPath = path.join(bundlePath, 'Contents', 'Frameworks', 'Chromium Embedded Framework.framework');
+    } else if (path.basename(bundlePath) !== 'Chromium Embedded Framework.framework') {
+      continue;
+    }
+    candidates.push(
+      path.join(frameworkPath, 'Resources', 'Info.plist'),
+      path.join(frameworkPath, 'Versions', 'A', 'Resources', 'Info.plist')
+    );
+  }
+
+  const sources = [];
+  const seen = new Set();
+  for (const infoPlistPath of candidates) {
+    if (!fs.existsSync(infoPlistPath)) continue;
+    // Resources/ is usually a symlink into Versions/A
+    const realPath = fs.realpathSync(infoPlistPath);
+    if (seen.has(realPath)) continue;
+    seen.add(realPath);
+
+    const file = path.relative(baseDir, infoPlistPath);
+    let plist;
+    try {
+      plist = parsePlist(fs.readFileSync(infoPlistPath));
+    } catch (e) {
+      throw new Error(`Failed to parse ${file}: ${e.message}`);
+    }
+
+    for (const key of ['CFBundleShortVersionString', 'CFBundleVersion']) {
+      const parsed = parseVersionString(plist && plist[key]);
+      if (parsed) {
+        sources.push({ file, key, value: plist[key], ...parsed });
+      }
+    }
+  }
+
+  const unique = (field) => [...new Set(sources.map(s => s[field]).filter(Boolean))];
+  const cefVersions = unique('cefVersion');
+  const fullVersions = unique('fullVersion');
+  const chromiumVersions = unique('chromiumVersion');
+  if (cefVersions.length === 0) {
+    throw new Error('Could not find a CEF version in the app or framework Info.plist');
+  }
+
+  const describe = (field) => sources
+    .filter(s => s[field])
+    .map(s => `${s[field]} (${s.file} ${s.key})`)
+    .join(', ');
+  const conflicts = [];
+  if (cefVersions.length > 1) {
+    conflicts.push(`CEF version: ${describe('cefVersion')}`);
+  } else if (fullVersions.length > 1) {
+    conflicts.push(`CEF version: ${describe('fullVersion')}`);
+  }
+  if (chromiumVersions.length > 1) {
+    conflicts.push(`Chromium version: ${describe('chromiumVersion')}`);
+  }
+
+  // The full version string pins the exact upstream build when present
+  return {
+    version: fullVersions[0] || cefVersions[0],
+    chromiumVersion: chromiumVersions[0] || null,
+    sources,
+    conflicts
+  };
+}
+
+function parseVersionString(value) {
+  if (typeof value !== 'string') return null;
+
+  // Chromium versions look like 73.0.3683.75
+  const chromium = value.match(/^(\d+\.0\.\d{4,}\.\d+)$/);
+  if (chromium) {
+    return { cefVersion: null, fullVersion: null, chromiumVersion: chromium[1] };
+  }
+
+  // CEF versions: 73.1.5, 73.1.5.0 or 73.1.5+g4a68f1d+chromium-73.0.3683.75
+  const cef = value.match(/^(\d+\.\d+\.\d+)(?:\.\d+)?(?:\+(g[0-9a-f]+))?(?:\+chromium-(\d+\.\d+\.\d+\.\d+))?$/);
+  if (cef) {
+    return {
+      cefVersion: cef[1],
+      // As spelled in the builds index, when the commit and Chromium version are both there
+      fullVersion: cef[2] && cef[3] ? `${cef[1]}+${cef[2]}+chromium-${cef[3]}` : null,
+      chromiumVersion: cef[3] || null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Loads the CEF builds index from a local file, or from the CDN.
+ * @param {string|object} [index] - Local copy of index.json, or an index
+ *   that was already loaded
+ * @param {object} [options] - onProgress, as for verifyBundle
+ */
+async function loadBuildsIndex(index, { onProgress = null } = {}) {
+  const emit = progressEmitter(onProgress);
+  if (index && typeof index === 'object') {
+    return index;
+  }
+  const indexPath = index;
+  if (indexPath) {
+    emit('info', `Reading CEF builds index from ${indexPath}...`);
+    try {
+      return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    } catch (e) {
+      throw new Error(`Failed to read CEF builds index: ${e.message}`);
+    }
+  }
+  emit('info', 'Fetching CEF builds index...');
+  return fetchJson(CEF_BUILDS_INDEX, httpOptions(emit));
+}
+
+/**
+ * @param {string} cefVersion - Full version from the builds index, e.g.
+ *   "73.1.5+g4a68f1d+chromium-73.0.3683.75"
+ * @param {string} spec - That full version or a prefix of it: "73", "73.1",
+ *   "73.1.5" or "73.1.5+g4a68f1d"
+ * @returns {boolean}
+ */
+function versionMatches(cefVersion, spec) {
+  if (spec.includes('+')) {
+    return cefVersion === spec || cefVersion.startsWith(`${spec}+`);
+  }
+  const numeric = cefVersion.split('+')[0];
+  return numeric === spec || numeric.startsWith(`${spec}.`);
+}
+
+// Each build of the index that matches, as { platform, build }
+function findIndexBuilds(index, { version = null, channel = null, platforms = null } = {}) {
+  const matches = [];
+  for (const platform of platforms || Object.keys(PLATFORM_ARCHITECTURES)) {
+    for (const build of index[platform]?.versions || []) {
+      if (!build.cef_version) continue;
+      if (version && !versionMatches(build.cef_version, version)) continue;
+      if (channel && build.channel !== channel) continue;
+      matches.push({ platform, build });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Resolves a version, or a prefix of one, to exactly one full CEF version
+ * from the builds index. A prefix that matches several versions is an error
+ * listing them, rather than a guess.
+ * @param {object} index - CEF builds index
+ * @param {string} version - See versionMatches
+ * @param {object} [options] - channel: 'stable' or 'beta'; platforms to search
+ * @returns {string} Full CEF version
+ */
+function resolveCefVersion(index, version, { channel = null, platforms = null } = {}) {
+  if (!/^\d+(\.\d+)*(\+[\w.+-]+)?$/.test(version)) {
+    throw new Error(`Invalid CEF version "${version}"`);
+  }
+
+  const candidates = groupByVersion(findIndexBuilds(index, { version, channel, platforms }));
+  if (candidates.length === 1) {
+    return candidates[0].cefVersion;
+  }
+
+  const where = [channel, platforms && platforms.join(', ')].filter(Boolean).join(', ');
+  if (candidates.length === 0) {
+    throw new Error(`Could not find CEF build for version ${version}${where ? ` (${where})` : ''}. ` +
+      'Check https://cef-builds.spotifycdn.com/index.html or run with --list-versions');
+  }
+  throw new Error(`CEF version ${version} is ambiguous; it matches ${candidates.length} builds${where ? ` (${where})` : ''}:\n  ` +
+    candidates.map(c => `${c.cefVersion} (${c.channel || 'unknown channel'}; ${c.platforms.map(p => p.platform).join(', ')})`).join('\n  ') +
+    `\nPass the full version${!channel && new Set(candidates.map(c => c.channel)).size > 1 ? ' or --channel' : ''} to choose one.`);
+}
+
+// One entry per CEF version, in index order, with the platforms it was built for
+function groupByVersion(matches) {
+  const versions = new Map();
+  for (const { platform, build } of matches) {
+    if (!versions.has(build.cef_version)) {
+      versions.set(build.cef_version, {
+        cefVersion: build.cef_version,
+        chromiumVersion: build.chromium_version || null,
+        channel: build.channel || null,
+        platforms: []
+      });
+    }
+    versions.get(build.cef_version).platforms.push({
+      platform,
+      files: (build.files || []).map(file => file.type)
+    });
+  }
+  return [...versions.values()];
+}
+
+/**
+ * Lists the versions in the builds index with their channel, platforms
+ * and distribution types.
+ * @param {object} index - CEF builds index
+ * @param {string} [version] - Only list versions matching this (see versionMatches)
+ * @param {object} [options] - channel, platforms
+ * @returns {object[]} cefVersion, chromiumVersion, channel and platforms
+ *   ({ platform, files }) of each version, in index order
+ */
+function listIndexVersions(index, version, { channel = null, platforms = null } = {}) {
+  const versions = groupByVersion(findIndexBuilds(index, { version, channel, platforms }));
+  if (versions.length === 0) {
+    throw new Error(`No CEF builds in the index${version ? ` match ${version}` : ''}`);
+  }
+  return versions;
+}
+
+/**
+ * Finds the upstream archive of a distribution type for a CEF version.
+ * @param {object} index - CEF builds index
+ * @param {string} version - Full version, from resolveCefVersion
+ * @param {string} [dist] - 'client', 'standard' or 'minimal'
+ * @param {string} [platform] - 'macosx64' or 'macosarm64'; any when omitted
+ */
+function findOriginalCefBuild(index, version, dist = 'client', platform = null) {
+  const matches = findIndexBuilds(index, { platforms: platform ? [platform] : null })
+    .filter(({ build }) => build.cef_version === version);
+
+  for (const { platform: buildPlatform, build } of matches) {
+    const distFile = build.files?.find(f => f.type === dist);
+    if (distFile) {
+      return {
+        url: `https://cef-builds.spotifycdn.com/${distFile.name}`,
+        sha1: distFile.sha1,
+        size: distFile.size,
+        name: distFile.name,
+        type: dist,
+        platform: buildPlatform,
+        cefVersion: build.cef_version,
+        chromiumVersion: build.chromium_version || null
+      };
+    }
+  }
+
+  if (matches.length > 0) {
+    throw new Error(`No ${dist} distribution published for ${matches.map(m => `${version} (${m.platform})`).join(', ')}`);
+  }
+  throw new Error(`Could not find CEF build for version ${version}${platform ? ` on ${platform}` : ''}. ` +
+    'Check https://cef-builds.spotifycdn.com/index.html');
+}
+
+/**
+ * @param {string} value - Comma-separated platform names
+ * @returns {string[]}
+ */
+function parsePlatforms(value) {
+  const platforms = [...new Set(value.split(',').map(p => p.trim()).filter(Boolean))];
+  const unknown = platforms.filter(p => !PLATFORM_ARCHITECTURES[p]);
+  if (platforms.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown platform "${unknown[0] || value}" (expected ${Object.keys(PLATFORM_ARCHITECTURES).join(', ')})`);
+  }
+  return platforms;
+}
+
+/**
+ * Works out which upstream platforms a local build needs, from the CPU types
+ * in the Mach-O headers of its binaries.
+ * @param {object[]} bundles - Top-level local bundles, from findBundles
+ * @param {function} emit - From progressEmitter
+ * @returns {string[]} Platform names in builds index order
+ */
+function detectPlatforms(bundles, emit) {
+  const found = new Set();
+  const unknown = new Set();
+  for (const bundle of bundles) {
+    for (const file of getAllFiles(bundle.absolutePath, bundle.absolutePath)) {
+      if (file.type !== 'file' || !isMachO(file.absolutePath)) continue;
+      let slices;
+      try {
+        slices = readSlices(file.absolutePath);
+      } catch (e) {
+        // Unreadable binaries are reported by the comparison itself
+        continue;
+      }
+      for (const { arch } of slices) {
+        const platform = Object.keys(PLATFORM_ARCHITECTURES).find(p => PLATFORM_ARCHITECTURES[p].includes(arch));
+        if (platform) {
+          found.add(platform);
+        } else {
+          unknown.add(arch);
+        }
+      }
+    }
+  }
+
+  if (unknown.size > 0) {
+    emit('warning', `No upstream platform for architecture(s): ${[...unknown].join(', ')}`);
+  }
+  if (found.size === 0) {
+    throw new Error('Could not detect the platform from the local binaries; pass --platform');
+  }
+  return Object.keys(PLATFORM_ARCHITECTURES).filter(p => found.has(p));
+}
+
+// With one upstream build any supplied archive is used for it (its SHA1 is
+// checked anyway); with several, each is picked by its file name
+function findSuppliedArchive(suppliedArchives, build, platformCount) {
+  if (suppliedArchives.length === 0) return undefined;
+  const named = suppliedArchives.find(archive => path.basename(archive) === build.name);
+  if (named) return named;
+  if (platformCount === 1 && suppliedArchives.length === 1) return suppliedArchives[0];
+  throw new Error(`None of the --original archives is named ${build.name}`);
+}
+
+/**
+ * Returns the path of the upstream archive for a build, taken from
+ * `suppliedPath`, the cache or a fresh download, in that order. Whatever the
+ * source, the archive must match the SHA1 from the builds index.
+ */
+async function obtainOriginalArchive(build, { suppliedPath, cacheDir, tempDir, emit }) {
+  if (suppliedPath) {
+    emit('info', `Using supplied archive: ${suppliedPath}`);
+    verifyArchiveSha1(suppliedPath, build.sha1, null, emit);
+    return suppliedPath;
+  }
+
+  if (cacheDir) {
+    const cached = findCached(cacheDir, build.sha1);
+    if (cached) {
+      emit('info', `Using cached archive: ${cached}`);
+      try {
+        verifyArchiveSha1(cached, build.sha1, null, emit);
+        return cached;
+      } catch (e) {
+        emit('warning', 'Cached archive is corrupt, downloading it again');
+        removeFromCache(cacheDir, build.sha1);
+      }
+    }
+  }
+
+  // Named after the build, so the archives for several platforms don't collide
+  const downloadPath = path.join(tempDir, build.name);
+  // Hashing while downloading saves reading hundreds of MB back in
+  const downloadedSha1 = await downloadFile(build.url, downloadPath, {
+    ...httpOptions(emit),
+    hashAlgorithm: 'sha1',
+    onProgress: (received, total) => emit('download', null, { name: build.name, received, total })
+  });
+  emit('info', 'Download complete.');
+  verifyArchiveSha1(downloadPath, build.sha1, downloadedSha1, emit);
+
+  if (cacheDir) {
+    try {
+      const cached = addToCache(cacheDir, build.sha1, downloadPath);
+      emit('info', `Cached as ${cached}`);
+    } catch (e) {
+      emit('warning', `Could not cache archive: ${e.message}`);
+    }
+  }
+  return downloadPath;
+}
+
+function verifyArchiveSha1(archivePath, expectedSha1, knownSha1, emit) {
+  emit('info', 'Verifying SHA1 checksum...');
+  const actualSha1 = knownSha1 || hashFile(archivePath, 'sha1');
+  if (actualSha1 !== expectedSha1.toLowerCase()) {
+    throw new Error(`SHA1 mismatch for ${archivePath}!\n  Expected: ${expectedSha1}\n  Actual:   ${actualSha1}`);
+  }
+  emit('success', `SHA1 verified: ${actualSha1}`);
+}
+
+/**
+ * Lists the .app and .framework bundles under a directory, including those
+ * nested in other bundles (helper apps, the CEF framework).
+ * @returns {Array<{name: string, relativePath: string, absolutePath: string, parent: string|null}>}
+ *   parent is the relative path of the innermost enclosing bundle
+ */
+function findBundles(dir) {
+  const bundles = [];
+  const walk = (currentDir, parent) => {
+    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
+    for (const entry of entries) {
+      // Symlinked directories such as Versions/Current are not followed,
+      // and macOS zip metadata is not part of any bundle
+      if (!entry.isDirectory() || entry.name === '__MACOSX') continue;
+      const fullPath = path.join(currentDir, entry.name);
+      if (/\.(app|framework)$/.test(entry.name)) {
+        const bundle = {
+          name: entry.name,
+          relativePath: path.relative(dir, fullPath).split(path.sep).join('/'),
+          absolutePath: fullPath,
+          parent
+        };
+        bundles.push(bundle);
+        walk(fullPath, bundle.relativePath);
+      } else {
+        walk(fullPath, parent);
+      }
+    }
+  };
+  walk(dir, null);
+  return bundles;
+}
+
+// The upstream bundle with the same name. Standard distributions ship Debug
+// and Release builds, so Release is preferred, then the least nested one
+// (a standalone framework rather than the copy inside cefclient.app)
+function findUpstreamBundle(bundle, upstreamBundles) {
+  const rank = (candidate) => {
+    const segments = candidate.relativePath.split('/');
+    return (segments.includes('Release') ? 0 : 1000) + segments.length;
+  };
+  const candidates = upstreamBundles
+    .filter(candidate => candidate.name === bundle.name)
+    .sort((a, b) => rank(a) - rank(b));
+  return candidates[0] || null;
+}
+
+// The longest of `bundlePaths` that contains an entry path or a problem
+// message starting with one ("<path>: ..." or "<path>/file (arch): ...")
+function owningBundle(item, bundlePaths) {
+  let owner = null;
+  for (const bundlePath of bundlePaths) {
+    const contains = item === bundlePath || item.startsWith(`${bundlePath}/`) || item.startsWith(`${bundlePath}: `);
+    if (contains && (!owner || bundlePath.length > owner.length)) owner = bundlePath;
+  }
+  return owner;
+}
+
+/**
+ * Compares two app bundles entry by entry.
+ * @param {string} localApp - Re-signed .app
+ * @param {string} originalApp - Upstream .app
+ * @param {object} [options] - jobs: number of files compared in parallel;
+ *   explain: describe how each modified file differs; policy: exclusions
+ *   and allowed differences (see lib/policy.js); architectures: only compare
+ *   these slices of local binaries (null for all)
+ */
+async function compareApps(localApp, originalApp, {
+  jobs = defaultJobs(),
+  explain = false,
+  policy = BUILTIN_POLICY,
+  architectures = null
+} = {}) {
+  const result = newComparisonResult();
+
+  const localFiles = getAllFiles(localApp, localApp);
+  const originalFiles = getAllFiles(originalApp, originalApp);
+
+  const localByPath = new Map(localFiles.map(f => [f.relativePath, f]));
+  const originalByPath = new Map(originalFiles.map(f => [f.relativePath, f]));
+  const isExcluded = excludeEntries(result, policy, localByPath, originalByPath);
+
+  for (const file of originalFiles) {
+    if (isExcluded(file) || localByPath.has(file.relativePath)) continue;
+    const name = displayPath(file);
+    const allowance = checkAllowed(policy, file.relativePath, 'missing');
+    if (allowance.allowed) {
+      result.allowed.push(name);
+      result.justifications[name] = allowance.justifications;
+      result.files.push(fileRecord(name, 'allowed', null, file, { findings: ['missing from local build'] }, allowance.justifications));
+    } else {
+      result.missingInLocal.push(name);
+      result.files.push(fileRecord(name, 'missing', null, file));
+    }
+  }
+
+  for (const file of localFiles) {
+    if (isExcluded(file) || originalByPath.has(file.relativePath)) continue;
+    result.missingInOriginal.push(displayPath(file));
+    result.files.push(fileRecord(displayPath(file), 'extra', file, null));
+  }
+
+  // Compare matching files, in parallel when there is more than one job;
+  // results are collected in walk order so the report is deterministic
+  const pool = jobs > 1 ? new WorkerPool(path.join(__dirname, 'compare-worker.js'), jobs) : null;
+  const compare = pool
+    ? (localPath, originalPath, name) => pool.run(localPath, originalPath, { explain, name, architectures })
+    : async (localPath, originalPath, name) => compareFiles(localPath, originalPath, { explain, name, architectures });
+
+  const pairs = localFiles
+    .filter(f => !isExcluded(f) && originalByPath.has(f.relativePath))
+    .map(localFile => [localFile, originalByPath.get(localFile.relativePath)]);
+  result.compared = pairs.length;
+
+  let comparisons;
+  try {
+    comparisons = await Promise.all(pairs.map(([localFile, originalFile]) =>
+      compareEntries(localFile, originalFile, compare)));
+  } finally {
+    if (pool) await pool.close();
+  }
+
+  pairs.forEach(([localFile, originalFile], i) => {
+    const comparison = comparisons[i];
+    const name = displayPath(localFile);
+    let category = comparison.status;
+    let justifications = [];
+
+    if (category === 'modified') {
+      const allowance = checkAllowed(policy, localFile.relativePath, 'modified', {
+        localPath: localFile.absolutePath,
+        originalPath: originalFile.absolutePath,
+        contentOnly: localFile.type === 'file' && originalFile.type === 'file' && localFile.mode === originalFile.mode
+      });
+      comparison.findings = [...comparison.findings, ...allowance.findings];
+      if (allowance.allowed) {
+        category = 'allowed';
+        justifications = allowance.justifications;
+        result.justifications[name] = justifications;
+      }
+    }
+
+    if (comparison.architectures) {
+      result.architectures[name] = comparison.architectures;
+    }
+    if (comparison.findings.length > 0) {
+      result.findings[name] = comparison.findings;
+    }
+    if (comparison.explanation && comparison.explanation.length > 0) {
+      result.explanations[name] = comparison.explanation;
+    }
+
+    if (category === 'match') {
+      result.matched++;
+    } else if (category === 'signature-only') {
+      result.signatureOnly.push(name);
+    } else if (category === 'allowed') {
+      result.allowed.push(name);
+    } else {
+      result.modified.push(name);
+    }
+    result.files.push(fileRecord(name, category, localFile, originalFile, comparison, justifications));
+  });
+
+  result.files.sort((a, b) => a.path.localeCompare(b.path));
+  return result;
+}
+
+/**
+ * Compares an app bundle with its entries in a signed manifest. Exclusions
+ * apply as in compareApps; allow rules don't, since the manifest was made
+ * from a release that already passed with them.
+ * @param {object} bundle - From findBundles
+ * @param {object} manifest - From readSignedManifest
+ * @param {object} policy - For this bundle
+ */
+function compareWithManifest(bundle, manifest, policy) {
+  const result = newComparisonResult();
+  const prefix = `${bundle.relativePath}/`;
+
+  const localFiles = getAllFiles(bundle.absolutePath, bundle.absolutePath);
+  // Manifest records stand in for the upstream side
+  const expectedFiles = manifest.entries
+    .filter(record => record.path.startsWith(prefix))
+    .map(record => ({
+      relativePath: record.path.slice(prefix.length),
+      absolutePath: null,
+      type: record.type,
+      mode: parseInt(record.mode, 8),
+      linkTarget: record.linkTarget,
+      sha256: record.sha256,
+      record
+    }));
+
+  const localByPath = new Map(localFiles.map(f => [f.relativePath, f]));
+  const expectedByPath = new Map(expectedFiles.map(f => [f.relativePath, f]));
+  const isExcluded = excludeEntries(result, policy, localByPath, expectedByPath);
+
+  for (const expected of expectedFiles) {
+    if (isExcluded(expected) || localByPath.has(expected.relativePath)) continue;
+    result.missingInLocal.push(displayPath(expected));
+    result.files.push(fileRecord(displayPath(expected), 'missing', null, expected));
+  }
+
+  for (const file of localFiles) {
+    if (isExcluded(file) || expectedByPath.has(file.relativePath)) continue;
+    result.missingInOriginal.push(displayPath(file));
+    result.files.push(fileRecord(displayPath(file), 'extra', file, null));
+  }
+
+  for (const file of localFiles) {
+    const expected = expectedByPath.get(file.relativePath);
+    if (isExcluded(file) || !expected) continue;
+    result.compared++;
+
+    const name = displayPath(file);
+    const { status, sha256, findings } = checkEntry(expected.record, file);
+    if (findings.length > 0) {
+      result.findings[name] = findings;
+    }
+    if (status === 'match') {
+      result.matched++;
+    } else if (status === 'signature-only') {
+      result.signatureOnly.push(name);
+    } else {
+      result.modified.push(name);
+    }
+    result.files.push(fileRecord(name, status, file, expected, { localHash: sha256, findings }));
+  }
+
+  result.files.sort((a, b) => a.path.localeCompare(b.path));
+  return result;
+}
+
+function newComparisonResult() {
+  return {
+    compared: 0,
+    matched: 0,
+    modified: [],
+    signatureOnly: [],
+    allowed: [],
+    missingInLocal: [],
+    missingInOriginal: [],
+    excluded: [],
+    architectures: {},
+    findings: {},
+    explanations: {},
+    justifications: {},
+    files: []
+  };
+}
+
+// Records the entries the policy excludes, listing each once whichever side
+// it is on, and returns a test for them
+function excludeEntries(result, policy, localByPath, originalByPath) {
+  const excludedPaths = new Set();
+  for (const file of [...originalByPath.values(), ...localByPath.values()]) {
+    const rule = findExclusion(policy, file.relativePath);
+    if (!rule || excludedPaths.has(file.relativePath)) continue;
+    excludedPaths.add(file.relativePath);
+    const name = displayPath(file);
+    result.excluded.push({ path: name, rule: rule.path, justification: rule.justification });
+    result.files.push(fileRecord(name, 'excluded', localByPath.get(file.relativePath) || null,
+      originalByPath.get(file.relativePath) || null, {}, [rule.justification]));
+  }
+  return (file) => excludedPaths.has(file.relativePath);
+}
+
+function defaultJobs() {
+  return Math.max(1, Math.min(os.cpus().length, 8));
+}
+
+// One entry of the machine-readable report; hashes of files that were
+// compared come from the comparison (or a manifest) rather than being
+// computed twice
+function fileRecord(name, category, localFile, originalFile, comparison = {}, justifications = []) {
+  const describe = (file, sha256) => file && {
+    type: file.type,
+    mode: '0' + file.mode.toString(8).padStart(3, '0'),
+    sha256: file.type === 'file' ? sha256 || file.sha256 || hashFile(file.absolutePath) : null,
+    linkTarget: file.linkTarget
+  };
+  return {
+    path: name,
+    category,
+    local: describe(localFile, comparison.localHash),
+    original: describe(originalFile, comparison.originalHash),
+    architectures: comparison.architectures || null,
+    findings: comparison.findings || [],
+    explanation: comparison.explanation || null,
+    justifications
+  };
+}
+
+// Compares what kind of entry both sides are, symlink targets and mode bits
+// before looking at file contents
+async function compareEntries(localFile, originalFile, compare) {
+  if (localFile.type !== originalFile.type) {
+    return {
+      status: 'modified',
+      architectures: null,
+      findings: [`is a ${localFile.type} locally but a ${originalFile.type} upstream`]
+    };
+  }
+
+  if (localFile.type === 'symlink') {
+    // Link permissions are meaningless on macOS, only the target counts
+    return localFile.linkTarget === originalFile.linkTarget
+      ? { status: 'match', architectures: null, findings: [] }
+      : {
+        status: 'modified',
+        architectures: null,
+        findings: [`symlink target changed: -> ${localFile.linkTarget} (upstream: -> ${originalFile.linkTarget})`]
+      };
+  }
+
+  const comparison = localFile.type === 'file'
+    ? await compare(localFile.absolutePath, originalFile.absolutePath, localFile.relativePath)
+    : { status: 'match', architectures: null, findings: [] };
+
+  if (localFile.mode !== originalFile.mode) {
+    return {
+      ...comparison,
+      status: 'modified',
+      findings: [...comparison.findings, describeModeChange(localFile.mode, originalFile.mode)]
+    };
+  }
+  return comparison;
+}
+
+function describeModeChange(localMode, originalMode) {
+  const octal = mode => '0' + mode.toString(8).padStart(3, '0');
+  const notes = [];
+  const changed = (mask) => (localMode & mask) !== (originalMode & mask);
+
+  if (changed(0o111)) {
+    if ((originalMode & 0o111) && !(localMode & 0o111)) {
+      notes.push('executable bit removed');
+    } else if (!(originalMode & 0o111) && (localMode & 0o111)) {
+      notes.push('executable bit added');
+    } else {
+      notes.push('executable bits changed');
+    }
+  }
+  if (changed(0o022) && (localMode & 0o022 & ~originalMode)) {
+    notes.push('made group/world writable');
+  }
+  if (changed(0o6000) && (localMode & 0o6000 & ~originalMode)) {
+    notes.push('setuid/setgid bit added');
+  }
+
+  return `permissions changed: ${octal(localMode)} (upstream: ${octal(originalMode)})` +
+    (notes.length > 0 ? ` - ${notes.join(', ')}` : '');
+}
+
+function displayPath(file) {
+  return file.type === 'directory' ? `${file.relativePath}/` : file.relativePath;
+}
+
+function inspectSignatures(appPath, entitlementsPolicy = DEFAULT_POLICY, policy = BUILTIN_POLICY) {
+  const signatures = [];
+
+  for (const file of getAllFiles(appPath, appPath)) {
+    if (file.type !== 'file' || findExclusion(policy, file.relativePath) || !isMachO(file.absolutePath)) continue;
+
+    let slices;
+    try {
+      slices = readSlices(file.absolutePath);
+    } catch (e) {
+      signatures.push({ file: file.relativePath, arch: 'unknown', signature: null, error: e.message });
+      continue;
+    }
+
+    for (const slice of slices) {
+      const entry = {
+        file: file.relativePath,
+        arch: slice.arch,
+        signature: null,
+        entitlements: [],
+        error: null,
+        problems: []
+      };
+      try {
+        const macho = readMachO(file.absolutePath, slice.offset);
+        entry.signature = readCodeSignature(file.absolutePath, slice.offset, macho);
+        if (entry.signature) {
+          entry.problems = validateCodeDirectories(
+            file.absolutePath,
+            slice.offset,
+            macho,
+            entry.signature,
+            readBoundBundleFiles(file.absolutePath)
+          );
+
+          const decoded = readEntitlements(entry.signature);
+          entry.problems.push(...decoded.problems);
+          entry.entitlements = auditEntitlements(decoded.entitlements, entitlementsPolicy).map(entitlement => {
+            // Per-binary allow rules extend the entitlements allowlist
+            const justification = entitlement.allowed ? null : entitlementJustification(policy, file.relativePath, entitlement.key);
+            return justification ? { ...entitlement, allowed: true, justification } : entitlement;
+          });
+          for (const { key, allowed } of entry.entitlements) {
+            if (!allowed) entry.problems.push(`entitlement ${key} is not on the allowlist`);
+          }
+        }
+      } catch (e) {
+        entry.error = e.message;
+      }
+      signatures.push(entry);
+    }
+  }
+
+  return signatures;
+}
+
+function readBoundBundleFiles(binaryPath) {
+  // Bundle executables live in Contents/MacOS (apps) or directly in the
+  // version directory (frameworks, whose Info.plist is under Resources/)
+  const binaryDir = path.dirname(binaryPath);
+  const contentsDir = path.basename(binaryDir) === 'MacOS' ? path.dirname(binaryDir) : binaryDir;
+
+  const readIfExists = (filePath) => fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  return {
+    infoPlist: readIfExists(path.join(contentsDir, 'Info.plist')) ||
+      readIfExists(path.join(contentsDir, 'Resources', 'Info.plist')),
+    codeResources: readIfExists(path.join(contentsDir, '_CodeSignature', 'CodeResources'))
+  };
+}
+
+// Problems are prefixed with the sealed directory, shown under displayPath
+function validateResourceSeals(appPath, displayPath) {
+  const problems = [];
+  const sealedBundles = findSealedBundles(appPath);
+
+  if (sealedBundles.length === 0) {
+    problems.push(`${displayPath}: No _CodeSignature/CodeResources found in bundle`);
+  }
+
+  for (const contentsDir of sealedBundles) {
+    const relative = path.relative(appPath, contentsDir).split(path.sep).join('/');
+    const bundle = relative ? `${displayPath}/${relative}` : displayPath;
+    for (const problem of validateResourceSeal(contentsDir)) {
+      problems.push(`${bundle}: ${problem}`);
+    }
+  }
+
+  return problems;
+}
+
+function checkSigningTeams(signatures, expectedTeam) {
+  const problems = [];
+  const teamOf = ({ signature }) => {
+    if (!signature) return '(unsigned)';
+    return signature.teamId || '(ad-hoc)';
+  };
+
+  for (const { file, arch, error } of signatures) {
+    if (error) {
+      problems.push(`${file} (${arch}): could not decode signature: ${error}`);
+    }
+  }
+
+  // Every binary in a bundle must come from the same signer, otherwise a
+  // component was swapped in from somewhere else
+  const teams = new Map();
+  for (const entry of signatures.filter(s => !s.error)) {
+    const team = teamOf(entry);
+    teams.set(team, (teams.get(team) || 0) + 1);
+  }
+  if (teams.size > 1) {
+    const summary = [...teams].map(([team, count]) => `${team} (${count})`).join(', ');
+    problems.push(`Binaries were signed by different team IDs: ${summary}`);
+  }
+
+  if (expectedTeam) {
+    for (const entry of signatures.filter(s => !s.error)) {
+      const team = teamOf(entry);
+      if (team !== expectedTeam) {
+        problems.push(`${entry.file} (${entry.arch}): signed by team ${team}, expected ${expectedTeam}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function getAllFiles(dir, baseDir) {
+  const files = [];
+  
+  // Symlinks are recorded rather than followed, and directories are listed
+  // too so that empty or missing ones show up
+  const walk = (currentDir) => {
+    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      const stat = fs.lstatSync(fullPath);
+      const file = {
+        absolutePath: fullPath,
+        relativePath: path.relative(baseDir, fullPath),
+        type: entryType(stat),
+        mode: stat.mode & 0o7777,
+        linkTarget: stat.isSymbolicLink() ? fs.readlinkSync(fullPath) : null
+      };
+      files.push(file);
+      if (file.type === 'directory') {
+        walk(fullPath);
+      }
+    }
+  };
+  
+  walk(dir);
+  return files;
+}
+
+function entryType(stat) {
+  if (stat.isSymbolicLink()) return 'symlink';
+  if (stat.isDirectory()) return 'directory';
+  if (stat.isFile()) return 'file';
+  return 'other';
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+module.exports = {
+  CEF_BUILDS_INDEX,
+  DISTRIBUTIONS,
+  PLATFORM_ARCHITECTURES,
+  CHANNELS,
+  verifyBundle,
+  verifyWithManifest,
+  compareApps,
+  loadBuildsIndex,
+  resolveCefVersion,
+  findOriginalCefBuild,
+  listIndexVersions,
+  detectCefVersion,
+  parsePlatforms,
+  defaultJobs
+};
@@ -0,0 +1,84 @@
+/**
+ * Fixed-size pool of worker threads that each run one task at a time.
+ * Tasks are queued until a worker is free.
+ */
+
+const { Worker } = require('worker_threads');
+
+class WorkerPool {
+  /**
+   * @param {string} script - Worker entry point; it must answer each
+   *   {id, args} message with {id, result} or {id, error}
+   * @param {number} size - Number of workers
+   */
+  constructor(script, size) {
+    this.script = script;
+    this.queue = [];
+    this.tasks = new Map();
+    this.idle = [];
+    this.workers = new Set();
+    this.nextId = 0;
+    for (let i = 0; i < size; i++) {
+      this.idle.push(this.spawn());
+    }
+  }
+
+  /**
+   * @returns {Promise<*>} The worker's result for these arguments
+   */
+  run(...args) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, args, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  close() {
+    const workers = [...this.workers];
+    this.workers.clear();
+    return Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  spawn() {
+    const worker = new Worker(this.script);
+    this.workers.add(worker);
+
+    worker.on('message', ({ id, result, error }) => {
+      const task = this.tasks.get(id);
+      this.tasks.delete(id);
+      worker.task = null;
+      this.idle.push(worker);
+      if (error !== undefined) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+      this.dispatch();
+    });
+
+    // A crashed worker fails its task and is replaced
+    worker.on('error', (error) => {
+      this.workers.delete(worker);
+      if (worker.task) {
+        this.tasks.delete(worker.task.id);
+        worker.task.reject(error);
+      }
+      this.idle.push(this.spawn());
+      this.dispatch();
+    });
+
+    return worker;
+  }
+
+  dispatch() {
+    while (this.queue.length > 0 && this.idle.length > 0) {
+      const task = this.queue.shift();
+      const worker = this.idle.pop();
+      worker.task = task;
+      this.tasks.set(task.id, task);
+      worker.postMessage({ id: task.id, args: task.args });
+    }
+  }
+}
+
+module.exports = { WorkerPool };
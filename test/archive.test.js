@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractEntries, extractZip } = require('../lib/archive');
+
+async function* entries(list) {
+  for (const entry of list) {
+    yield { mode: entry.type === 'symlink' ? 0o777 : 0o644, body: async function* () {}, ...entry };
+  }
+}
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A stored (uncompressed) zip made on Unix, so modes carry the file type
+function writeZip(zipPath, list) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, mode, data } of list) {
+    const nameBytes = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(10, 4);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(10, 6);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(list.length, 8);
+  end.writeUInt16LE(list.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  fs.writeFileSync(zipPath, Buffer.concat([...locals, directory, end]));
+}
+
+function tempRoot(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'root');
+}
+
+test('refuses a symlink that escapes through an earlier symlink', async (t) => {
+  const root = tempRoot(t);
+  await assert.rejects(extractEntries(entries([
+    { path: 'a/b', type: 'symlink', linkTarget: '..' },
+    { path: 'x', type: 'symlink', linkTarget: 'a/b/..' }
+  ]), root), /Refusing to extract symlink x/);
+  assert.strictEqual(fs.existsSync(path.join(root, 'x')), false);
+});
+
+test('refuses a hardlink whose source goes through a symlink out of the root', async (t) => {
+  const root = tempRoot(t);
+  const outside = path.join(path.dirname(root), 'outside');
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(outside, 'secret'), 'secret');
+  fs.mkdirSync(root);
+  // Stands in for a link that got past the symlink checks
+  fs.symlinkSync(outside, path.join(root, 'l'));
+  await assert.rejects(extractEntries(entries([
+    { path: 'h', type: 'hardlink', linkTarget: 'l/secret' }
+  ]), root), /Refusing to extract hardlink h/);
+});
+
+test('keeps framework-style symlinks inside the root', async (t) => {
+  const root = tempRoot(t);
+  await extractEntries(entries([
+    { path: 'F.framework/Versions/Current', type: 'symlink', linkTarget: 'A' },
+    { path: 'F.framework/Versions/A/Resources', type: 'directory', mode: 0o755 },
+    { path: 'F.framework/Resources', type: 'symlink', linkTarget: 'Versions/Current/Resources' },
+    { path: 'F.framework/Versions/A/Libraries/up', type: 'symlink', linkTarget: '../Resources' }
+  ]), root);
+  assert.strictEqual(fs.readlinkSync(path.join(root, 'F.framework/Resources')), 'Versions/Current/Resources');
+  assert.strictEqual(fs.realpathSync(path.join(root, 'F.framework/Versions/A/Libraries/up')),
+    fs.realpathSync(path.join(root, 'F.framework/Versions/A/Resources')));
+});
+
+test('returns the targets of zip symlinks, which zip keeps in the entry body', async (t) => {
+  const root = tempRoot(t);
+  const zipPath = path.join(path.dirname(root), 'links.zip');
+  writeZip(zipPath, [
+    { name: 'F.framework/Versions/A/Resources/', mode: 0o40755, data: Buffer.alloc(0) },
+    { name: 'F.framework/Versions/Current', mode: 0o120777, data: Buffer.from('A') },
+    { name: 'F.framework/Resources', mode: 0o120777, data: Buffer.from('Versions/Current/Resources') },
+    { name: 'F.framework/Versions/A/Resources/Info.plist', mode: 0o100644, data: Buffer.from('<plist/>') }
+  ]);
+  const extracted = await extractZip(zipPath, root);
+  assert.deepStrictEqual(extracted.map(entry => ({ path: entry.path, type: entry.type, linkTarget: entry.linkTarget })), [
+    { path: 'F.framework/Versions/A/Resources', type: 'directory', linkTarget: null },
+    { path: 'F.framework/Versions/Current', type: 'symlink', linkTarget: 'A' },
+    { path: 'F.framework/Resources', type: 'symlink', linkTarget: 'Versions/Current/Resources' },
+    { path: 'F.framework/Versions/A/Resources/Info.plist', type: 'file', linkTarget: null }
+  ]);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'F.framework/Resources/Info.plist'), 'utf8'), '<plist/>');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { bunzip2 } = require('../lib/bzip2');
+
+// Made with Python's bz2.compress at level 9
+const COMPRESSED = Buffer.from(
+  'QlpoOTFBWSZTWcQ2W98AAFx/////////////////////////////////////////////sADYtICYEwBpMAAAAEwAAAAAAAATAAAAAAATAAAAAAAC' +
+  'YAAmAAGgAAABJgAJgACYAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFKQNCaZMBMTJmozQCYJjUwTAT1MmTAEYjNAE2kZGATCaYEyNMBMBM' +
+  'AAAATAAE0wCME0wTTACZMEOUP+IAAAKEBAREZIJJSYn6BQPKSrpFZYWlxeYGPTMjM06hqbdU3OBQ3riAgAAIo5OhZ2eHp8foCD2EJDREVG7KOk' +
+  'JIztJSWmJqd209QUVJTVBQQAAEYqhCAAe4NCEAAi+6rK/eWFnvrS2uLq8vsDCxeDwsbIy+LxszOOdGlqa2xtbm/yCXAeIcR3l8zk5ObpyOwB3e' +
+  'Hl6e3x9fn+AgYKDhIWGh4iJiouMjY6PkJGSk5T+ystLzEzNTc5Oz0/QUNDRUdJS01PUVNVV1lbXV9hY2VnaWttb3FzdXd5e31/gYOFh4mLjY+R' +
+  'k5WXmZudn6GjpaWnqautr7Gztbe5u72/wcIHi4wPI6cvNz9HT1dfZ293f4ePl5+nr7AAX39/j5+vsXckU4UJDENlvfA=', 'base64');
+const EXPECTED = Buffer.concat([
+  Buffer.from('CEF '.repeat(50)),
+  Buffer.from(Array.from({ length: 256 }, (_, i) => i)),
+  Buffer.alloc(1000),
+  Buffer.from('tail\n')
+]);
+const SECOND_STREAM = Buffer.from('QlpoOTFBWSZTWYRSkJQAAAXRgAAQQAAuA5wAIAAiANDQQNA0BQS9OE8eHi7kinChIQilISg=', 'base64');
+
+async function decompress(chunks) {
+  const parts = [];
+  const source = (async function* () { yield* chunks; })();
+  for await (const chunk of bunzip2(source)) parts.push(chunk);
+  return Buffer.concat(parts);
+}
+
+function chunked(buffer, size) {
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size));
+  return chunks;
+}
+
+test('decompresses a stream, whole or in small chunks', async () => {
+  assert.deepStrictEqual(await decompress([COMPRESSED]), EXPECTED);
+  assert.deepStrictEqual(await decompress(chunked(COMPRESSED, 7)), EXPECTED);
+});
+
+test('decompresses concatenated streams', async () => {
+  assert.deepStrictEqual(await decompress([COMPRESSED, SECOND_STREAM]),
+    Buffer.concat([EXPECTED, Buffer.from('second stream\n')]));
+});
+
+test('refuses input that is not bzip2', async () => {
+  await assert.rejects(decompress([Buffer.from('PK\x03\x04 not bzip2')]), /Not a bzip2 file/);
+  await assert.rejects(decompress([Buffer.from('BZh0' + '\0'.repeat(20))]), /Invalid bzip2 block size/);
+  await assert.rejects(decompress([COMPRESSED, Buffer.from('garbage after the stream')]), /Trailing garbage/);
+});
+
+test('refuses truncated streams', async () => {
+  await assert.rejects(decompress([COMPRESSED.subarray(0, COMPRESSED.length - 6)]), /Unexpected end of bzip2 data/);
+  await assert.rejects(decompress([COMPRESSED.subarray(0, 40)]), /Unexpected end of bzip2 data|Invalid bzip2/);
+});
+
+test('refuses corrupted blocks', async () => {
+  // The stored block CRC, right after the block magic
+  const badCrc = Buffer.from(COMPRESSED);
+  badCrc[10] ^= 0x01;
+  await assert.rejects(decompress([badCrc]), /bzip2 block CRC mismatch/);
+
+  const badHeader = Buffer.from(COMPRESSED);
+  badHeader[4] ^= 0xff;
+  await assert.rejects(decompress([badHeader]), /Invalid bzip2 block header/);
+
+  for (let position = 40; position < COMPRESSED.length - 10; position += 37) {
+    const corrupted = Buffer.from(COMPRESSED);
+    corrupted[position] ^= 0x55;
+    await assert.rejects(decompress([corrupted]), /bzip2/, `corruption at byte ${position}`);
+  }
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCodeSignature, validateCodeDirectories, CSSLOT_ENTITLEMENTS } = require('../lib/codesign');
+
+const ALGORITHMS = { 1: ['sha1', 20], 2: ['sha256', 32], 4: ['sha384', 48] };
+const PAGE_SIZE = 4096;
+
+function blob(magic, payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(magic, 0);
+  header.writeUInt32BE(8 + payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+// Version 0x20100 CodeDirectory: special slot hashes (slot n down to 1),
+// then one hash per code page
+function codeDirectory({ hashType = 2, identifier = 'org.cef.cefclient', code, specialSlots = [] }) {
+  const [algorithm, hashSize] = ALGORITHMS[hashType] || ['sha256', 32];
+  const digest = (data) => crypto.createHash(algorithm).update(data).digest().subarray(0, hashSize);
+  const ident = Buffer.from(`${identifier}\0`);
+  const specials = specialSlots.map(data => data ? digest(data) : Buffer.alloc(hashSize)).reverse();
+  const pages = [];
+  for (let start = 0; start < code.length; start += PAGE_SIZE) {
+    pages.push(digest(code.subarray(start, start + PAGE_SIZE)));
+  }
+
+  const header = Buffer.alloc(44);
+  header.writeUInt32BE(0xfade0c02, 0);
+  header.writeUInt32BE(0x20100, 8);
+  header.writeUInt32BE(44 + ident.length + specials.length * hashSize, 16);
+  header.writeUInt32BE(44, 20);
+  header.writeUInt32BE(specials.length, 24);
+  header.writeUInt32BE(pages.length, 28);
+  header.writeUInt32BE(code.length, 32);
+  header[36] = hashSize;
+  header[37] = hashType;
+  header[39] = 12;
+  const data = Buffer.concat([header, ident, ...specials, ...pages]);
+  data.writeUInt32BE(data.length, 4);
+  return data;
+}
+
+function superBlob(entries) {
+  const index = Buffer.alloc(12 + entries.length * 8);
+  index.writeUInt32BE(0xfade0cc0, 0);
+  index.writeUInt32BE(entries.length, 8);
+  let offset = index.length;
+  entries.forEach(({ slot, data }, i) => {
+    index.writeUInt32BE(slot, 12 + i * 8);
+    index.writeUInt32BE(offset, 16 + i * 8);
+    offset += data.length;
+  });
+  const buffer = Buffer.concat([index, ...entries.map(entry => entry.data)]);
+  buffer.writeUInt32BE(buffer.length, 4);
+  return buffer;
+}
+
+const code = Buffer.alloc(2 * PAGE_SIZE, 0x90);
+
+test('prefers the strongest CodeDirectory, whichever slot holds it', () => {
+  const sha1 = codeDirectory({ hashType: 1, code });
+  const sha256 = codeDirectory({ hashType: 2, code });
+  const wrapper = { slot: 0x10000, data: blob(0xfade0b01, Buffer.alloc(0)) };
+
+  for (const order of [[sha1, sha256], [sha256, sha1]]) {
+    const signature = parseCodeSignature(superBlob([
+      { slot: 0, data: order[0] },
+      { slot: 0x1000, data: order[1] },
+      wrapper
+    ]));
+    assert.strictEqual(signature.hashType, 'sha256');
+    assert.strictEqual(signature.cdhash, crypto.createHash('sha256').update(sha256).digest().subarray(0, 20).toString('hex'));
+    assert.strictEqual(signature.identifier, 'org.cef.cefclient');
+    assert.strictEqual(signature.adhoc, true);
+  }
+
+  const only = parseCodeSignature(superBlob([{ slot: 0, data: sha1 }]));
+  assert.strictEqual(only.hashType, 'sha1');
+});
+
+test('refuses CodeDirectories with an unknown hash type', () => {
+  const unknown = codeDirectory({ hashType: 9, code });
+  assert.throws(() => parseCodeSignature(superBlob([{ slot: 0, data: unknown }])), /Unsupported CodeDirectory hash type 9/);
+});
+
+test('refuses malformed SuperBlobs', () => {
+  const cd = codeDirectory({ code });
+  assert.throws(() => parseCodeSignature(Buffer.alloc(8)), /not an embedded signature SuperBlob/);
+  assert.throws(() => parseCodeSignature(superBlob([])), /Code signature has no CodeDirectory/);
+  assert.throws(() => parseCodeSignature(superBlob([{ slot: 0, data: blob(0xfade0c01, Buffer.alloc(40)) }])),
+    /Slot 0x0 does not hold a CodeDirectory/);
+
+  const countTooLarge = superBlob([{ slot: 0, data: cd }]);
+  countTooLarge.writeUInt32BE(1000, 8);
+  assert.throws(() => parseCodeSignature(countTooLarge), /SuperBlob index extends past end/);
+
+  const offsetPastEnd = superBlob([{ slot: 0, data: cd }]);
+  offsetPastEnd.writeUInt32BE(offsetPastEnd.length, 16);
+  assert.throws(() => parseCodeSignature(offsetPastEnd), /Blob for slot 0x0 starts past end/);
+
+  const lengthPastEnd = superBlob([{ slot: 0, data: cd }]);
+  lengthPastEnd.writeUInt32BE(cd.length + 1, 20 + 4);
+  assert.throws(() => parseCodeSignature(lengthPastEnd), /Blob for slot 0x0 has invalid length/);
+});
+
+test('checks code pages and bound entitlements against the CodeDirectory', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codesign-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const entitlements = blob(0xfade7171, Buffer.from('<plist><dict/></plist>'));
+  const specialSlots = [null, null, null, null, entitlements];
+  assert.strictEqual(specialSlots.length, CSSLOT_ENTITLEMENTS);
+
+  const signatureFor = (entitlementsBlob) => parseCodeSignature(superBlob([
+    { slot: 0, data: codeDirectory({ code, specialSlots }) },
+    { slot: CSSLOT_ENTITLEMENTS, data: entitlementsBlob }
+  ]));
+  const macho = { codeSignature: { dataoff: code.length, datasize: 0 } };
+
+  const binary = path.join(dir, 'binary');
+  fs.writeFileSync(binary, code);
+  assert.deepStrictEqual(validateCodeDirectories(binary, 0, macho, signatureFor(entitlements)), []);
+
+  const patched = Buffer.from(code);
+  patched[PAGE_SIZE + 10] = 0xcc;
+  fs.writeFileSync(binary, patched);
+  const tampered = blob(0xfade7171, Buffer.from('<plist><dict><key>x</key><true/></dict></plist>'));
+  assert.deepStrictEqual(validateCodeDirectories(binary, 0, macho, signatureFor(tampered)), [
+    'sha256 CodeDirectory: 1 of 2 code page hashes do not match (first at offset 0x1000)',
+    'sha256 CodeDirectory: entitlements hash does not match'
+  ]);
+
+  const shorter = { codeSignature: { dataoff: PAGE_SIZE, datasize: 0 } };
+  fs.writeFileSync(binary, code);
+  assert.deepStrictEqual(validateCodeDirectories(binary, 0, shorter, signatureFor(entitlements)),
+    ['sha256 CodeDirectory: code limit 0x2000 does not end at the signature (0x1000)']);
+});
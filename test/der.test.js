@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const der = require('../lib/der');
+
+function tlv(tag, value) {
+  const length = value.length < 0x80
+    ? Buffer.from([value.length])
+    : Buffer.from([0x82, value.length >> 8, value.length & 0xff]);
+  return Buffer.concat([Buffer.from([tag]), length, value]);
+}
+
+const sequence = (...children) => tlv(0x30, Buffer.concat(children));
+const set = (...children) => tlv(0x31, Buffer.concat(children));
+const oid = (bytes) => tlv(0x06, Buffer.from(bytes));
+
+test('reads short and long form lengths', () => {
+  const long = tlv(0x04, Buffer.alloc(300, 1));
+  const element = der.readElement(long);
+  assert.strictEqual(element.tag, der.TAG_OCTET_STRING);
+  assert.strictEqual(element.value.length, 300);
+  assert.strictEqual(element.end, long.length);
+
+  const children = der.readChildren(der.readElement(sequence(tlv(0x02, Buffer.from([1])), tlv(0x01, Buffer.from([0xff])))));
+  assert.deepStrictEqual(children.map(child => child.tag), [der.TAG_INTEGER, der.TAG_BOOLEAN]);
+});
+
+test('reads high tag numbers and context-specific classes', () => {
+  const element = der.readElement(Buffer.from([0xbf, 0x81, 0x00, 0x00]));
+  assert.strictEqual(element.cls, 2);
+  assert.strictEqual(element.constructed, true);
+  assert.strictEqual(element.tag, 128);
+});
+
+test('refuses truncated and oversized elements', () => {
+  assert.throws(() => der.readElement(Buffer.from([0x04])), /Truncated DER element/);
+  assert.throws(() => der.readElement(Buffer.from([0x04, 0x05, 0x00])), /extends past end of buffer/);
+  assert.throws(() => der.readElement(Buffer.from([0x04, 0x82, 0x01])), /Truncated DER length/);
+  assert.throws(() => der.readElement(Buffer.from([0x04, 0x80])), /Unsupported DER length encoding/);
+  assert.throws(() => der.readElement(Buffer.from([0x04, 0x85, 1, 1, 1, 1, 1])), /Unsupported DER length encoding/);
+  assert.throws(() => der.readElement(Buffer.from([0x1f, 0x81])), /Truncated DER tag/);
+  // A child running past its parent
+  assert.throws(() => der.readChildren(der.readElement(Buffer.from([0x30, 0x02, 0x04, 0x05]))), /extends past end/);
+});
+
+test('decodes integers, including negative ones', () => {
+  assert.strictEqual(der.decodeInteger(Buffer.from([0x01, 0x00])), 256);
+  assert.strictEqual(der.decodeInteger(Buffer.from([0x00, 0xff])), 255);
+  assert.strictEqual(der.decodeInteger(Buffer.from([0xff])), -1);
+  assert.strictEqual(der.decodeInteger(Buffer.from([0x80, 0x00])), -32768);
+  assert.strictEqual(der.decodeInteger(Buffer.alloc(0)), 0);
+});
+
+test('decodes object identifiers', () => {
+  assert.strictEqual(der.decodeOid(Buffer.from([0x55, 0x04, 0x03])), '2.5.4.3');
+  assert.strictEqual(der.decodeOid(Buffer.from([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x09, 0x01])), '1.2.840.113549.1.9.1');
+  assert.strictEqual(der.decodeOid(Buffer.alloc(0)), '');
+});
+
+test('decodes and formats X.509 names', () => {
+  const name = der.readElement(sequence(
+    set(sequence(oid([0x55, 0x04, 0x06]), tlv(0x13, Buffer.from('US')))),
+    set(sequence(oid([0x55, 0x04, 0x0a]), tlv(0x0c, Buffer.from('Äpfel Inc.')))),
+    set(sequence(oid([0x55, 0x04, 0x0b]), tlv(0x1e, Buffer.from([0x00, 0x41, 0x00, 0x42])))),
+    set(sequence(oid([0x55, 0x04, 0x63]), tlv(0x13, Buffer.from('other'))))
+  ));
+  const attributes = der.decodeName(name);
+  assert.deepStrictEqual(attributes, [
+    { type: 'C', value: 'US' },
+    { type: 'O', value: 'Äpfel Inc.' },
+    { type: 'OU', value: 'AB' },
+    { type: '2.5.4.99', value: 'other' }
+  ]);
+  assert.strictEqual(der.formatName(attributes), 'C=US, O=Äpfel Inc., OU=AB, 2.5.4.99=other');
+});
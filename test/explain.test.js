@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { explainDifference } = require('../lib/explain');
+
+// Version 5 resource bundle with the given { id: contents } resources
+function pak(resources, aliases = []) {
+  const ids = Object.keys(resources).map(Number);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(5, 0);
+  header.writeUInt16LE(ids.length, 8);
+  header.writeUInt16LE(aliases.length, 10);
+  const index = Buffer.alloc((ids.length + 1) * 6 + aliases.length * 4);
+  let offset = header.length + index.length;
+  ids.forEach((id, i) => {
+    index.writeUInt16LE(id, i * 6);
+    index.writeUInt32LE(offset, i * 6 + 2);
+    offset += resources[id].length;
+  });
+  index.writeUInt32LE(offset, ids.length * 6 + 2);
+  aliases.forEach(([id, entry], i) => {
+    index.writeUInt16LE(id, (ids.length + 1) * 6 + i * 4);
+    index.writeUInt16LE(entry, (ids.length + 1) * 6 + i * 4 + 2);
+  });
+  return Buffer.concat([header, index, ...ids.map(id => Buffer.from(resources[id]))]);
+}
+
+function explain(t, name, local, original) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'explain-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'local'), local);
+  fs.writeFileSync(path.join(dir, 'original'), original);
+  return explainDifference(path.join(dir, 'local'), path.join(dir, 'original'), name);
+}
+
+test('lists the resources of .pak bundles that differ', (t) => {
+  const lines = explain(t, 'en.lproj/locale.pak',
+    pak({ 1: 'one', 2: 'TWO!' }, [[3, 0]]),
+    pak({ 1: 'one', 2: 'two' }, [[3, 0]]));
+  assert.strictEqual(lines[2], '@@ -1,3 +1,3 @@');
+  assert.match(lines[4], /^-resource 2: 3 bytes, sha256 [0-9a-f]{16}$/);
+  assert.match(lines[5], /^\+resource 2: 4 bytes, sha256 [0-9a-f]{16}$/);
+  assert.strictEqual(lines[6], ' alias 3 -> resource 1');
+});
+
+test('falls back to the first differing byte for corrupt bundles', (t) => {
+  const corrupt = pak({ 1: 'one' });
+  corrupt.writeUInt16LE(1000, 8);
+  assert.deepStrictEqual(explain(t, 'resources.pak', corrupt, pak({ 1: 'one' })), [
+    'First difference at offset 0x8',
+    'Size unchanged (27 bytes)'
+  ]);
+});
+
+test('diffs text and compares large files without reading them whole', (t) => {
+  assert.deepStrictEqual(explain(t, 'README.txt', 'a\nb\nc\n', 'a\nx\nc\n'), [
+    '--- upstream/README.txt',
+    '+++ local/README.txt',
+    '@@ -1,3 +1,3 @@',
+    ' a',
+    '-x',
+    '+b',
+    ' c'
+  ]);
+
+  const large = Buffer.alloc(5 * 1024 * 1024, 'a');
+  const modified = Buffer.concat([large, Buffer.from('tail')]);
+  modified[3 * 1024 * 1024] = 0x62;
+  assert.deepStrictEqual(explain(t, 'large.txt', modified, large), [
+    'First difference at offset 0x300000',
+    'Size 5242884 bytes (upstream 5242880, +4)'
+  ]);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isMachO, readSlices, parseMachOHeader } = require('../lib/macho');
+
+const CPU_TYPE_X86_64 = 0x01000007;
+const CPU_TYPE_ARM64 = 0x0100000c;
+
+function name16(name) {
+  const buffer = Buffer.alloc(16);
+  buffer.write(name, 'latin1');
+  return buffer;
+}
+
+// LC_SEGMENT_64 with 80-byte section headers; nsects can be overstated
+function segment64(segname, sections, { nsects = sections.length } = {}) {
+  const command = Buffer.alloc(72);
+  command.writeUInt32LE(0x19, 0);
+  command.writeUInt32LE(72 + sections.length * 80, 4);
+  name16(segname).copy(command, 8);
+  command.writeUInt32LE(nsects, 64);
+  const headers = sections.map(({ sectname, offset, size }) => {
+    const header = Buffer.alloc(80);
+    name16(sectname).copy(header, 0);
+    name16(segname).copy(header, 16);
+    header.writeBigUInt64LE(BigInt(size), 40);
+    header.writeUInt32LE(offset, 48);
+    return header;
+  });
+  return Buffer.concat([command, ...headers]);
+}
+
+function command(cmd, fields) {
+  const buffer = Buffer.alloc(8 + fields.length * 4);
+  buffer.writeUInt32LE(cmd, 0);
+  buffer.writeUInt32LE(buffer.length, 4);
+  fields.forEach((value, i) => buffer.writeUInt32LE(value, 8 + i * 4));
+  return buffer;
+}
+
+function machO64(commands, { cputype = CPU_TYPE_ARM64, cpusubtype = 0 } = {}) {
+  const header = Buffer.alloc(32);
+  header.writeUInt32LE(0xfeedfacf, 0);
+  header.writeUInt32LE(cputype, 4);
+  header.writeUInt32LE(cpusubtype, 8);
+  header.writeUInt32LE(2, 12);
+  header.writeUInt32LE(commands.length, 16);
+  header.writeUInt32LE(commands.reduce((sum, c) => sum + c.length, 0), 20);
+  return Buffer.concat([header, ...commands]);
+}
+
+// Universal binary with each slice at a 4 KB boundary
+function fat(slices) {
+  const header = Buffer.alloc(8 + slices.length * 20);
+  header.writeUInt32BE(0xcafebabe, 0);
+  header.writeUInt32BE(slices.length, 4);
+  const parts = [header];
+  let offset = 4096;
+  slices.forEach(({ cputype, cpusubtype, data }, i) => {
+    header.writeUInt32BE(cputype, 8 + i * 20);
+    header.writeUInt32BE(cpusubtype, 12 + i * 20);
+    header.writeUInt32BE(offset, 16 + i * 20);
+    header.writeUInt32BE(data.length, 20 + i * 20);
+    header.writeUInt32BE(12, 24 + i * 20);
+    const start = parts.reduce((sum, part) => sum + part.length, 0);
+    parts.push(Buffer.alloc(offset - start), data);
+    offset += Math.ceil(data.length / 4096) * 4096;
+  });
+  return Buffer.concat(parts);
+}
+
+function tempFile(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'macho-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'binary');
+  fs.writeFileSync(filePath, data);
+  return filePath;
+}
+
+test('parses segments, sections, __LINKEDIT regions and the code signature', () => {
+  const macho = parseMachOHeader(machO64([
+    segment64('__TEXT', [{ sectname: '__text', offset: 0x1000, size: 0x20 }, { sectname: '__cstring', offset: 0x1020, size: 8 }]),
+    command(0x2, [0x4000, 3, 0x4100, 0x40]),
+    command(0x1d, [0x5000, 0x200])
+  ]));
+  assert.strictEqual(macho.is64, true);
+  assert.deepStrictEqual(macho.loadCommands.map(c => c.name), ['LC_SEGMENT_64', 'LC_SYMTAB', 'LC_CODE_SIGNATURE']);
+  assert.deepStrictEqual(macho.segments[0].sections.map(s => [s.sectname, s.offset, s.size]),
+    [['__text', 0x1000, 0x20], ['__cstring', 0x1020, 8]]);
+  assert.deepStrictEqual(macho.linkeditData, [
+    { name: 'LC_SYMTAB symbols', offset: 0x4000, size: 48 },
+    { name: 'LC_SYMTAB strings', offset: 0x4100, size: 0x40 }
+  ]);
+  assert.deepStrictEqual(macho.codeSignature, { dataoff: 0x5000, datasize: 0x200 });
+});
+
+test('refuses a segment whose section headers run past its command', () => {
+  const buffer = machO64([
+    segment64('__TEXT', [{ sectname: '__text', offset: 0x1000, size: 0x20 }], { nsects: 2 }),
+    command(0x1d, [0x5000, 0x200])
+  ]);
+  assert.throws(() => parseMachOHeader(buffer), /Segment __TEXT has 2 sections, more than its command size 152 holds/);
+});
+
+test('refuses a segment command shorter than its header', () => {
+  const buffer = machO64([segment64('__TEXT', [])]);
+  buffer.writeUInt32LE(16, 32 + 4);
+  buffer.writeUInt32LE(16, 20);
+  assert.throws(() => parseMachOHeader(buffer.subarray(0, 48)), /Segment command has invalid size 16/);
+});
+
+test('refuses load commands that overrun sizeofcmds or the buffer', () => {
+  const buffer = machO64([command(0x1d, [0x5000, 0x200])]);
+  buffer.writeUInt32LE(64, 32 + 4);
+  assert.throws(() => parseMachOHeader(buffer), /Load command 0 has invalid size 64/);
+
+  const truncated = machO64([command(0x1d, [0x5000, 0x200])]).subarray(0, 40);
+  assert.throws(() => parseMachOHeader(truncated), /Load commands extend past end of buffer/);
+  assert.throws(() => parseMachOHeader(Buffer.alloc(8)), /File too small/);
+});
+
+test('refuses universal and non-Mach-O magic', () => {
+  const universal = Buffer.alloc(32);
+  universal.writeUInt32BE(0xcafebabe, 0);
+  assert.throws(() => parseMachOHeader(universal), /must be split into slices/);
+  assert.throws(() => parseMachOHeader(Buffer.alloc(32)), /Not a Mach-O file \(magic 0x0\)/);
+});
+
+test('lists the slices of thin and universal binaries', (t) => {
+  const arm64 = machO64([command(0x1d, [0x5000, 0x200])]);
+  const x86_64h = machO64([command(0x1d, [0x5000, 0x200])], { cputype: CPU_TYPE_X86_64, cpusubtype: 8 });
+
+  const thin = tempFile(t, arm64);
+  assert.strictEqual(isMachO(thin), true);
+  assert.deepStrictEqual(readSlices(thin).map(s => [s.arch, s.offset, s.size]), [['arm64', 0, arm64.length]]);
+
+  const universal = tempFile(t, fat([
+    { cputype: CPU_TYPE_X86_64, cpusubtype: 8, data: x86_64h },
+    { cputype: CPU_TYPE_ARM64, cpusubtype: 2, data: arm64 }
+  ]));
+  assert.strictEqual(isMachO(universal), true);
+  assert.deepStrictEqual(readSlices(universal).map(s => [s.arch, s.offset, s.size]),
+    [['x86_64h', 4096, x86_64h.length], ['arm64e', 8192, arm64.length]]);
+});
+
+test('refuses universal headers with bad counts or offsets', (t) => {
+  const arm64 = machO64([command(0x1d, [0x5000, 0x200])]);
+  const universal = fat([{ cputype: CPU_TYPE_ARM64, cpusubtype: 0, data: arm64 }]);
+
+  const pastEnd = Buffer.from(universal);
+  pastEnd.writeUInt32BE(universal.length, 16);
+  assert.throws(() => readSlices(tempFile(t, pastEnd)), /Slice arm64 extends past end of file/);
+
+  const tooMany = Buffer.from(universal);
+  tooMany.writeUInt32BE(1000, 4);
+  assert.strictEqual(isMachO(tempFile(t, tooMany)), false);
+  assert.throws(() => readSlices(tempFile(t, tooMany)), /Implausible architecture count 1000/);
+
+  const shortTable = universal.subarray(0, 8 + 10);
+  assert.throws(() => readSlices(tempFile(t, shortTable)), /Universal header extends past end of file/);
+});
+
+test('does not take short or foreign files for Mach-O', (t) => {
+  assert.strictEqual(isMachO(tempFile(t, Buffer.from('MZ'))), false);
+  assert.strictEqual(isMachO(tempFile(t, Buffer.from('#!/bin/sh\n'))), false);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSignedManifest, readSignedManifest } = require('../lib/manifest');
+
+const contents = {
+  archive: { name: 'cef_binary_macosarm64.zip', sha256: 'ab'.repeat(32) },
+  version: { cef: '120.1.10', chromium: '120.0.6099.129' },
+  distribution: 'standard',
+  bundles: ['Release/cefclient.app'],
+  upstreams: [{ platform: 'macosarm64', name: 'cef_binary.tar.bz2', url: 'https://example.com/cef.tar.bz2', sha1: 'cd'.repeat(20), size: 1 }],
+  entries: [{ path: 'README.txt', type: 'file', mode: '0644', sha256: 'ef'.repeat(32), linkTarget: undefined, macho: null }]
+};
+
+function writeManifest(t, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const manifestPath = path.join(dir, 'manifest.json');
+  fs.writeFileSync(manifestPath, text);
+  return manifestPath;
+}
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+test('reads back a manifest it signed', (t) => {
+  const manifest = readSignedManifest(writeManifest(t, createSignedManifest(contents, privateKey)), publicKey);
+  assert.strictEqual(manifest.cefVersion, '120.1.10');
+  assert.deepStrictEqual(manifest.upstreams, [{ platform: 'macosarm64', name: 'cef_binary.tar.bz2', url: 'https://example.com/cef.tar.bz2', sha1: 'cd'.repeat(20) }]);
+  assert.deepStrictEqual(manifest.entries.map(entry => entry.path), ['README.txt']);
+});
+
+test('refuses tampered manifests and other signers', (t) => {
+  const signed = JSON.parse(createSignedManifest(contents, privateKey));
+  signed.manifest.entries[0].sha256 = '00'.repeat(32);
+  assert.throws(() => readSignedManifest(writeManifest(t, JSON.stringify(signed)), publicKey), /Manifest signature is invalid/);
+
+  const other = crypto.generateKeyPairSync('ed25519');
+  const foreign = writeManifest(t, createSignedManifest(contents, other.privateKey));
+  assert.throws(() => readSignedManifest(foreign, publicKey), /Manifest was signed by key .*, not by the given public key/);
+
+  // Without a key id only the signature itself can tell
+  const anonymous = JSON.parse(createSignedManifest(contents, other.privateKey));
+  delete anonymous.signature.keyId;
+  assert.throws(() => readSignedManifest(writeManifest(t, JSON.stringify(anonymous)), publicKey), /Manifest signature is invalid/);
+});
+
+test('refuses files that are not signed manifests', (t) => {
+  const signed = createSignedManifest(contents, privateKey);
+  assert.throws(() => readSignedManifest(writeManifest(t, signed.slice(0, 100)), publicKey), /Failed to read manifest/);
+  assert.throws(() => readSignedManifest(writeManifest(t, 'null'), publicKey), /is not a signed manifest/);
+  assert.throws(() => readSignedManifest(writeManifest(t, JSON.stringify({ manifest: {} })), publicKey), /is not a signed manifest/);
+
+  const rsa = JSON.parse(signed);
+  rsa.signature.algorithm = 'rsa-sha256';
+  assert.throws(() => readSignedManifest(writeManifest(t, JSON.stringify(rsa)), publicKey), /Unsupported manifest signature algorithm "rsa-sha256"/);
+});
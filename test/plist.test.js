@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePlist } = require('../lib/plist');
+
+// bplist00 from already-encoded objects; refs are one byte, offsets two
+function bplist(objects, { topObject = 0 } = {}) {
+  const header = Buffer.from('bplist00', 'latin1');
+  const offsets = [];
+  let position = header.length;
+  for (const object of objects) {
+    offsets.push(position);
+    position += object.length;
+  }
+  const offsetTable = Buffer.alloc(offsets.length * 2);
+  offsets.forEach((offset, i) => offsetTable.writeUInt16BE(offset, i * 2));
+  const trailer = Buffer.alloc(32);
+  trailer[6] = 2;
+  trailer[7] = 1;
+  trailer.writeBigUInt64BE(BigInt(objects.length), 8);
+  trailer.writeBigUInt64BE(BigInt(topObject), 16);
+  trailer.writeBigUInt64BE(BigInt(position), 24);
+  return Buffer.concat([header, ...objects, offsetTable, trailer]);
+}
+
+const ascii = (value) => Buffer.concat([Buffer.from([0x50 | value.length]), Buffer.from(value, 'latin1')]);
+const int8 = (value) => {
+  const buffer = Buffer.alloc(9);
+  buffer[0] = 0x13;
+  buffer.writeBigInt64BE(BigInt(value), 1);
+  return buffer;
+};
+
+test('parses XML plists with every value type', () => {
+  const value = parsePlist(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>CFBundleIdentifier</key><string>org.cef.cefclient &amp; co</string>
+  <key>padded</key><string>  spaced  </string>
+  <key>count</key><integer>42</integer>
+  <key>ratio</key><real>0.5</real>
+  <key>enabled</key><true/>
+  <key>data</key><data>aGk=</data>
+  <key>list</key><array><string>a</string><false/></array>
+  <key>empty</key><dict/>
+</dict>
+</plist>`);
+  assert.deepStrictEqual(value, {
+    CFBundleIdentifier: 'org.cef.cefclient & co',
+    padded: '  spaced  ',
+    count: 42,
+    ratio: 0.5,
+    enabled: true,
+    data: Buffer.from('hi'),
+    list: ['a', false],
+    empty: {}
+  });
+});
+
+test('parses signed and hexadecimal XML integers', () => {
+  assert.deepStrictEqual(
+    parsePlist('<plist><array><integer>-3</integer><integer>+7</integer><integer>0x1F</integer><integer>-0x10</integer></array></plist>'),
+    [-3, 7, 31, -16]);
+  assert.throws(() => parsePlist('<plist><integer>12abc</integer></plist>'), /Invalid <integer> 12abc/);
+});
+
+test('keeps __proto__ keys as plain data', () => {
+  const value = parsePlist('<plist><dict><key>__proto__</key><string>x</string></dict></plist>');
+  assert.strictEqual(Object.getPrototypeOf(value), Object.prototype);
+  assert.strictEqual(value.__proto__, 'x');
+});
+
+test('refuses malformed XML plists', () => {
+  assert.throws(() => parsePlist('<dict></dict>'), /Missing <plist> root element/);
+  assert.throws(() => parsePlist('<plist><dict><string>x</string></dict></plist>'), /Expected <key> in <dict>/);
+  assert.throws(() => parsePlist('<plist><dict><key>a</key>'), /Unexpected end of property list/);
+  assert.throws(() => parsePlist('<plist><string>x</string></plist> trailing'), /Trailing text/);
+});
+
+test('parses binary plists, including negative integers', () => {
+  const value = parsePlist(bplist([
+    Buffer.from([0xd3, 1, 2, 3, 4, 5, 6]),
+    ascii('negative'),
+    ascii('small'),
+    ascii('flag'),
+    int8(-2),
+    Buffer.from([0x10, 0xff]),
+    Buffer.from([0x09])
+  ]));
+  assert.deepStrictEqual(value, { negative: -2, small: 255, flag: true });
+});
+
+test('refuses corrupt binary plists', () => {
+  assert.throws(() => parsePlist(Buffer.from('bplist00')), /Binary plist too small/);
+  assert.throws(() => parsePlist(Buffer.from('bplist01' + ' '.repeat(40))), /Unsupported binary plist version 01/);
+
+  const pastEnd = bplist([ascii('x')]);
+  pastEnd.writeBigUInt64BE(BigInt(pastEnd.length), pastEnd.length - 8);
+  assert.throws(() => parsePlist(pastEnd), /Corrupt binary plist trailer/);
+
+  assert.throws(() => parsePlist(bplist([ascii('x')], { topObject: 1 })), /Corrupt binary plist trailer/);
+  assert.throws(() => parsePlist(bplist([Buffer.from([0xa1, 5])])), /Object reference 5 out of range/);
+  assert.throws(() => parsePlist(bplist([Buffer.from([0xa1, 0])])), /reference cycle/);
+  assert.throws(() => parsePlist(bplist([Buffer.from([0x5f, 0x10, 100, 0x61])])), /String extends past end/);
+  assert.throws(() => parsePlist(bplist([Buffer.from([0xd1, 1, 1]), int8(1)])), /key is not a string/);
+});
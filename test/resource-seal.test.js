@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateResourceSeal } = require('../lib/resource-seal');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seal-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('base64');
+}
+
+// A Contents/ directory with the given files and a v2 seal over them
+function writeBundle(dir, files, { sealed = files, rules = {} } = {}) {
+  const contents = path.join(dir, 'Contents');
+  fs.mkdirSync(path.join(contents, '_CodeSignature'), { recursive: true });
+  for (const [name, data] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(contents, name)), { recursive: true });
+    fs.writeFileSync(path.join(contents, name), data);
+  }
+  const escape = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const plist = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<plist version="1.0"><dict>',
+    '<key>files2</key><dict>',
+    ...Object.entries(sealed).map(([name, data]) =>
+      `<key>${escape(name)}</key><dict><key>hash2</key><data>${sha256(data)}</data></dict>`),
+    '</dict>',
+    '<key>rules2</key><dict>',
+    ...Object.entries(rules).map(([pattern, weight]) =>
+      `<key>${escape(pattern)}</key><dict><key>weight</key><real>${weight}</real></dict>`),
+    '</dict>',
+    '</dict></plist>'
+  ].join('\n');
+  fs.writeFileSync(path.join(contents, '_CodeSignature', 'CodeResources'), plist);
+  return contents;
+}
+
+test('accepts a bundle that matches its seal', (t) => {
+  const contents = writeBundle(tempDir(t), { 'Resources/a.txt': 'a' }, { rules: { '^Resources/': 1 } });
+  assert.deepStrictEqual(validateResourceSeal(contents), []);
+});
+
+test('reports modified, missing and unsealed files', (t) => {
+  const contents = writeBundle(tempDir(t), { 'Resources/a.txt': 'a', 'Resources/b.txt': 'b' }, {
+    sealed: { 'Resources/a.txt': 'changed', 'Resources/gone.txt': 'x' },
+    rules: { '^Resources/': 1 }
+  });
+  assert.deepStrictEqual(validateResourceSeal(contents).sort(), [
+    'Sealed file missing: Resources/gone.txt',
+    'Sealed file modified: Resources/a.txt',
+    'Unsealed file: Resources/b.txt'
+  ]);
+});
+
+test('reports a seal rule that is not a valid regular expression', (t) => {
+  const contents = writeBundle(tempDir(t), { 'Resources/a.txt': 'a' }, {
+    rules: { '(unclosed': 1, '^Resources/': 1 }
+  });
+  assert.deepStrictEqual(validateResourceSeal(contents), ['Invalid seal rule: (unclosed']);
+});
+
+test('reports an overlong seal rule without compiling it', (t) => {
+  const contents = writeBundle(tempDir(t), { 'Resources/a.txt': 'a' }, {
+    rules: { [`^${'(a+)+'.repeat(300)}$`]: 1 }
+  });
+  const problems = validateResourceSeal(contents);
+  assert.strictEqual(problems.length, 1);
+  assert.match(problems[0], /^Invalid seal rule: .*longer than 1024 characters/);
+});
+
+test('reports seal paths that lead out of the bundle', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'outside.txt'), 'secret');
+  const contents = writeBundle(dir, { 'Resources/a.txt': 'a' }, {
+    sealed: { 'Resources/a.txt': 'a', '../outside.txt': 'secret', 'Resources/up/outside.txt': 'secret' }
+  });
+  fs.symlinkSync('../..', path.join(contents, 'Resources', 'up'));
+  assert.deepStrictEqual(validateResourceSeal(contents), [
+    'Sealed path escapes the bundle: ../outside.txt',
+    'Sealed path escapes the bundle: Resources/up/outside.txt'
+  ]);
+});
+
+test('reports an unreadable CodeResources instead of throwing', (t) => {
+  const contents = writeBundle(tempDir(t), {});
+  fs.writeFileSync(path.join(contents, '_CodeSignature', 'CodeResources'), 'not a plist');
+  const problems = validateResourceSeal(contents);
+  assert.strictEqual(problems.length, 1);
+  assert.match(problems[0], /^Could not read CodeResources/);
+});
@@ -3,494 +3,487 @@
 /**
  * Verifies that a re-signed CEF build matches the original from cef-builds.spotifycdn.com
  * by comparing file contents while ignoring code signature differences.
+ *
+ * The command line for lib/verify.js: parses options, prints progress and
+ * results, writes reports and sets the exit status.
  */
 
-const https = require('https');
 const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
-const { execSync } = require('child_process');
+const { loadEntitlementsPolicy } = require('./lib/entitlements');
+const { REPORT_FORMATS, buildReport, formatReport } = require('./lib/report');
+const { defaultCacheDir } = require('./lib/cache');
+const { loadSigningKey, loadPublicKey, keyId } = require('./lib/ed25519');
+const { loadPolicy } = require('./lib/policy');
+const {
+  DISTRIBUTIONS,
+  CHANNELS,
+  verifyBundle,
+  verifyWithManifest,
+  loadBuildsIndex,
+  listIndexVersions,
+  parsePlatforms,
+  defaultJobs
+} = require('./lib/verify');
+
+// Command-line options that take a value; anything else is a boolean flag
+const VALUE_OPTIONS = new Set([
+  'expect-team', 'entitlements-policy', 'policy', 'format', 'output', 'original', 'index', 'cache-dir', 'jobs', 'dist',
+  'platform', 'channel', 'manifest', 'signing-key', 'public-key'
+]);
+// Value options that may be given more than once
+const REPEATABLE_OPTIONS = new Set(['original']);
+
+const FLAG_OPTIONS = new Set(['no-cache', 'explain', 'list-versions']);
+
+// Optional first argument: verify (the default) or manifest
+const MODES = ['verify', 'manifest'];
 
-const CEF_BUILDS_INDEX = 'https://cef-builds.spotifycdn.com/index.json';
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  const mode = MODES.includes(args.positionals[0]) ? args.positionals.shift() : 'verify';
 
-// Files/patterns to skip when comparing (signature-related)
-const SIGNATURE_PATTERNS = [
-  '_CodeSignature',
-  '.DS_Store',
-  'CodeResources',
-  'embedded.provisionprofile'
-];
+  const channel = args.options.channel || null;
+  let requestedPlatforms = null;
+  try {
+    if (channel && !CHANNELS.includes(channel)) {
+      throw new Error(`Unknown channel "${channel}" (expected ${CHANNELS.join(', ')})`);
+    }
+    if (args.options.platform) {
+      requestedPlatforms = parsePlatforms(args.options.platform);
+    }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
 
-async function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length < 1) {
-    console.log('Usage: node verify-cef-integrity.js <local-zip> [cef-version]');
+  if (args.options['list-versions']) {
+    const index = await loadBuildsIndex(args.options.index, { onProgress: createProgressPrinter() });
+    printVersions(listIndexVersions(index, args.positionals[0], { channel, platforms: requestedPlatforms }));
+    return;
+  }
+
+  if (args.positionals.length < 1) {
+    console.log('Usage: node verify-cef-integrity.js [verify] [options] <local-zip> [cef-version]');
+    console.log('       node verify-cef-integrity.js manifest --signing-key <pem> --manifest <file> [options] <local-zip> [cef-version]');
+    console.log('       node verify-cef-integrity.js verify --manifest <file> --public-key <pem> [options] <local-zip>');
+    console.log('       node verify-cef-integrity.js --list-versions [cef-version]');
     console.log('');
     console.log('Arguments:');
-    console.log('  local-zip    Path to your re-signed cefclient.zip');
-    console.log('  cef-version  Full CEF version (e.g., 73.1.5) or major version (e.g., 73).');
+    console.log('  local-zip    Zip of re-signed .app and/or .framework bundles (e.g. cefclient.zip)');
+    console.log('  cef-version  Full CEF version (e.g., 73.1.5+g4a68f1d+chromium-73.0.3683.75), or a prefix');
+    console.log('               of one (e.g., 73.1.5 or 73) that matches exactly one published build.');
     console.log('               If omitted, version is auto-detected from the app\'s Info.plist.');
     console.log('');
+    console.log('Options:');
+    console.log('  --dist <type>                  Upstream distribution: client (default), standard or minimal');
+    console.log('  --expect-team <id>             Fail unless every binary is signed by this team ID');
+    console.log('  --entitlements-policy <file>   JSON file listing allowed (and risky) entitlement keys');
+    console.log('  --policy <file>                JSON file with exclusions and allowed, justified differences');
+    console.log('  --format <format>              Report format: console (default), json, junit or sarif');
+    console.log('  --output <file>                Write the report to a file instead of stdout');
+    console.log('  --platform <name>              Upstream platform(s): macosx64, macosarm64 or both, comma-separated');
+    console.log('                                 (default: detected from the CPU types of the local binaries)');
+    console.log('  --channel <name>               Only consider builds from this channel: stable or beta');
+    console.log('  --list-versions                List the versions, platforms and distributions in the index');
+    console.log('  --original <tar.bz2>           Use this upstream archive instead of downloading it (repeatable)');
+    console.log('  --index <index.json>           Use a local copy of the CEF builds index');
+    console.log('  --cache-dir <dir>              Cache for upstream archives (default: ' + defaultCacheDir() + ')');
+    console.log('  --no-cache                     Neither read nor fill the archive cache');
+    console.log(`  --jobs <n>                     Files compared in parallel (default: ${defaultJobs()})`);
+    console.log('  --explain                      Show how each modified file differs (sections, keys, diff)');
+    console.log('  --manifest <file>              manifest: where to write the signed manifest of a passing build;');
+    console.log('                                 verify: check against this manifest instead of upstream, offline');
+    console.log('  --signing-key <pem>            Ed25519 private key that signs the manifest');
+    console.log('  --public-key <pem>             Ed25519 public key the manifest must be signed with');
+    console.log('');
     console.log('Example:');
     console.log('  node verify-cef-integrity.js cefclient.zip');
     console.log('  node verify-cef-integrity.js cefclient.zip 73.1.5');
+    console.log('  node verify-cef-integrity.js --expect-team ABCDE12345 cefclient.zip');
+    console.log('  node verify-cef-integrity.js --dist minimal cef-framework.zip');
+    console.log('  node verify-cef-integrity.js --format sarif --output cef.sarif cefclient.zip');
+    console.log('  node verify-cef-integrity.js --index index.json --original cef_binary.tar.bz2 cefclient.zip');
+    console.log('  node verify-cef-integrity.js --list-versions --channel stable 73');
+    console.log('  node verify-cef-integrity.js manifest --signing-key release.pem --manifest cefclient.manifest.json cefclient.zip');
+    console.log('  node verify-cef-integrity.js verify --manifest cefclient.manifest.json --public-key release.pub.pem cefclient.zip');
     process.exit(1);
   }
 
-  const localZipPath = args[0];
-  const cefVersionArg = args[1];
+  const [localZipPath, cefVersionArg] = args.positionals;
+  const format = args.options.format || 'console';
+  const outputPath = args.options.output;
+  const dist = args.options.dist || 'client';
 
-  if (!fs.existsSync(localZipPath)) {
-    console.error(`Error: File not found: ${localZipPath}`);
+  if (!DISTRIBUTIONS.includes(dist)) {
+    console.error(`Error: Unknown distribution "${dist}" (expected ${DISTRIBUTIONS.join(', ')})`);
     process.exit(1);
   }
+  if (!REPORT_FORMATS.includes(format)) {
+    console.error(`Error: Unknown format "${format}" (expected ${REPORT_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  // A report written to stdout must be the only thing there, so the
+  // progress and console report move to stderr
+  if (format !== 'console' && !outputPath) {
+    console.log = console.error;
+  }
 
-  console.log('=== CEF Build Integrity Verification ===\n');
-
-  // Create temp directory for extraction
-  const tempDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'cef-verify-'));
-  const localExtractDir = path.join(tempDir, 'local');
-  const originalExtractDir = path.join(tempDir, 'original');
-
+  let entitlementsPolicy;
+  let policy;
+  let signingKey = null;
+  let publicKey = null;
   try {
-    // Step 1: Extract local archive first to detect version
-    console.log('Step 1: Extracting local archive...');
-    fs.mkdirSync(localExtractDir, { recursive: true });
-    execSync(`unzip -q "${localZipPath}" -d "${localExtractDir}"`, { stdio: 'pipe' });
-    
-    const localAppPath = findCefClientApp(localExtractDir);
-    if (!localAppPath) {
-      throw new Error('Could not find cefclient.app in local archive');
-    }
-    
-    // Detect version from Info.plist if not provided
-    let cefVersion = cefVersionArg;
-    if (!cefVersion) {
-      cefVersion = detectCefVersion(localAppPath);
-      console.log(`Detected CEF version: ${cefVersion}`);
+    if (args.options['entitlements-policy']) {
+      entitlementsPolicy = loadEntitlementsPolicy(args.options['entitlements-policy']);
     }
-    console.log('');
-
-    // Step 2: Find and download original CEF build
-    console.log('Step 2: Finding original CEF build...');
-    const originalBuild = await findOriginalCefBuild(cefVersion);
-    console.log(`Found: ${originalBuild.name}`);
-    console.log(`Expected SHA1: ${originalBuild.sha1}`);
-    console.log(`Expected size: ${formatBytes(originalBuild.size)}\n`);
-
-    console.log('Step 3: Downloading original CEF build...');
-    const originalZipPath = path.join(tempDir, 'original.tar.bz2');
-    await downloadFile(originalBuild.url, originalZipPath);
-    console.log('Download complete.');
-    
-    // Verify SHA1 checksum
-    console.log('Verifying SHA1 checksum...');
-    const actualSha1 = hashFileSha1(originalZipPath);
-    if (actualSha1 !== originalBuild.sha1) {
-      throw new Error(`SHA1 mismatch!\n  Expected: ${originalBuild.sha1}\n  Actual:   ${actualSha1}`);
+    if (args.options.policy) {
+      policy = loadPolicy(args.options.policy);
     }
-    console.log(`✅ SHA1 verified: ${actualSha1}\n`);
-
-    // Step 4: Extract original archive
-    console.log('Step 4: Extracting original archive...');
-    fs.mkdirSync(originalExtractDir, { recursive: true });
-    execSync(`tar -xjf "${originalZipPath}" -C "${originalExtractDir}"`, { stdio: 'pipe' });
-    console.log('Extraction complete.\n');
-
-    // Find the cefclient.app in original (it's nested in the tarball)
-    const originalAppPath = findCefClientApp(originalExtractDir);
-
-    if (!originalAppPath) {
-      throw new Error('Could not find cefclient.app in original archive');
+    if (mode === 'manifest') {
+      if (!args.options['signing-key'] || !args.options.manifest) {
+        throw new Error('manifest needs --signing-key and --manifest');
+      }
+      signingKey = loadSigningKey(args.options['signing-key']);
+    } else if (args.options.manifest) {
+      // Without a trusted key anyone could write a matching manifest
+      if (!args.options['public-key']) {
+        throw new Error('--manifest needs --public-key to check the manifest signature');
+      }
+      publicKey = loadPublicKey(args.options['public-key']);
     }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
 
-    console.log(`Local app: ${localAppPath}`);
-    console.log(`Original app: ${originalAppPath}\n`);
+  const jobs = args.options.jobs === undefined ? defaultJobs() : Number(args.options.jobs);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    console.error(`Error: --jobs must be a positive integer, got "${args.options.jobs}"`);
+    process.exit(1);
+  }
 
-    // Step 5: Compare files
-    console.log('Step 5: Comparing files (ignoring signatures)...\n');
-    const result = await compareApps(localAppPath, originalAppPath, tempDir);
+  const onProgress = createProgressPrinter();
+  let run;
+  if (publicKey) {
+    console.log('=== CEF Build Integrity Verification (signed manifest) ===\n');
+    run = await verifyWithManifest({
+      localZip: localZipPath,
+      manifest: args.options.manifest,
+      publicKey,
+      policy,
+      entitlementsPolicy,
+      expectedTeam: args.options['expect-team'],
+      onProgress
+    });
+  } else {
+    console.log('=== CEF Build Integrity Verification ===\n');
+    run = await verifyBundle({
+      localZip: localZipPath,
+      version: cefVersionArg,
+      original: args.options.original,
+      index: args.options.index,
+      dist,
+      platforms: requestedPlatforms,
+      channel,
+      cacheDir: args.options['no-cache'] ? null : args.options['cache-dir'] || defaultCacheDir(),
+      jobs,
+      explain: Boolean(args.options.explain),
+      policy,
+      entitlementsPolicy,
+      expectedTeam: args.options['expect-team'],
+      signingKey,
+      onProgress
+    });
+  }
 
-    // Report results
-    console.log('\n=== Verification Results ===\n');
-    
-    if (result.missingInLocal.length > 0) {
-      console.log('❌ Files missing in local build:');
-      result.missingInLocal.forEach(f => console.log(`   - ${f}`));
+  console.log('\n=== Verification Results ===\n');
+  run.bundles.forEach(printBundleResults);
+  if (publicKey) {
+    if (run.missingBundles.length > 0) {
+      console.log('❌ Bundles in the manifest but not in the local archive:');
+      run.missingBundles.forEach(bundlePath => console.log(`   - ${bundlePath}`));
       console.log('');
     }
+    printVerdicts(run.bundles, 'not in the manifest');
+    console.log('\n' + (run.passed
+      ? '✅ VERIFICATION PASSED: Build matches the signed manifest (signature changes only)'
+      : '❌ VERIFICATION FAILED: Build differs from the signed manifest'));
+  } else {
+    printVerdicts(run.bundles, 'no upstream counterpart');
+    console.log('\n' + (run.passed
+      ? '✅ VERIFICATION PASSED: Build matches original (signature changes only)'
+      : '❌ VERIFICATION FAILED: Build has unexpected modifications'));
+  }
 
-    if (result.missingInOriginal.length > 0) {
-      console.log('⚠️  Extra files in local build (may be expected):');
-      result.missingInOriginal.forEach(f => console.log(`   - ${f}`));
-      console.log('');
+  if (format !== 'console') {
+    const report = formatReport(buildReport(run), format);
+    if (outputPath) {
+      fs.writeFileSync(outputPath, report);
+      console.log(`Report written to ${outputPath}`);
+    } else {
+      // Wait for the write so a piped report isn't cut short by process.exit
+      await new Promise(resolve => process.stdout.write(report, resolve));
     }
+  }
 
-    if (result.modified.length > 0) {
-      console.log('❌ Modified files (content differs):');
-      result.modified.forEach(f => console.log(`   - ${f}`));
-      console.log('');
+  if (mode === 'manifest') {
+    if (run.signedManifest) {
+      fs.writeFileSync(args.options.manifest, run.signedManifest);
+      console.log(`Signed manifest written to ${args.options.manifest} (key ${keyId(signingKey)})`);
+    } else {
+      console.log('\nManifest not written: only builds that pass verification get one');
     }
+  }
+
+  process.exit(run.passed ? 0 : 1);
+}
 
-    if (result.signatureOnly.length > 0) {
-      console.log('✅ Files with signature-only changes (expected):');
-      result.signatureOnly.forEach(f => console.log(`   - ${f}`));
+// Prints the progress events of lib/verify.js. Download progress goes to
+// stderr so it never ends up in a report on stdout
+function createProgressPrinter() {
+  let downloading = false;
+  let started = false;
+  return (event) => {
+    if (event.type === 'download') {
+      const percent = event.total ? Math.round((event.received / event.total) * 100) : '?';
+      process.stderr.write(`\rDownloading: ${percent}%`);
+      downloading = true;
+      return;
+    }
+    if (downloading) {
+      process.stderr.write('\n');
+      downloading = false;
+    }
+    if (event.type === 'step' && started) {
       console.log('');
     }
+    started = true;
 
-    console.log(`Files compared: ${result.matched + result.signatureOnly.length + result.modified.length}`);
-    console.log(`Matching: ${result.matched}`);
-    console.log(`Signature-only changes: ${result.signatureOnly.length}`);
-    console.log(`Content modified: ${result.modified.length}`);
-    console.log(`Missing: ${result.missingInLocal.length}`);
-
-    const isValid = result.modified.length === 0 && result.missingInLocal.length === 0;
-    
-    console.log('\n' + (isValid 
-      ? '✅ VERIFICATION PASSED: Build matches original (signature changes only)'
-      : '❌ VERIFICATION FAILED: Build has unexpected modifications'));
-
-    process.exit(isValid ? 0 : 1);
-
-  } finally {
-    // Cleanup
-    console.log('\nCleaning up...');
-    fs.rmSync(tempDir, { recursive: true, force: true });
-  }
+    const prefix = { step: `Step ${event.step}: `, success: '✅ ', warning: '⚠️  ' }[event.type] || '';
+    console.log(`${event.type === 'warning' && event.step ? `Step ${event.step}: ` : ''}${prefix}${event.message}`);
+  };
 }
 
-function detectCefVersion(appPath) {
-  const infoPlistPath = path.join(appPath, 'Contents', 'Info.plist');
-  if (!fs.existsSync(infoPlistPath)) {
-    throw new Error('Could not find Info.plist to detect version');
-  }
-  
-  // Use plutil to convert to JSON and parse
-  try {
-    const jsonOutput = execSync(`plutil -convert json -o - "${infoPlistPath}"`, { encoding: 'utf8' });
-    const plist = JSON.parse(jsonOutput);
-    const bundleVersion = plist.CFBundleShortVersionString; // e.g., "73.1.5.0"
-    if (!bundleVersion) {
-      throw new Error('CFBundleShortVersionString not found');
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
     }
-    // Return first 3 components (e.g., "73.1.5")
-    const parts = bundleVersion.split('.');
-    return parts.slice(0, 3).join('.');
-  } catch (e) {
-    throw new Error(`Failed to parse Info.plist: ${e.message}`);
-  }
-}
 
-async function findOriginalCefBuild(version) {
-  console.log('Fetching CEF builds index...');
-  const index = await fetchJson(CEF_BUILDS_INDEX);
-  
-  // version can be "73" or "73.1.5"
-  const versionParts = version.split('.');
-  const majorVersion = versionParts[0];
-  const fullVersion = versionParts.length >= 3 ? version : null;
-  
-  // Look for client distribution matching the version
-  for (const platform of ['macosx64', 'macosarm64']) {
-    const builds = index[platform]?.versions || [];
-    for (const build of builds) {
-      if (!build.cef_version) continue;
-      
-      // Check if version matches
-      let matches = false;
-      if (fullVersion) {
-        // Match exact version like "73.1.5"
-        matches = build.cef_version.startsWith(fullVersion + '+');
-      } else {
-        // Match major version like "73"
-        matches = build.cef_version.startsWith(majorVersion + '.');
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    if (VALUE_OPTIONS.has(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined) {
+        throw new Error(`Option --${name} requires a value`);
       }
-      
-      if (matches) {
-        // Find the client distribution file
-        const clientFile = build.files?.find(f => f.type === 'client');
-        if (clientFile) {
-          return {
-            url: `https://cef-builds.spotifycdn.com/${clientFile.name}`,
-            sha1: clientFile.sha1,
-            size: clientFile.size,
-            name: clientFile.name
-          };
-        }
+      if (REPEATABLE_OPTIONS.has(name)) {
+        options[name] = [...(options[name] || []), value];
+      } else {
+        options[name] = value;
       }
+    } else if (FLAG_OPTIONS.has(name)) {
+      options[name] = true;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
     }
   }
 
-  throw new Error(`Could not find CEF build for version ${version}. Check https://cef-builds.spotifycdn.com/index.html`);
+  return { options, positionals };
 }
 
-function findCefClientApp(dir) {
-  // Recursively find cefclient.app
-  const find = (currentDir) => {
-    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-    for (const entry of entries) {
-      const fullPath = path.join(currentDir, entry.name);
-      if (entry.isDirectory()) {
-        if (entry.name === 'cefclient.app') {
-          return fullPath;
-        }
-        const found = find(fullPath);
-        if (found) return found;
-      }
-    }
-    return null;
-  };
-  return find(dir);
-}
+function printBundleResults(run) {
+  console.log(`--- ${run.path} ---\n`);
 
-async function compareApps(localApp, originalApp, tempDir) {
-  const result = {
-    matched: 0,
-    modified: [],
-    signatureOnly: [],
-    missingInLocal: [],
-    missingInOriginal: []
-  };
+  run.problems.forEach(p => console.log(`❌ ${p}\n`));
 
-  const localFiles = getAllFiles(localApp, localApp);
-  const originalFiles = getAllFiles(originalApp, originalApp);
-
-  const localSet = new Set(localFiles.map(f => f.relativePath));
-  const originalSet = new Set(originalFiles.map(f => f.relativePath));
-
-  // Check for missing files (excluding signature files)
-  for (const relPath of originalSet) {
-    if (shouldSkipFile(relPath)) continue;
-    if (!localSet.has(relPath)) {
-      result.missingInLocal.push(relPath);
-    }
+  for (const { label, result } of run.comparisons) {
+    console.log(`${label}\n`);
+    printComparison(result);
   }
 
-  for (const relPath of localSet) {
-    if (shouldSkipFile(relPath)) continue;
-    if (!originalSet.has(relPath)) {
-      result.missingInOriginal.push(relPath);
-    }
+  printSignatures(run.signatures);
+
+  if (run.signatureProblems.length > 0) {
+    console.log('❌ Code signature problems:');
+    run.signatureProblems.forEach(p => console.log(`   - ${p}`));
+    console.log('');
   }
 
-  // Compare matching files
-  for (const localFile of localFiles) {
-    if (shouldSkipFile(localFile.relativePath)) continue;
-    if (!originalSet.has(localFile.relativePath)) continue;
-
-    const originalFile = originalFiles.find(f => f.relativePath === localFile.relativePath);
-    
-    const comparison = await compareFiles(
-      localFile.absolutePath,
-      originalFile.absolutePath,
-      localFile.relativePath,
-      tempDir
-    );
-
-    if (comparison === 'match') {
-      result.matched++;
-    } else if (comparison === 'signature-only') {
-      result.signatureOnly.push(localFile.relativePath);
-    } else {
-      result.modified.push(localFile.relativePath);
-    }
+  if (run.sealProblems.length > 0) {
+    console.log('❌ Resource seal problems (_CodeSignature/CodeResources):');
+    run.sealProblems.forEach(p => console.log(`   - ${p}`));
+    console.log('');
   }
 
-  return result;
+  console.log(`Signed binaries: ${run.signatures.length}`);
+  console.log(`Resource seal problems: ${run.sealProblems.length}`);
+  console.log('');
 }
 
-function getAllFiles(dir, baseDir) {
-  const files = [];
-  
-  const walk = (currentDir) => {
-    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-    for (const entry of entries) {
-      const fullPath = path.join(currentDir, entry.name);
-      if (entry.isDirectory()) {
-        walk(fullPath);
-      } else if (entry.isFile()) {
-        files.push({
-          absolutePath: fullPath,
-          relativePath: path.relative(baseDir, fullPath)
-        });
-      }
-    }
-  };
-  
-  walk(dir);
-  return files;
-}
+function printComparison(result) {
+  if (result.missingInLocal.length > 0) {
+    console.log('❌ Files missing in local build:');
+    result.missingInLocal.forEach(f => console.log(`   - ${f}`));
+    console.log('');
+  }
 
-function shouldSkipFile(relativePath) {
-  return SIGNATURE_PATTERNS.some(pattern => relativePath.includes(pattern));
-}
+  if (result.missingInOriginal.length > 0) {
+    console.log('⚠️  Extra files in local build (may be expected):');
+    result.missingInOriginal.forEach(f => console.log(`   - ${f}`));
+    console.log('');
+  }
 
-async function compareFiles(localPath, originalPath, relativePath, tempDir) {
-  const localHash = hashFile(localPath);
-  const originalHash = hashFile(originalPath);
+  if (result.modified.length > 0) {
+    console.log('❌ Modified files (content, permissions or symlink target differ):');
+    printFileList(result.modified, result);
+    console.log('');
+  }
 
-  if (localHash === originalHash) {
-    return 'match';
+  if (result.allowed.length > 0) {
+    console.log('✅ Differences allowed by policy:');
+    printFileList(result.allowed, result);
+    console.log('');
   }
 
-  // If hashes differ, check if it's a Mach-O binary (signature difference)
-  if (isMachO(localPath)) {
-    try {
-      // Compare code segments using lipo/otool to extract just the code
-      // The __TEXT and __DATA segments contain the actual code
-      const localSegmentHash = hashMachOSegments(localPath, tempDir, 'local');
-      const originalSegmentHash = hashMachOSegments(originalPath, tempDir, 'original');
+  if (result.signatureOnly.length > 0) {
+    console.log('✅ Files with signature-only changes (expected):');
+    printFileList(result.signatureOnly, { architectures: result.architectures });
+    console.log('');
+  }
 
-      if (localSegmentHash === originalSegmentHash) {
-        return 'signature-only';
-      }
-    } catch (e) {
-      // If segment extraction fails, fall through to modified
-    }
+  if (result.excluded.length > 0) {
+    console.log('ℹ️  Excluded by policy:');
+    printExclusions(result.excluded);
+    console.log('');
   }
 
-  return 'modified';
+  console.log(`Files compared: ${result.compared}`);
+  console.log(`Matching: ${result.matched}`);
+  console.log(`Signature-only changes: ${result.signatureOnly.length}`);
+  console.log(`Content modified: ${result.modified.length}`);
+  console.log(`Missing: ${result.missingInLocal.length}`);
+  console.log(`Allowed by policy: ${result.allowed.length}`);
+  console.log(`Excluded by policy: ${result.excluded.length}`);
+  console.log('');
 }
 
-function hashMachOSegments(filePath, tempDir, prefix) {
-  // Compare actual code sections (__text, __data, etc.) not entire segments
-  // because the Mach-O header (part of __TEXT segment) changes when signing
-  try {
-    const otoolOutput = execSync(`otool -l "${filePath}"`, { encoding: 'utf8' });
-    
-    // Parse all sections to hash
-    const sections = [];
-    const sectionRegex = /sectname (\S+)\s+segname (\S+)\s+addr \S+\s+size (\S+)\s+offset (\d+)/g;
-    let match;
-    while ((match = sectionRegex.exec(otoolOutput)) !== null) {
-      const [, sectname, segname, sizeHex, offsetStr] = match;
-      const offset = parseInt(offsetStr, 10);
-      const size = parseInt(sizeHex, 16);
-      
-      // Skip sections that might be modified by signing
-      if (segname === '__LINKEDIT') continue;
-      
-      // Skip zerofill sections (offset 0 means they don't exist in file)
-      // These include __bss and __common which are uninitialized data
-      if (offset === 0) continue;
-      
-      // Skip empty sections
-      if (size === 0) continue;
-      
-      sections.push({
-        name: `${segname}.${sectname}`,
-        offset,
-        size
-      });
-    }
-    
-    if (sections.length === 0) {
-      throw new Error('No sections found');
-    }
-    
-    const hash = crypto.createHash('sha256');
-    const fd = fs.openSync(filePath, 'r');
-    
-    // Hash each section
-    for (const section of sections) {
-      const buffer = Buffer.alloc(section.size);
-      fs.readSync(fd, buffer, 0, section.size, section.offset);
-      hash.update(buffer);
-    }
-    
-    fs.closeSync(fd);
-    return hash.digest('hex');
-  } catch (e) {
-    throw new Error(`Failed to hash segments: ${e.message}`);
+function printVerdicts(bundles, unmatched) {
+  console.log('Bundle verdicts:');
+  for (const verdict of bundles.flatMap(bundle => bundle.verdicts)) {
+    const indent = verdict.parent ? '     ' : '   ';
+    console.log(`${indent}${verdict.passed ? '✅' : '❌'} ${verdict.path}${verdict.passed ? '' : ` (${describeVerdict(verdict, unmatched)})`}`);
   }
 }
 
-function isMachO(filePath) {
-  try {
-    const fd = fs.openSync(filePath, 'r');
-    const buffer = Buffer.alloc(4);
-    fs.readSync(fd, buffer, 0, 4, 0);
-    fs.closeSync(fd);
-    
-    // Mach-O magic numbers
-    const magic = buffer.readUInt32LE(0);
-    return (
-      magic === 0xFEEDFACE ||  // MH_MAGIC (32-bit)
-      magic === 0xFEEDFACF ||  // MH_MAGIC_64 (64-bit)
-      magic === 0xCAFEBABE ||  // FAT_MAGIC (universal)
-      magic === 0xBEBAFECA     // FAT_CIGAM (universal, swapped)
-    );
-  } catch (e) {
-    return false;
+// `unmatched` describes a bundle without a counterpart to compare with
+function describeVerdict({ problems, summary }, unmatched) {
+  const parts = problems.length > 0 ? [unmatched] : [];
+  const counts = [
+    [summary.modified, 'modified'],
+    [summary.missing, 'missing'],
+    [summary.signatureProblems, 'signature problem(s)'],
+    [summary.sealProblems, 'seal problem(s)']
+  ];
+  for (const [count, label] of counts) {
+    if (count > 0) parts.push(`${count} ${label}`);
   }
+  return parts.join(', ');
 }
 
-function hashFile(filePath) {
-  const content = fs.readFileSync(filePath);
-  return crypto.createHash('sha256').update(content).digest('hex');
+function printFileList(files, { architectures = {}, findings = {}, explanations = {}, justifications = {} }) {
+  for (const file of files) {
+    console.log(`   - ${file}`);
+    for (const { arch, status } of architectures[file] || []) {
+      console.log(`       ${arch}: ${status}`);
+    }
+    for (const finding of findings[file] || []) {
+      console.log(`       ! ${finding}`);
+    }
+    for (const line of explanations[file] || []) {
+      console.log(`         ${line}`);
+    }
+    for (const justification of justifications[file] || []) {
+      console.log(`       Justification: ${justification}`);
+    }
+  }
 }
 
-function hashFileSha1(filePath) {
-  const content = fs.readFileSync(filePath);
-  return crypto.createHash('sha1').update(content).digest('hex');
+// One line per exclude rule rather than per file, since excluding a
+// directory excludes everything in it
+function printExclusions(excluded) {
+  const byRule = new Map();
+  for (const { rule, justification } of excluded) {
+    const entry = byRule.get(rule) || { justification, count: 0 };
+    entry.count++;
+    byRule.set(rule, entry);
+  }
+  for (const [rule, { justification, count }] of byRule) {
+    console.log(`   - ${rule} (${count} ${count === 1 ? 'entry' : 'entries'}): ${justification}`);
+  }
 }
 
-function formatBytes(bytes) {
-  if (bytes < 1024) return bytes + ' B';
-  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
-}
+function printSignatures(signatures) {
+  if (signatures.length === 0) return;
 
-function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { 'User-Agent': 'cef-verify' } }, (res) => {
-      if (res.statusCode === 301 || res.statusCode === 302) {
-        return fetchJson(res.headers.location).then(resolve).catch(reject);
-      }
-      if (res.statusCode !== 200) {
-        return reject(new Error(`HTTP ${res.statusCode}`));
+  console.log('🔏 Code signatures:');
+  for (const { file, arch, signature, entitlements, error, problems } of signatures) {
+    console.log(`   - ${file} (${arch})`);
+    if (error) {
+      console.log(`       Error: ${error}`);
+      continue;
+    }
+    if (!signature) {
+      console.log('       Unsigned');
+      continue;
+    }
+    console.log(`       Identifier: ${signature.identifier}`);
+    console.log(`       Team ID: ${signature.teamId || 'none'}`);
+    console.log(`       CDHash: ${signature.cdhash} (${signature.hashType})`);
+    console.log(`       Flags: ${signature.flags.join(', ') || 'none'}`);
+    console.log(`       Problems: ${problems.length === 0 ? 'none' : problems.length}`);
+    if (entitlements.length === 0) {
+      console.log('       Entitlements: none');
+    } else {
+      console.log('       Entitlements:');
+      for (const { key, risky, allowed, justification } of entitlements) {
+        const notes = [risky && 'risky', !allowed && 'not allowed', justification && `allowed by policy: ${justification}`].filter(Boolean);
+        console.log(`         ${risky || !allowed ? '⚠️ ' : ''}${key}${notes.length ? ` (${notes.join(', ')})` : ''}`);
       }
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(JSON.parse(data)));
-    }).on('error', reject);
-  });
+    }
+    if (signature.adhoc) {
+      console.log('       Signer: ad-hoc');
+    }
+    for (const certificate of signature.certificates) {
+      console.log(`       Certificate: ${certificate.subject}`);
+      console.log(`         Issuer: ${certificate.issuer}`);
+    }
+  }
+  console.log('');
 }
 
-function downloadFile(url, outputPath) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(outputPath);
-    
-    const request = (url) => {
-      https.get(url, { headers: { 'User-Agent': 'cef-verify' } }, (res) => {
-        if (res.statusCode === 301 || res.statusCode === 302) {
-          return request(res.headers.location);
-        }
-        if (res.statusCode !== 200) {
-          return reject(new Error(`HTTP ${res.statusCode}`));
-        }
-        
-        const totalSize = parseInt(res.headers['content-length'], 10);
-        let downloaded = 0;
-        
-        res.on('data', (chunk) => {
-          downloaded += chunk.length;
-          const percent = totalSize ? Math.round((downloaded / totalSize) * 100) : '?';
-          process.stdout.write(`\rDownloading: ${percent}%`);
-        });
-        
-        res.pipe(file);
-        file.on('finish', () => {
-          process.stdout.write('\n');
-          file.close();
-          resolve();
-        });
-      }).on('error', reject);
-    };
-    
-    request(url);
-  });
+// Prints the versions in the builds index with their channel, platforms
+// and distribution types
+function printVersions(versions) {
+  console.log('');
+  for (const entry of versions) {
+    console.log(`${entry.cefVersion} (${entry.channel || 'unknown channel'})`);
+    for (const { platform, files } of entry.platforms) {
+      console.log(`   ${platform}: ${files.join(', ') || 'no files'}`);
+    }
+  }
+  console.log(`\n${versions.length} version(s)`);
 }
 
 main().catch(err => {
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+/**
+ * Verifies every published release of this repository against the upstream
+ * CEF build it was made from, and renders the results as a compatibility
+ * matrix (tag, CEF version, Chromium version, architecture, verdict) in
+ * Markdown and JSON. The README's "Available Releases" table is generated
+ * from it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listReleases, downloadAssetsFromRelease } = require('./download-release');
+const { verifyBundle, loadBuildsIndex, defaultJobs } = require('./lib/verify');
+const { loadPublicKey } = require('./lib/ed25519');
+const { loadPolicy } = require('./lib/policy');
+const { defaultCacheDir } = require('./lib/cache');
+const { matchGlob } = require('./lib/glob');
+
+const DEFAULT_REPOSITORY = ['wowlocal', 'cef-build-macos'];
+const DEFAULT_ASSET = 'cefclient*.zip';
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Heading of the README section whose table --readme replaces
+const README_SECTION = '## Available Releases';
+
+const VALUE_OPTIONS = new Set([
+  'api-url', 'asset', 'tag', 'index', 'cache-dir', 'jobs', 'policy', 'public-key', 'json', 'markdown', 'readme'
+]);
+const FLAG_OPTIONS = new Set(['no-cache', 'skip-checksum']);
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.positionals.length === 1 || args.positionals.length > 2) {
+    console.log('Usage: node verify-releases.js [options] [<owner> <repo>]');
+    console.log('');
+    console.log(`Verifies every release of ${DEFAULT_REPOSITORY.join('/')} (or <owner>/<repo>) and prints a`);
+    console.log('compatibility matrix as a Markdown table.');
+    console.log('');
+    console.log('Options:');
+    console.log(`  --asset <glob>        Release assets to verify (default: ${DEFAULT_ASSET})`);
+    console.log('  --tag <glob>          Only verify releases whose tag matches');
+    console.log('  --markdown <file>     Write the Markdown table to a file instead of stdout');
+    console.log('  --json <file>         Write the matrix as JSON');
+    console.log('  --readme <file>       Replace the table under "Available Releases" in this README');
+    console.log('  --index <index.json>  Use a local copy of the CEF builds index');
+    console.log('  --cache-dir <dir>     Cache for upstream archives (default: ' + defaultCacheDir() + ')');
+    console.log('  --no-cache            Neither read nor fill the archive cache');
+    console.log(`  --jobs <n>            Files compared in parallel (default: ${defaultJobs()})`);
+    console.log('  --policy <file>       Verification policy, as for verify-cef-integrity.js');
+    console.log('  --public-key <pem>    Require SHA256SUMS to be signed by this Ed25519 key');
+    console.log('  --skip-checksum       Verify assets even if their release publishes no checksum');
+    console.log(`  --api-url <url>       GitHub API base URL (default: $GITHUB_API_URL or ${DEFAULT_API_URL})`);
+    console.log('');
+    console.log('Set GITHUB_TOKEN to authenticate, for private and draft releases and a higher rate limit.');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node verify-releases.js --json releases.json --readme README.md');
+    console.log('  node verify-releases.js --tag "7*" --index index.json');
+    process.exit(1);
+  }
+
+  const [owner, repo] = args.positionals.length === 2 ? args.positionals : DEFAULT_REPOSITORY;
+  const jobs = args.options.jobs === undefined ? defaultJobs() : Number(args.options.jobs);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    console.error(`Error: --jobs must be a positive integer, got "${args.options.jobs}"`);
+    process.exit(1);
+  }
+  // The table on stdout must be the only thing there, so messages move to stderr
+  const toStdout = !args.options.markdown && !args.options.json && !args.options.readme;
+  if (toStdout) {
+    console.log = console.error;
+  }
+
+  let policy;
+  let publicKey = null;
+  try {
+    if (args.options.policy) {
+      policy = loadPolicy(args.options.policy);
+    }
+    if (args.options['public-key']) {
+      publicKey = loadPublicKey(args.options['public-key']);
+    }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const matrix = await verifyReleases(owner, repo, {
+    apiUrl: args.options['api-url'] || process.env.GITHUB_API_URL || DEFAULT_API_URL,
+    token: process.env.GITHUB_TOKEN || null,
+    asset: args.options.asset || DEFAULT_ASSET,
+    tag: args.options.tag || null,
+    index: args.options.index,
+    cacheDir: args.options['no-cache'] ? null : args.options['cache-dir'] || defaultCacheDir(),
+    jobs,
+    policy,
+    publicKey,
+    requireChecksum: !args.options['skip-checksum']
+  });
+
+  const table = formatMarkdown(matrix);
+  console.log('');
+  console.log(`${matrix.results.filter(result => result.verdict === 'passed').length} of ${matrix.results.length} ` +
+    `release asset(s) verified${matrix.passed ? '' : '; see the verdicts for the rest'}`);
+
+  if (args.options.markdown) {
+    fs.writeFileSync(args.options.markdown, table);
+    console.log(`Markdown written to ${args.options.markdown}`);
+  }
+  if (args.options.json) {
+    fs.writeFileSync(args.options.json, JSON.stringify(matrix, null, 2) + '\n');
+    console.log(`JSON written to ${args.options.json}`);
+  }
+  if (args.options.readme) {
+    updateReadme(args.options.readme, table);
+    console.log(`Updated "${README_SECTION.replace(/^#+ /, '')}" in ${args.options.readme}`);
+  }
+  if (toStdout) {
+    process.stdout.write(table);
+  }
+
+  process.exitCode = matrix.passed ? 0 : 1;
+}
+
+/**
+ * Downloads and verifies the matching assets of every release, one at a
+ * time. A release that fails to download or verify gets an 'error' verdict
+ * rather than stopping the others.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {object} [options] - apiUrl, token, publicKey and requireChecksum (see
+ *   download-release.js); asset and tag: glob patterns selecting what to
+ *   verify; index, cacheDir, jobs and policy (see verifyBundle)
+ * @returns {Promise<object>} repository, generatedAt, passed and results,
+ *   one per release asset (see verifyReleaseAsset), newest release first
+ */
+async function verifyReleases(owner, repo, options = {}) {
+  const assetPattern = options.asset || DEFAULT_ASSET;
+  const releases = (await listReleases(owner, repo, options))
+    .filter(release => !options.tag || matchGlob(options.tag, release.tag_name));
+  console.log(`Found ${releases.length} release(s) in ${owner}/${repo}`);
+
+  // Loaded once rather than once per release
+  const index = await loadBuildsIndex(options.index, { onProgress: printProgress });
+
+  const results = [];
+  for (const release of releases) {
+    const assets = release.assets.filter(asset => matchGlob(assetPattern, asset.name));
+    console.log(`\n=== ${release.tag_name} ===`);
+    if (assets.length === 0) {
+      console.log(`⚠️  No asset matches "${assetPattern}"`);
+      results.push({ ...newRow(release, null), verdict: 'no-asset' });
+      continue;
+    }
+    results.push(...await verifyRelease(release, assetPattern, assets, { ...options, index }));
+  }
+
+  return {
+    repository: `${owner}/${repo}`,
+    generatedAt: new Date().toISOString(),
+    // Releases without a matching asset have nothing to verify, so they
+    // don't fail the run
+    passed: results.every(result => result.verdict === 'passed' || result.verdict === 'no-asset'),
+    results
+  };
+}
+
+/**
+ * Downloads the matching assets of one release into a temporary directory,
+ * checking them against the checksums the release publishes, then verifies
+ * each against its upstream build. The downloads are removed afterwards.
+ * The release is the one listReleases returned, so it isn't fetched again.
+ * @returns {Promise<object[]>} One row per asset (see verifyReleaseAsset)
+ */
+async function verifyRelease(release, assetPattern, assets, options) {
+  const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cef-releases-'));
+  try {
+    let downloads;
+    try {
+      downloads = await downloadAssetsFromRelease(release, assetPattern, downloadDir, {
+        apiUrl: options.apiUrl,
+        token: options.token,
+        publicKey: options.publicKey,
+        requireChecksum: options.requireChecksum,
+        concurrency: 1
+      });
+    } catch (e) {
+      // The checksums or their signature failed, which fails every asset
+      console.log(`❌ ${e.message}`);
+      return assets.map(asset => ({ ...newRow(release, asset), error: e.message }));
+    }
+
+    const rows = [];
+    for (const download of downloads) {
+      rows.push(await verifyReleaseAsset(release, download, options));
+    }
+    return rows;
+  } finally {
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Verifies one downloaded release asset against its upstream build.
+ * @returns {Promise<object>} Release fields (tag, name, draft, prerelease,
+ *   publishedAt), asset, sha256 of the download, cefVersion, chromiumVersion, platforms,
+ *   architectures, verdict ('passed', 'failed' or 'error'), summary (counts
+ *   over all bundles) and error
+ */
+async function verifyReleaseAsset(release, download, options) {
+  const row = newRow(release, download);
+  // downloadAssetsFromRelease has reported the error already
+  if (download.error) {
+    row.error = download.error;
+    return row;
+  }
+  row.sha256 = download.sha256;
+
+  try {
+    console.log(`Verifying ${download.name}...`);
+    const result = await verifyBundle({
+      localZip: download.path,
+      index: options.index,
+      cacheDir: options.cacheDir,
+      jobs: options.jobs,
+      policy: options.policy,
+      onProgress: printProgress
+    });
+
+    const verdicts = result.bundles.flatMap(bundle => bundle.verdicts);
+    row.cefVersion = result.version.cef;
+    row.chromiumVersion = result.version.chromium;
+    row.platforms = result.upstreams.map(upstream => upstream.platform);
+    row.architectures = verifiedArchitectures(result.bundles);
+    row.verdict = result.passed ? 'passed' : 'failed';
+    row.summary = {
+      modified: verdicts.reduce((sum, verdict) => sum + verdict.summary.modified, 0),
+      missing: verdicts.reduce((sum, verdict) => sum + verdict.summary.missing, 0),
+      signatureProblems: verdicts.reduce((sum, verdict) => sum + verdict.summary.signatureProblems, 0),
+      sealProblems: verdicts.reduce((sum, verdict) => sum + verdict.summary.sealProblems, 0),
+      unmatchedBundles: result.bundles.filter(bundle => bundle.problems.length > 0).length
+    };
+    console.log(result.passed ? `✅ ${download.name} verified` : `❌ ${download.name}: ${describeVerdict(row)}`);
+  } catch (e) {
+    row.error = e.message;
+    console.log(`❌ ${download.name}: ${e.message}`);
+  }
+  return row;
+}
+
+// The Mach-O slices the run compared or whose signatures it decoded, in the
+// order first seen
+function verifiedArchitectures(bundles) {
+  const architectures = new Set();
+  for (const bundle of bundles) {
+    for (const { result } of bundle.comparisons) {
+      for (const slices of Object.values(result.architectures)) {
+        slices.filter(slice => slice.status !== 'missing').forEach(slice => architectures.add(slice.arch));
+      }
+    }
+    bundle.signatures.filter(signature => signature.arch !== 'unknown').forEach(signature => architectures.add(signature.arch));
+  }
+  return [...architectures];
+}
+
+function newRow(release, asset) {
+  return {
+    tag: release.tag_name,
+    name: release.name || null,
+    draft: Boolean(release.draft),
+    prerelease: Boolean(release.prerelease),
+    publishedAt: release.published_at || null,
+    asset: asset ? asset.name : null,
+    sha256: null,
+    cefVersion: null,
+    chromiumVersion: null,
+    platforms: [],
+    architectures: [],
+    verdict: 'error',
+    summary: null,
+    error: null
+  };
+}
+
+// Only steps and warnings: a full verification log per release is too much
+function printProgress(event) {
+  if (event.type === 'step') {
+    console.log(`   Step ${event.step}: ${event.message}`);
+  } else if (event.type === 'warning') {
+    console.log(`   ⚠️  ${event.message}`);
+  }
+}
+
+/**
+ * Renders the matrix as a Markdown table. Versions are shortened to what the
+ * README shows (73.1.5 rather than the full build string); the JSON keeps
+ * them whole.
+ * @param {object} matrix - From verifyReleases
+ * @returns {string}
+ */
+function formatMarkdown(matrix) {
+  // Only worth a column when some release has several matching assets
+  const assetColumn = new Set(matrix.results.map(result => result.tag)).size < matrix.results.length;
+  const header = ['Tag', ...(assetColumn ? ['Asset'] : []), 'CEF Version', 'Chromium Version', 'Architecture', 'Verdict'];
+  const rows = matrix.results.map(result => [
+    result.tag,
+    ...(assetColumn ? [result.asset || '-'] : []),
+    result.cefVersion ? result.cefVersion.split('+')[0] : '-',
+    result.chromiumVersion || '-',
+    result.architectures && result.architectures.length > 0 ? result.architectures.join(', ') : '-',
+    formatVerdict(result)
+  ]);
+
+  const cells = (row) => row.map(cell => String(cell).replace(/\|/g, '\\|'));
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => cells(row)[column].length)));
+  const line = (row) => `| ${cells(row).map((cell, column) => cell.padEnd(widths[column])).join(' | ')} |`;
+  return [
+    line(header),
+    `|${widths.map(width => '-'.repeat(width + 2)).join('|')}|`,
+    ...rows.map(line)
+  ].join('\n') + '\n';
+}
+
+function formatVerdict(result) {
+  switch (result.verdict) {
+    case 'passed': return '✅ Verified';
+    case 'failed': return `❌ ${describeVerdict(result)}`;
+    case 'no-asset': return '⚠️ No asset';
+    default: return `❌ Error: ${result.error.split('\n')[0]}`;
+  }
+}
+
+function describeVerdict({ summary }) {
+  const counts = [
+    [summary.modified, 'modified'],
+    [summary.missing, 'missing'],
+    [summary.signatureProblems, 'signature problem(s)'],
+    [summary.sealProblems, 'seal problem(s)'],
+    [summary.unmatchedBundles, 'bundle(s) without upstream counterpart']
+  ];
+  return counts.filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ') || 'Failed';
+}
+
+// Replaces the first table after the section heading, keeping everything else
+function updateReadme(readmePath, table) {
+  const lines = fs.readFileSync(readmePath, 'utf8').split('\n');
+  const heading = lines.findIndex(line => line.trim() === README_SECTION);
+  if (heading === -1) {
+    throw new Error(`No "${README_SECTION}" section in ${readmePath}`);
+  }
+  let start = heading + 1;
+  while (start < lines.length && !lines[start].startsWith('|') && !lines[start].startsWith('#')) start++;
+  if (start === lines.length || lines[start].startsWith('#')) {
+    throw new Error(`No table in the "${README_SECTION}" section of ${readmePath}`);
+  }
+  let end = start;
+  while (end < lines.length && lines[end].startsWith('|')) end++;
+
+  lines.splice(start, end - start, ...table.trimEnd().split('\n'));
+  fs.writeFileSync(readmePath, lines.join('\n'));
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    if (VALUE_OPTIONS.has(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+      options[name] = value;
+    } else if (FLAG_OPTIONS.has(name)) {
+      options[name] = true;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
+  }
+
+  return { options, positionals };
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { verifyReleases, formatMarkdown };